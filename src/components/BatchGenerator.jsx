@@ -0,0 +1,465 @@
+import React, { useState, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import { Layers, Search, Archive } from 'lucide-react';
+import PreviewCard from './PreviewCard';
+import {
+  fetchAllOwnerRepositories,
+  loadRepositoryData,
+  formatLanguageBreakdown,
+  getRepositoryLoadCost,
+  checkRateLimit
+} from '../utils/github-api';
+import { isRateLimitError } from '../utils/github-errors';
+import {
+  downloadBlob,
+  getPreviewFileName,
+  renderElementToCanvas,
+  canvasToPngBlob,
+  setPngDpi
+} from '../utils/image-export';
+import { clampDpi } from '../utils/export-sizes';
+import { getAvailableBudget, getResetTime, waitForRateLimitReset } from '../utils/rate-limit';
+import { getRepositoryStats, getStatRow } from '../utils/stats';
+
+// Requests a batch leaves untouched so the editor keeps working
+const BUDGET_RESERVE = 5;
+
+/**
+ * BatchGenerator component for rendering previews of every repository of a
+ * user or organization and downloading them as a single ZIP archive
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.theme - Theme object with styling classes
+ * @param {String} props.pattern - Background pattern name
+ * @param {String} props.template - Layout template id
+ * @param {Object} props.languageGrouping - How small languages are grouped (see formatLanguageBreakdown)
+ * @param {String} props.legendLayout - Language legend layout (see PreviewCard)
+ * @param {Number} props.legendCount - Maximum number of languages in the legend
+ * @param {Array} props.statSlots - Stats to show, in order (stats that take extra requests are only shown when the repository load includes them)
+ * @param {Object} props.numberFormat - How counts are written (see PreviewCard)
+ * @param {Number} props.topicCount - Maximum number of topic badges
+ * @param {Object} props.exportSize - Output size ({ width, height })
+ * @param {Number|String} props.exportDpi - Output resolution in dots per inch
+ */
+const BatchGenerator = ({
+  theme,
+  pattern,
+  template,
+  languageGrouping,
+  legendLayout,
+  legendCount,
+  statSlots,
+  numberFormat,
+  topicCount,
+  exportSize,
+  exportDpi
+}) => {
+  const [owner, setOwner] = useState('');
+  const [listedOwner, setListedOwner] = useState('');
+  const [repositories, setRepositories] = useState([]);
+  const [deselected, setDeselected] = useState(new Set());
+  const [includeForks, setIncludeForks] = useState(false);
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const [topicFilter, setTopicFilter] = useState('');
+  const [listing, setListing] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0, current: '' });
+  const [failures, setFailures] = useState([]);
+  const [error, setError] = useState('');
+  const [renderCard, setRenderCard] = useState(null);
+  const [budgetPlan, setBudgetPlan] = useState(null);
+  const renderRef = useRef(null);
+
+  // One GraphQL query per preview with a token, three REST requests without
+  const loadCost = getRepositoryLoadCost();
+
+  // Apply the fork, archived and topic filters
+  const topics = topicFilter
+    .split(',')
+    .map(topic => topic.trim().toLowerCase())
+    .filter(Boolean);
+
+  const filteredRepositories = repositories.filter(repo => {
+    if (!includeForks && repo.fork) return false;
+    if (!includeArchived && repo.archived) return false;
+    if (topics.length > 0 && !topics.every(topic => (repo.topics || []).includes(topic))) return false;
+    return true;
+  });
+
+  const selectedRepositories = filteredRepositories.filter(repo => !deselected.has(repo.full_name));
+
+  // List all repositories of the owner, page by page
+  const handleListSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = owner.trim();
+    if (!name) {
+      setError('Please enter a GitHub user or organization');
+      return;
+    }
+
+    setListing(true);
+    setError('');
+    setFailures([]);
+    setRepositories([]);
+    setDeselected(new Set());
+
+    try {
+      const result = await fetchAllOwnerRepositories(name, setRepositories);
+      setRepositories(result);
+      setListedOwner(name);
+    } catch (err) {
+      setError(err.message || 'Failed to list repositories');
+    } finally {
+      setListing(false);
+    }
+  };
+
+  // Toggle a single repository in the selection
+  const toggleRepository = (fullName) => {
+    const updated = new Set(deselected);
+    if (updated.has(fullName)) {
+      updated.delete(fullName);
+    } else {
+      updated.add(fullName);
+    }
+    setDeselected(updated);
+  };
+
+  // Select or clear every repository that passes the filters
+  const setAllSelected = (selected) => {
+    setDeselected(selected ? new Set() : new Set(filteredRepositories.map(repo => repo.full_name)));
+  };
+
+  // Check the rate limit budget before starting, and ask how to proceed if it is too small
+  const startGeneration = async () => {
+    const targets = selectedRepositories;
+    if (targets.length === 0) return;
+
+    // The budget is unknown until a response reported it; asking costs nothing
+    try {
+      await checkRateLimit();
+    } catch (err) {
+      // Plan with what is known; the requests themselves still respect the limit
+    }
+
+    const available = getAvailableBudget(loadCost.resource) - BUDGET_RESERVE;
+    if (targets.length * loadCost.requests > available) {
+      setBudgetPlan({
+        affordable: Math.max(0, Math.floor(available / loadCost.requests)),
+        available: Math.max(0, available),
+        reset: getResetTime(loadCost.resource)
+      });
+      return;
+    }
+
+    generateZip(targets);
+  };
+
+  /**
+   * Render repositories and bundle the images into a ZIP
+   * @param {Array} targets - Repositories to render
+   * @param {Object} options - Generation options
+   * @param {Boolean} options.waitForReset - Wait for the rate limit to reset instead of stopping
+   * @param {Array} options.skipped - Repositories left out up front because of the budget
+   */
+  const generateZip = async (targets, { waitForReset = false, skipped = [] } = {}) => {
+    setBudgetPlan(null);
+    setGenerating(true);
+    setError('');
+    setFailures([]);
+
+    const failed = skipped.map(repo => ({
+      name: repo.full_name,
+      message: 'Skipped to stay within the rate limit'
+    }));
+
+    try {
+      const { default: JSZip } = await import('jszip');
+      const zip = new JSZip();
+      let generated = 0;
+
+      for (let i = 0; i < targets.length; i++) {
+        const repo = targets[i];
+
+        // Never spend the reserve: stop, or wait for the next window
+        if (getAvailableBudget(loadCost.resource) < loadCost.requests + BUDGET_RESERVE) {
+          if (!waitForReset) {
+            targets.slice(i).forEach(rest => {
+              failed.push({ name: rest.full_name, message: 'Skipped to stay within the rate limit' });
+            });
+            break;
+          }
+
+          setProgress({
+            done: i,
+            total: targets.length,
+            current: `waiting for the rate limit to reset at ${getResetTime(loadCost.resource).toLocaleTimeString()}`
+          });
+          await waitForRateLimitReset(loadCost.resource);
+        }
+
+        setProgress({ done: i, total: targets.length, current: repo.full_name });
+
+        try {
+          const [username, repoName] = repo.full_name.split('/');
+          const data = await loadRepositoryData(username, repoName);
+          const { repoData, languageStats, languageBytes, avatarUrl } = data;
+
+          // Render the card synchronously so it can be captured right away
+          flushSync(() => {
+            setRenderCard({
+              repoName: repoData.full_name,
+              repoDescription: repoData.description || '',
+              stats: getStatRow(statSlots, getRepositoryStats(data)),
+              owner: repoData.owner.login,
+              avatarUrl,
+              topics: repoData.topics || [],
+              languageBreakdown: formatLanguageBreakdown(languageStats, {
+                ...languageGrouping,
+                languageBytes
+              })
+            });
+          });
+
+          const canvas = await renderElementToCanvas(renderRef.current, exportSize);
+          const blob = await setPngDpi(await canvasToPngBlob(canvas), clampDpi(exportDpi));
+          zip.file(getPreviewFileName(repoData.full_name, 'png'), blob);
+          generated++;
+        } catch (err) {
+          failed.push({ name: repo.full_name, message: err.message });
+
+          // Every remaining request would fail as well
+          if (isRateLimitError(err)) {
+            targets.slice(i + 1).forEach(rest => {
+              failed.push({ name: rest.full_name, message: 'Skipped after the rate limit was reached' });
+            });
+            break;
+          }
+        }
+      }
+
+      setProgress({ done: targets.length, total: targets.length, current: '' });
+
+      if (generated === 0) {
+        throw new Error('No previews could be generated');
+      }
+
+      const archive = await zip.generateAsync({ type: 'blob' });
+      downloadBlob(archive, `${listedOwner}-previews.zip`);
+    } catch (err) {
+      console.error('Error generating batch previews:', err);
+      setError(err.message || 'Failed to generate previews');
+    } finally {
+      setFailures(failed);
+      setRenderCard(null);
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <Layers size={18} className="me-2" />
+          Batch Generation
+        </h2>
+        <p className="text-muted mb-3">
+          Render previews for every repository of a user or organization with the current layout, theme, pattern and size
+        </p>
+
+        <form onSubmit={handleListSubmit}>
+          <div className="input-group mb-3">
+            <input
+              type="text"
+              value={owner}
+              onChange={(e) => setOwner(e.target.value)}
+              className="form-control"
+              placeholder="username or organization"
+              disabled={generating}
+            />
+            <button
+              type="submit"
+              className="btn btn-outline-secondary"
+              disabled={listing || generating}
+            >
+              {listing ? (
+                <div className="loading-spinner"></div>
+              ) : (
+                <>
+                  <Search size={16} className="me-1" />
+                  List Repositories
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+
+        {error && (
+          <div className="alert alert-danger" role="alert">
+            {error}
+          </div>
+        )}
+
+        {repositories.length > 0 && (
+          <>
+            <div className="d-flex flex-wrap align-items-center gap-3 mb-3">
+              <div className="form-check">
+                <input
+                  type="checkbox"
+                  id="batch-include-forks"
+                  className="form-check-input"
+                  checked={includeForks}
+                  onChange={(e) => setIncludeForks(e.target.checked)}
+                />
+                <label className="form-check-label" htmlFor="batch-include-forks">Include forks</label>
+              </div>
+              <div className="form-check">
+                <input
+                  type="checkbox"
+                  id="batch-include-archived"
+                  className="form-check-input"
+                  checked={includeArchived}
+                  onChange={(e) => setIncludeArchived(e.target.checked)}
+                />
+                <label className="form-check-label" htmlFor="batch-include-archived">Include archived</label>
+              </div>
+              <input
+                type="text"
+                value={topicFilter}
+                onChange={(e) => setTopicFilter(e.target.value)}
+                className="form-control form-control-sm flex-grow-1 w-auto"
+                placeholder="Topics (comma separated)"
+              />
+            </div>
+
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <span className="small text-muted">
+                {selectedRepositories.length} of {filteredRepositories.length} selected ({repositories.length} total)
+              </span>
+              <div>
+                <button className="btn btn-sm btn-link" onClick={() => setAllSelected(true)}>All</button>
+                <button className="btn btn-sm btn-link" onClick={() => setAllSelected(false)}>None</button>
+              </div>
+            </div>
+
+            <div className="batch-repo-list mb-3">
+              {filteredRepositories.map(repo => (
+                <div className="form-check" key={repo.id}>
+                  <input
+                    type="checkbox"
+                    id={`batch-repo-${repo.id}`}
+                    className="form-check-input"
+                    checked={!deselected.has(repo.full_name)}
+                    onChange={() => toggleRepository(repo.full_name)}
+                    disabled={generating}
+                  />
+                  <label className="form-check-label" htmlFor={`batch-repo-${repo.id}`}>
+                    {repo.name}
+                    {repo.fork && <span className="badge bg-secondary ms-2">fork</span>}
+                    {repo.archived && <span className="badge bg-warning text-dark ms-2">archived</span>}
+                  </label>
+                </div>
+              ))}
+            </div>
+
+            <small className="text-muted d-block mb-3">
+              Uses about {selectedRepositories.length * loadCost.requests} GitHub API requests.
+            </small>
+
+            {generating && (
+              <div className="mb-3">
+                <div className="progress mb-1">
+                  <div
+                    className="progress-bar"
+                    role="progressbar"
+                    style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                    aria-valuenow={progress.done}
+                    aria-valuemin={0}
+                    aria-valuemax={progress.total}
+                  ></div>
+                </div>
+                <small className="text-muted">
+                  {progress.done}/{progress.total} {progress.current}
+                </small>
+              </div>
+            )}
+
+            {budgetPlan && (
+              <div className="alert alert-warning" role="alert">
+                <p className="mb-2">
+                  This batch needs about {selectedRepositories.length * loadCost.requests} requests,
+                  but only {budgetPlan.available} are available
+                  {budgetPlan.reset && ` until ${budgetPlan.reset.toLocaleTimeString()}`} ({BUDGET_RESERVE} are kept
+                  for the editor). Cached repositories may need fewer.
+                </p>
+                <div className="d-flex flex-wrap gap-2">
+                  {budgetPlan.affordable > 0 && (
+                    <button
+                      className="btn btn-sm btn-primary"
+                      onClick={() => generateZip(selectedRepositories.slice(0, budgetPlan.affordable), {
+                        skipped: selectedRepositories.slice(budgetPlan.affordable)
+                      })}
+                    >
+                      Generate the first {budgetPlan.affordable} now
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-sm btn-outline-primary"
+                    onClick={() => generateZip(selectedRepositories, { waitForReset: true })}
+                  >
+                    Generate all, waiting for resets
+                  </button>
+                  <button className="btn btn-sm btn-link" onClick={() => setBudgetPlan(null)}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={startGeneration}
+              className="btn btn-primary w-100"
+              disabled={generating || selectedRepositories.length === 0}
+            >
+              <Archive size={16} className="me-1" />
+              {generating ? 'Generating...' : `Download ${selectedRepositories.length} Previews (ZIP)`}
+            </button>
+          </>
+        )}
+
+        {failures.length > 0 && (
+          <div className="alert alert-warning mt-3 mb-0" role="alert">
+            <strong>{failures.length} previews were not generated:</strong>
+            <ul className="mb-0">
+              {failures.map(failure => (
+                <li key={failure.name}>{failure.name}: {failure.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Off-screen card used for rendering each repository */}
+        {renderCard && (
+          <div className="batch-render-area" aria-hidden="true">
+            <PreviewCard
+              {...renderCard}
+              theme={theme}
+              pattern={pattern}
+              template={template}
+              legendLayout={legendLayout}
+              legendCount={legendCount}
+              numberFormat={numberFormat}
+              topicCount={topicCount}
+              width={exportSize.width}
+              height={exportSize.height}
+              forwardedRef={renderRef}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchGenerator;
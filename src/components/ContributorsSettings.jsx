@@ -0,0 +1,83 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+
+// Where the contributors strip can be placed on the card
+const placements = [
+  { id: 'none', name: 'Hidden' },
+  { id: 'description', name: 'Below description' },
+  { id: 'bottom', name: 'Below stats' }
+];
+
+/**
+ * ContributorsSettings component for the contributors strip on the preview card
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.placement - Selected placement id
+ * @param {Function} props.onPlacementChange - Function to call when the placement is changed
+ * @param {Number} props.count - Number of avatars to show
+ * @param {Function} props.onCountChange - Function to call when the count is changed
+ * @param {Number} props.available - Number of contributors loaded for the repository
+ * @param {Boolean} props.loading - Whether contributors are being fetched
+ * @param {String} props.error - Error message from the last fetch
+ */
+const ContributorsSettings = ({
+  placement,
+  onPlacementChange,
+  count,
+  onCountChange,
+  available,
+  loading,
+  error
+}) => {
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <Users size={18} className="me-2" />
+          Contributors
+        </h2>
+
+        <div className="row">
+          <div className="col-6">
+            <label className="form-label" htmlFor="contributors-placement">Placement</label>
+            <select
+              id="contributors-placement"
+              value={placement}
+              onChange={(e) => onPlacementChange(e.target.value)}
+              className="form-select"
+            >
+              {placements.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-6">
+            <label className="form-label" htmlFor="contributors-count">
+              Avatars: {count}
+            </label>
+            <input
+              id="contributors-count"
+              type="range"
+              min="1"
+              max="12"
+              value={count}
+              onChange={(e) => onCountChange(parseInt(e.target.value))}
+              className="form-range"
+              disabled={placement === 'none'}
+            />
+          </div>
+        </div>
+
+        {placement !== 'none' && (
+          <small className="text-muted d-block mt-2">
+            {loading && 'Loading contributors...'}
+            {!loading && error && <span className="text-danger">{error}</span>}
+            {!loading && !error && `${available} contributors found (bots excluded)`}
+          </small>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ContributorsSettings;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Library, FolderOpen, Pencil, Copy, Trash2, Save, Upload, Download, Check, X } from 'lucide-react';
+import {
+  listDesigns,
+  saveDesign,
+  updateDesign,
+  duplicateDesign,
+  deleteDesign,
+  exportDesignsToJson,
+  importDesignsFromJson,
+  MAX_DESIGN_NAME_LENGTH
+} from '../utils/design-library';
+import { downloadBlob } from '../utils/image-export';
+
+/**
+ * Download saved designs as a JSON file
+ * @param {Array} designs - Saved designs to export
+ * @param {String} filename - Download file name
+ */
+const downloadDesigns = (designs, filename) => {
+  const blob = new Blob([exportDesignsToJson(designs)], { type: 'application/json' });
+  downloadBlob(blob, filename);
+};
+
+/**
+ * DesignLibrary component for saving, reopening and sharing named designs
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.currentDesign - Design shown in the editor (permalink fields)
+ * @param {String} props.defaultName - Suggested name for a new design
+ * @param {Function} props.onOpen - Function to call with the saved design to reopen
+ */
+const DesignLibrary = ({ currentDesign, defaultName, onOpen }) => {
+  const [designs, setDesigns] = useState([]);
+  const [name, setName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  // Run a library change and reload the list afterwards
+  const run = useCallback(async (action, fallbackError) => {
+    try {
+      await action();
+      setDesigns(await listDesigns());
+      setError('');
+    } catch (err) {
+      setError(err.message || fallbackError);
+    }
+  }, []);
+
+  useEffect(() => {
+    run(() => {}, 'Unable to load saved designs');
+  }, [run]);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(() => saveDesign(name || defaultName, currentDesign), 'Unable to save the design');
+    setName('');
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    const { saved, value } = renaming;
+    run(() => updateDesign(saved, { name: value }), 'Unable to rename the design');
+    setRenaming(null);
+  };
+
+  const handleReplace = (saved) => {
+    if (!window.confirm(`Replace "${saved.name}" with the current design?`)) return;
+    run(() => updateDesign(saved, { design: currentDesign }), 'Unable to update the design');
+  };
+
+  const handleDelete = (saved) => {
+    if (!window.confirm(`Delete "${saved.name}"?`)) return;
+    run(() => deleteDesign(saved.id), 'Unable to delete the design');
+  };
+
+  const exportDesign = (saved) => {
+    const slug = saved.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'design';
+    downloadDesigns([saved], `${slug}.design.json`);
+  };
+
+  // Read a design file chosen by the user
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    run(() => importDesignsFromJson(text), 'Unable to import designs');
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <Library size={18} className="me-2" />
+          My Designs
+        </h2>
+
+        <form onSubmit={handleSave} className="input-group input-group-sm mb-3">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="form-control"
+            placeholder={defaultName || 'Design name'}
+            maxLength={MAX_DESIGN_NAME_LENGTH}
+            aria-label="Design name"
+          />
+          <button type="submit" className="btn btn-primary">
+            <Save size={14} className="me-1" />
+            Save design
+          </button>
+        </form>
+
+        {designs.length === 0 ? (
+          <p className="text-muted small">
+            Saved designs stay in this browser. Save one to reopen and tweak it for every release.
+          </p>
+        ) : (
+          <ul className="list-group mb-3">
+            {designs.map(saved => (
+              <li key={saved.id} className="list-group-item d-flex align-items-center gap-2">
+                {renaming && renaming.saved.id === saved.id ? (
+                  <form onSubmit={handleRename} className="input-group input-group-sm">
+                    <input
+                      type="text"
+                      value={renaming.value}
+                      onChange={(e) => setRenaming({ saved, value: e.target.value })}
+                      className="form-control"
+                      maxLength={MAX_DESIGN_NAME_LENGTH}
+                      aria-label="New design name"
+                      autoFocus
+                    />
+                    <button type="submit" className="btn btn-light" title="Rename">
+                      <Check size={14} />
+                    </button>
+                    <button type="button" onClick={() => setRenaming(null)} className="btn btn-light" title="Cancel">
+                      <X size={14} />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <div className="flex-grow-1 text-truncate">
+                      <div className="text-truncate">{saved.name}</div>
+                      <small className="text-muted">
+                        {saved.design.repoName || 'No repository'} &middot; {new Date(saved.updatedAt).toLocaleString()}
+                      </small>
+                    </div>
+                    <div className="btn-group btn-group-sm flex-shrink-0">
+                      <button onClick={() => onOpen(saved)} className="btn btn-light" title="Open">
+                        <FolderOpen size={14} />
+                      </button>
+                      <button
+                        onClick={() => setRenaming({ saved, value: saved.name })}
+                        className="btn btn-light"
+                        title="Rename"
+                      >
+                        <Pencil size={14} />
+                      </button>
+                      <button
+                        onClick={() => run(() => duplicateDesign(saved), 'Unable to duplicate the design')}
+                        className="btn btn-light"
+                        title="Duplicate"
+                      >
+                        <Copy size={14} />
+                      </button>
+                      <button onClick={() => handleReplace(saved)} className="btn btn-light" title="Replace with current design">
+                        <Save size={14} />
+                      </button>
+                      <button onClick={() => exportDesign(saved)} className="btn btn-light" title="Export JSON">
+                        <Download size={14} />
+                      </button>
+                      <button onClick={() => handleDelete(saved)} className="btn btn-light" title="Delete">
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="d-flex flex-wrap gap-2">
+          <button onClick={() => fileInputRef.current.click()} className="btn btn-sm btn-outline-secondary">
+            <Upload size={14} className="me-1" />
+            Import JSON
+          </button>
+          {designs.length > 0 && (
+            <button
+              onClick={() => downloadDesigns(designs, 'repo-vista-designs.json')}
+              className="btn btn-sm btn-outline-secondary"
+            >
+              <Download size={14} className="me-1" />
+              Export all
+            </button>
+          )}
+          <input
+            type="file"
+            accept="application/json,.json"
+            ref={fileInputRef}
+            onChange={handleImport}
+            className="d-none"
+          />
+        </div>
+
+        {error && (
+          <div className="alert alert-danger py-2 mt-3 mb-0" role="alert">
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DesignLibrary;
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { Server, Plus, Trash2, KeyRound, LogOut } from 'lucide-react';
+import { fetchAuthenticatedUser } from '../utils/github-api';
+import {
+  getEnterpriseHosts,
+  saveEnterpriseHosts,
+  normalizeEnterpriseHost
+} from '../utils/github-hosts';
+import {
+  tokenPersistenceOptions,
+  getTokenSource,
+  setAuthToken,
+  clearAuthToken
+} from '../utils/auth-token';
+import { UnauthorizedError } from '../utils/github-errors';
+
+/**
+ * EnterpriseHostsSettings component for adding GitHub Enterprise Server hosts
+ * and the token used for each of them
+ */
+const EnterpriseHostsSettings = () => {
+  const [hosts, setHosts] = useState(getEnterpriseHosts);
+  const [hostName, setHostName] = useState('');
+  const [apiBaseUrl, setApiBaseUrl] = useState('');
+  const [tokenHost, setTokenHost] = useState(null);
+  const [token, setToken] = useState('');
+  const [persistence, setPersistence] = useState('memory');
+  const [validating, setValidating] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateHosts = (nextHosts) => {
+    saveEnterpriseHosts(nextHosts);
+    setHosts(getEnterpriseHosts());
+  };
+
+  const handleAddHost = (e) => {
+    e.preventDefault();
+
+    try {
+      const entry = normalizeEnterpriseHost(hostName, apiBaseUrl);
+
+      if (hosts.some(existing => existing.host === entry.host)) {
+        setError(`${entry.host} is already configured`);
+        return;
+      }
+
+      updateHosts([...hosts, entry]);
+      setHostName('');
+      setApiBaseUrl('');
+      setError('');
+      // Most Enterprise Server instances require a token
+      openTokenForm(entry.host);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveHost = (host) => {
+    clearAuthToken(host);
+    updateHosts(hosts.filter(entry => entry.host !== host));
+    if (tokenHost === host) {
+      setTokenHost(null);
+    }
+  };
+
+  const openTokenForm = (host) => {
+    setTokenHost(host);
+    setToken('');
+    setPersistence('memory');
+  };
+
+  // Validate the token with the host before using it
+  const handleSaveToken = async (e) => {
+    e.preventDefault();
+
+    if (!token.trim()) {
+      setError('Please paste a personal access token');
+      return;
+    }
+
+    setValidating(true);
+    setError('');
+
+    try {
+      await fetchAuthenticatedUser({ host: tokenHost, token: token.trim() });
+      setAuthToken(token, persistence, tokenHost);
+      setTokenHost(null);
+      setToken('');
+    } catch (err) {
+      setError(err instanceof UnauthorizedError
+        ? `${tokenHost} rejected this token. Check that it is valid and not expired.`
+        : err.message);
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleForgetToken = (host) => {
+    clearAuthToken(host);
+    setHosts(getEnterpriseHosts());
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <Server size={18} className="me-2" />
+          Enterprise Servers
+        </h2>
+        <p className="text-muted mb-3">
+          Add GitHub Enterprise Server hosts to load repositories from URLs such as
+          https://ghe.company.com/org/repo. Each host uses its own token.
+        </p>
+
+        {hosts.length > 0 && (
+          <ul className="list-group mb-3">
+            {hosts.map(entry => (
+              <li className="list-group-item" key={entry.host}>
+                <div className="d-flex align-items-center justify-content-between">
+                  <div>
+                    <div>
+                      {entry.host}
+                      {entry.builtIn && <span className="badge bg-secondary ms-2">built-in</span>}
+                    </div>
+                    <small className="text-muted d-block">{entry.apiBaseUrl}</small>
+                    <small className="text-muted">
+                      {getTokenSource(entry.host) === 'runtime' ? 'Token set' : 'No token'}
+                    </small>
+                  </div>
+                  <div className="d-flex gap-2">
+                    {getTokenSource(entry.host) === 'runtime' ? (
+                      <button
+                        onClick={() => handleForgetToken(entry.host)}
+                        className="btn btn-sm btn-outline-danger"
+                        title="Forget token"
+                      >
+                        <LogOut size={14} />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => openTokenForm(entry.host)}
+                        className="btn btn-sm btn-outline-secondary"
+                        title="Set token"
+                      >
+                        <KeyRound size={14} />
+                      </button>
+                    )}
+                    {!entry.builtIn && (
+                      <button
+                        onClick={() => handleRemoveHost(entry.host)}
+                        className="btn btn-sm btn-outline-danger"
+                        title="Remove host"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {tokenHost === entry.host && (
+                  <form onSubmit={handleSaveToken} className="mt-3">
+                    <div className="input-group input-group-sm mb-2">
+                      <input
+                        type="password"
+                        value={token}
+                        onChange={(e) => setToken(e.target.value)}
+                        className="form-control"
+                        placeholder={`Token for ${entry.host}`}
+                        aria-label={`Personal access token for ${entry.host}`}
+                        autoComplete="off"
+                        spellCheck="false"
+                      />
+                      <select
+                        value={persistence}
+                        onChange={(e) => setPersistence(e.target.value)}
+                        className="form-select"
+                        aria-label="Keep token"
+                      >
+                        {tokenPersistenceOptions.map(option => (
+                          <option key={option.id} value={option.id}>{option.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="d-flex gap-2">
+                      <button type="submit" className="btn btn-sm btn-primary" disabled={validating}>
+                        {validating ? 'Checking token...' : 'Save token'}
+                      </button>
+                      <button type="button" className="btn btn-sm btn-link" onClick={() => setTokenHost(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && (
+          <div className="alert alert-danger" role="alert">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleAddHost}>
+          <div className="row g-2 mb-2">
+            <div className="col-sm-5">
+              <label className="form-label" htmlFor="ghe-host">Host</label>
+              <input
+                type="text"
+                id="ghe-host"
+                value={hostName}
+                onChange={(e) => setHostName(e.target.value)}
+                className="form-control"
+                placeholder="ghe.company.com"
+              />
+            </div>
+            <div className="col-sm-7">
+              <label className="form-label" htmlFor="ghe-api-url">API URL (optional)</label>
+              <input
+                type="text"
+                id="ghe-api-url"
+                value={apiBaseUrl}
+                onChange={(e) => setApiBaseUrl(e.target.value)}
+                className="form-control"
+                placeholder={`https://${hostName.trim() || 'ghe.company.com'}/api/v3`}
+              />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-outline-primary btn-sm">
+            <Plus size={14} className="me-1" />
+            Add host
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EnterpriseHostsSettings;
@@ -0,0 +1,103 @@
+import React from 'react';
+import {
+  exportPresets,
+  MIN_EXPORT_SIZE,
+  MAX_EXPORT_SIZE,
+  MIN_DPI,
+  MAX_DPI
+} from '../utils/export-sizes';
+
+/**
+ * ExportSettings component for choosing the output size and resolution
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.preset - Selected preset id
+ * @param {Function} props.onPresetChange - Function to call when the preset is changed
+ * @param {Object} props.size - Resolved output size ({ width, height })
+ * @param {Object} props.customSize - Custom width and height inputs
+ * @param {Function} props.onCustomSizeChange - Function to call with the updated custom size
+ * @param {Number|String} props.dpi - Output resolution in dots per inch
+ * @param {Function} props.onDpiChange - Function to call when the resolution is changed
+ */
+const ExportSettings = ({
+  preset,
+  onPresetChange,
+  size,
+  customSize,
+  onCustomSizeChange,
+  dpi,
+  onDpiChange
+}) => {
+  const isCustom = preset === 'custom';
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">Export Size</h2>
+
+        <div className="mb-3">
+          <label className="form-label" htmlFor="export-preset">Preset</label>
+          <select
+            id="export-preset"
+            value={preset}
+            onChange={(e) => onPresetChange(e.target.value)}
+            className="form-select"
+          >
+            {exportPresets.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.width ? `${option.name} (${option.width}×${option.height})` : option.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="row">
+          <div className="col-4">
+            <label className="form-label" htmlFor="export-width">Width</label>
+            <input
+              id="export-width"
+              type="number"
+              min={MIN_EXPORT_SIZE}
+              max={MAX_EXPORT_SIZE}
+              value={isCustom ? customSize.width : size.width}
+              onChange={(e) => onCustomSizeChange({ ...customSize, width: e.target.value })}
+              className="form-control"
+              disabled={!isCustom}
+            />
+          </div>
+          <div className="col-4">
+            <label className="form-label" htmlFor="export-height">Height</label>
+            <input
+              id="export-height"
+              type="number"
+              min={MIN_EXPORT_SIZE}
+              max={MAX_EXPORT_SIZE}
+              value={isCustom ? customSize.height : size.height}
+              onChange={(e) => onCustomSizeChange({ ...customSize, height: e.target.value })}
+              className="form-control"
+              disabled={!isCustom}
+            />
+          </div>
+          <div className="col-4">
+            <label className="form-label" htmlFor="export-dpi">DPI</label>
+            <input
+              id="export-dpi"
+              type="number"
+              min={MIN_DPI}
+              max={MAX_DPI}
+              value={dpi}
+              onChange={(e) => onDpiChange(e.target.value)}
+              className="form-control"
+            />
+          </div>
+        </div>
+
+        <small className="text-muted d-block mt-2">
+          PNG exports are exactly {size.width}×{size.height} pixels. DPI is stored in the file for print and design tools.
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default ExportSettings;
@@ -1,54 +1,221 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Download, Copy, CheckCircle, Plus, Minus, RefreshCw, Github } from 'lucide-react';
+import { Download, Copy, CheckCircle, Plus, Minus, Lock, Unlock, RotateCcw, RefreshCw, RotateCw, Github, FileCode, Link2, ShieldCheck, ShieldAlert } from 'lucide-react';
 import LanguageBar from './LanguageBar';
 import PreviewCard from './PreviewCard';
 import ThemeSelector from './ThemeSelector';
-import { 
-  parseGitHubUrl,
+import TemplateSelector from './TemplateSelector';
+import ExportSettings from './ExportSettings';
+import BatchGenerator from './BatchGenerator';
+import RepositoryAutocomplete from './RepositoryAutocomplete';
+import LanguagePicker from './LanguagePicker';
+import PercentageInput from './PercentageInput';
+import ContributorsSettings from './ContributorsSettings';
+import TopicsSettings from './TopicsSettings';
+import StatsSettings from './StatsSettings';
+import TokenSettings from './TokenSettings';
+import EnterpriseHostsSettings from './EnterpriseHostsSettings';
+import GiteaHostsSettings from './GiteaHostsSettings';
+import RateLimitWidget from './RateLimitWidget';
+import HistoryPanel from './HistoryPanel';
+import DesignLibrary from './DesignLibrary';
+import { cardTemplates, DEFAULT_TEMPLATE } from './templates';
+import { formatLanguageBreakdown, getAuthStatus } from '../utils/github-api';
+import {
+  DEFAULT_FORGE,
+  parseRepositoryUrl,
+  splitRepositoryName,
   loadRepositoryData,
-  formatLanguageBreakdown
-} from '../utils/github-api';
+  fetchTopContributors,
+  fetchRepositoryStats
+} from '../utils/providers';
+import {
+  NotFoundError,
+  RateLimitedError,
+  SecondaryRateLimitError,
+  UnauthorizedError,
+  NetworkError,
+  isAbortError
+} from '../utils/github-errors';
+import { GITHUB_HOST, getAvatarUrl } from '../utils/github-hosts';
+import {
+  DEFAULT_BREAKDOWN_OPTIONS,
+  MAX_LANGUAGE_PRECISION,
+  OTHER_LANGUAGE,
+  COMMON_LANGUAGES,
+  formatBytes,
+  getLanguageColor,
+  resizeLanguage,
+  moveLanguageBoundary,
+  moveLanguage,
+  roundLanguageShares,
+  addLanguageSegment,
+  removeLanguageSegment
+} from '../utils/languages';
+import {
+  downloadBlob,
+  getPreviewFileName,
+  renderElementToCanvas,
+  canvasToPngBlob,
+  setPngDpi,
+  svgToBlob
+} from '../utils/image-export';
+import { renderPreviewSvg } from '../utils/svg-export';
+import { getExportSize, clampDpi } from '../utils/export-sizes';
+import { encodeDesign, decodeDesign, readDesignFromUrl, writePermalinkToUrl } from '../utils/permalink';
+import { createHistory, recordHistory, getChangedFields } from '../utils/history';
+import {
+  DEFAULT_STAT_SLOTS,
+  DEFAULT_NUMBER_FORMAT,
+  getRepositoryStats,
+  getMissingStats,
+  mergeRepositoryStats,
+  getStatRow
+} from '../utils/stats';
+import {
+  themePalettes,
+  themeToCssVariables,
+  normalizeTheme,
+  loadCustomThemes,
+  saveCustomThemes,
+  createCustomThemeId,
+  isCustomThemeId
+} from '../utils/themes';
 
 // Import styles
 import '../styles/main.css';
 import '../styles/themes.css';
-import '../styles/languages.css';
+
+// Layouts of the language legend on the card
+const legendLayouts = [
+  { id: 'none', name: 'Hidden' },
+  { id: 'inline', name: 'Inline' },
+  { id: 'columns', name: 'Columns' },
+  { id: 'chips', name: 'Chips' }
+];
+
+/**
+ * Describe a failed repository fetch for the user
+ * @param {Error} error - Error thrown while loading the repository
+ * @returns {String} - Message to show
+ */
+const getFetchErrorMessage = (error) => {
+  if (error instanceof NotFoundError) {
+    return `${error.message}. Check the spelling and that the repository is public (private GitHub repositories need a token).`;
+  }
+  if (error instanceof RateLimitedError) {
+    return `GitHub API rate limit reached. Try again after ${error.resetAt.toLocaleTimeString()}, or add a token for a higher limit.`;
+  }
+  if (error instanceof SecondaryRateLimitError) {
+    return 'GitHub is temporarily throttling requests. Please wait a minute and try again.';
+  }
+  if (error instanceof UnauthorizedError) {
+    return 'GitHub rejected your token. Update or remove it in the GitHub Access settings.';
+  }
+  if (error instanceof NetworkError) {
+    return error.message;
+  }
+  return error.message || 'Failed to fetch repository data';
+};
 
 /**
  * Main GitHub Preview Generator Component with API integration
  */
 const GitHubPreviewGenerator = () => {
   // State for repository details
+  const [repoUrl, setRepoUrl] = useState('');
   const [repoName, setRepoName] = useState('');
+  const [repoHost, setRepoHost] = useState(GITHUB_HOST);
+  const [repoForge, setRepoForge] = useState(DEFAULT_FORGE);
   const [repoDescription, setRepoDescription] = useState('');
   const [selectedTheme, setSelectedTheme] = useState('dark');
   const [selectedPattern, setSelectedPattern] = useState('dots');
-  const [stars, setStars] = useState('0');
-  const [forks, setForks] = useState('0');
-  const [watchers, setWatchers] = useState('0');
+  const [selectedTemplate, setSelectedTemplate] = useState(DEFAULT_TEMPLATE);
+  const [statValues, setStatValues] = useState({ stars: '0', forks: '0', watchers: '0' });
+  const [statSlots, setStatSlots] = useState(DEFAULT_STAT_SLOTS);
+  const [numberFormat, setNumberFormat] = useState(DEFAULT_NUMBER_FORMAT);
+  // Repository data of the last fetch, completed with stats that take extra requests
+  const [statsData, setStatsData] = useState(null);
+  const [statsLoading, setStatsLoading] = useState(false);
+  const [statsError, setStatsError] = useState('');
   const [owner, setOwner] = useState('');
   const [avatarUrl, setAvatarUrl] = useState('');
   const [copied, setCopied] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [exportPreset, setExportPreset] = useState('github');
+  const [customSize, setCustomSize] = useState({ width: 1280, height: 640 });
+  const [exportDpi, setExportDpi] = useState(72);
+  const [loadedRepo, setLoadedRepo] = useState('');
+  const [contributors, setContributors] = useState([]);
+  const [contributorsHasMore, setContributorsHasMore] = useState(false);
+  const [contributorsRepo, setContributorsRepo] = useState('');
+  const [contributorsLoading, setContributorsLoading] = useState(false);
+  const [contributorsError, setContributorsError] = useState('');
+  const [contributorCount, setContributorCount] = useState(5);
+  const [contributorsPlacement, setContributorsPlacement] = useState('none');
+  const [topics, setTopics] = useState([]);
+  const [topicCount, setTopicCount] = useState(5);
+  const [customThemes, setCustomThemes] = useState(loadCustomThemes);
+  // Custom theme of an opened link or design, shown but only saved when the user asks
+  const [sharedTheme, setSharedTheme] = useState(null);
+  const [authStatus, setAuthStatus] = useState(null);
+  const [showTokenSettings, setShowTokenSettings] = useState(false);
   const canvasRef = useRef(null);
+  const repositoryRequest = useRef(null);
+  // Undo steps; the next recorded step takes its label (or merging) from historyChange
+  const [history, setHistory] = useState(null);
+  const historyChange = useRef(null);
+  // Latest handlers for the effects below that only subscribe once
+  const handlers = useRef(null);
   
   // Language breakdown state
   const [languageBreakdown, setLanguageBreakdown] = useState([
-    { name: 'JavaScript', percentage: 62, color: 'lang-javascript' },
-    { name: 'TypeScript', percentage: 23, color: 'lang-typescript' },
-    { name: 'CSS', percentage: 10, color: 'lang-css' },
-    { name: 'HTML', percentage: 5, color: 'lang-html' }
+    { name: 'JavaScript', percentage: 62, color: getLanguageColor('JavaScript') },
+    { name: 'TypeScript', percentage: 23, color: getLanguageColor('TypeScript') },
+    { name: 'CSS', percentage: 10, color: getLanguageColor('CSS') },
+    { name: 'HTML', percentage: 5, color: getLanguageColor('HTML') }
   ]);
+  const [languageGrouping, setLanguageGrouping] = useState(DEFAULT_BREAKDOWN_OPTIONS);
+  const [legendLayout, setLegendLayout] = useState('none');
+  const [legendCount, setLegendCount] = useState(6);
+  // Languages whose share stays put when other languages are edited
+  const [lockedLanguages, setLockedLanguages] = useState([]);
+  // Language data of the last fetch, so the grouping can be changed and edits reset afterwards
+  const [fetchedLanguages, setFetchedLanguages] = useState(null);
 
-  // Default repository - used when the page loads initially
   useEffect(() => {
-    if (!repoName) {
-      setRepoName('github/explorer');
-      setRepoDescription('Discover GitHub repositories effortlessly');
-      fetchRepositoryData('github/explorer');
+    handlers.current = { applyDesignState, fetchRepositoryData, goToHistoryStep, history };
+  });
+  
+  // Restore a shared design from the URL, or load the default repository
+  useEffect(() => {
+    const design = readDesignFromUrl();
+    if (design) {
+      historyChange.current = { label: 'Open shared link' };
+      handlers.current.applyDesignState(design);
+      return;
     }
-  }, [repoName]);
+    
+    historyChange.current = { label: 'Open example' };
+    setRepoName('github/explorer');
+    setRepoDescription('Discover GitHub repositories effortlessly');
+    handlers.current.fetchRepositoryData('github/explorer');
+  }, []);
+  
+  // Apply permalinks pasted into the address bar of an open tab
+  useEffect(() => {
+    const handleHashChange = () => {
+      const design = readDesignFromUrl();
+      if (design) {
+        historyChange.current = { label: 'Open shared link' };
+        handlers.current.applyDesignState(design);
+      }
+    };
+    
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
 
   // Function to validate and process the avatar URL
   const validateAndProcessAvatarUrl = (url) => {
@@ -59,9 +226,9 @@ const GitHubPreviewGenerator = () => {
       return url;
     }
     
-    // If it's just a username, generate GitHub avatar URL
+    // If it's just a username, generate GitHub avatar URL (other forges have no such URL)
     if (!url.includes('/') && !url.includes('.')) {
-      return `https://github.com/${url}.png`;
+      return repoForge === 'github' ? getAvatarUrl(url, repoHost) : '';
     }
     
     // Otherwise, assume it's a relative URL and convert to absolute
@@ -70,360 +237,621 @@ const GitHubPreviewGenerator = () => {
   
   // Update avatar URL whenever the owner changes
   useEffect(() => {
-    if (owner && !avatarUrl) {
-      setAvatarUrl(`https://github.com/${owner}.png`);
+    if (owner && !avatarUrl && repoForge === 'github') {
+      setAvatarUrl(getAvatarUrl(owner, repoHost));
+    }
+  }, [owner, avatarUrl, repoHost, repoForge]);
+  
+  // Load contributors for the fetched repository once the strip is enabled
+  useEffect(() => {
+    if (contributorsPlacement === 'none' || !loadedRepo || contributorsRepo === loadedRepo) return;
+    
+    const controller = new AbortController();
+    const { username, repoName: name } = splitRepositoryName(loadedRepo);
+    setContributorsLoading(true);
+    setContributorsError('');
+    
+    fetchTopContributors(username, name, { forge: repoForge, host: repoHost, signal: controller.signal })
+      .then(result => {
+        setContributors(result.contributors);
+        setContributorsHasMore(result.hasMore);
+        setContributorsRepo(loadedRepo);
+        setContributorsLoading(false);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setContributors([]);
+        setContributorsHasMore(false);
+        setContributorsError(err.message || 'Failed to fetch contributors');
+        setContributorsRepo(loadedRepo);
+        setContributorsLoading(false);
+      });
+    
+    return () => controller.abort();
+  }, [contributorsPlacement, loadedRepo, contributorsRepo, repoHost, repoForge]);
+  
+  // Fetch the stats that take requests of their own once a slot shows them
+  useEffect(() => {
+    if (!statsData || statsError) return;
+    
+    const missing = getMissingStats(statSlots, statsData);
+    if (missing.length === 0) return;
+    
+    const controller = new AbortController();
+    const { username, repoName: name } = splitRepositoryName(statsData.repoData.full_name);
+    setStatsLoading(true);
+    
+    fetchRepositoryStats(username, name, { forge: repoForge, host: repoHost, stats: missing, signal: controller.signal })
+      .then(result => {
+        const merged = mergeRepositoryStats(statsData, result);
+        const values = getRepositoryStats(merged);
+        setStatsData(merged);
+        // Loaded stats belong to the step that asked for them
+        historyChange.current = { merge: true };
+        // Keep values that were typed in while loading
+        setStatValues(current => {
+          const updated = { ...current };
+          Object.entries(values).forEach(([id, value]) => {
+            if (!updated[id]) {
+              updated[id] = value;
+            }
+          });
+          return updated;
+        });
+        setStatsLoading(false);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setStatsError(err.message || 'Failed to fetch stats');
+        setStatsLoading(false);
+      });
+    
+    return () => controller.abort();
+  }, [statSlots, statsData, statsError, repoHost, repoForge]);
+  
+  // Check whether requests are authenticated
+  useEffect(() => {
+    getAuthStatus().then(setAuthStatus);
+  }, []);
+  
+  // Persist custom themes whenever they change
+  useEffect(() => {
+    saveCustomThemes(customThemes);
+  }, [customThemes]);
+  
+  // Custom themes as shown: the shared theme takes the place of a saved theme with the same id
+  const shownThemes = sharedTheme ? { ...customThemes, [sharedTheme.id]: sharedTheme.theme } : customThemes;
+  
+  // Snapshot of everything needed to reproduce the current design
+  const designState = {
+    repoName,
+    repoHost,
+    forge: repoForge,
+    repoDescription,
+    stats: statValues,
+    statSlots,
+    numberFormat,
+    owner,
+    avatarUrl,
+    languageBreakdown,
+    languageGrouping,
+    legendLayout,
+    legendCount,
+    theme: selectedTheme,
+    pattern: selectedPattern,
+    template: selectedTemplate,
+    exportPreset,
+    customSize,
+    exportDpi,
+    contributorCount,
+    contributorsPlacement,
+    topics,
+    topicCount,
+    // Custom themes travel with the design so shared links render the same
+    customTheme: shownThemes[selectedTheme]
+  };
+  
+  // Restore a design snapshot (fields that are missing keep their current value)
+  // Undo steps pass restoreOwnTheme, so they can restore edits of a saved custom theme
+  const applyDesignState = (design, { restoreOwnTheme = false } = {}) => {
+    const setters = {
+      repoName: setRepoName,
+      repoHost: setRepoHost,
+      forge: setRepoForge,
+      repoDescription: setRepoDescription,
+      stats: setStatValues,
+      statSlots: setStatSlots,
+      numberFormat: setNumberFormat,
+      owner: setOwner,
+      avatarUrl: setAvatarUrl,
+      languageGrouping: setLanguageGrouping,
+      legendLayout: setLegendLayout,
+      legendCount: setLegendCount,
+      theme: setSelectedTheme,
+      pattern: setSelectedPattern,
+      template: setSelectedTemplate,
+      exportPreset: setExportPreset,
+      customSize: setCustomSize,
+      exportDpi: setExportDpi,
+      contributorCount: setContributorCount,
+      contributorsPlacement: setContributorsPlacement,
+      topics: setTopics,
+      topicCount: setTopicCount
+    };
+    
+    Object.entries(design).forEach(([field, value]) => {
+      if (setters[field]) {
+        setters[field](value);
+      }
+    });
+    
+    if (design.customTheme && isCustomThemeId(design.theme)) {
+      const theme = normalizeTheme(design.customTheme);
+      const saved = customThemes[design.theme];
+      
+      if (saved && JSON.stringify(saved) === JSON.stringify(theme)) {
+        setSharedTheme(null);
+      } else if (saved && restoreOwnTheme && !(sharedTheme && sharedTheme.id === design.theme)) {
+        setCustomThemes(current => ({ ...current, [design.theme]: theme }));
+      } else {
+        setSharedTheme({ id: design.theme, theme });
+      }
+    }
+    
+    if (design.languageBreakdown) {
+      // The fetched languages can still be restored while the repository stays the same
+      if (design.repoName !== undefined) {
+        setFetchedLanguages(current => (current && current.repo === design.repoName ? current : null));
+      }
+      setLanguageBreakdown(design.languageBreakdown.map(lang => ({
+        ...lang,
+        color: getLanguageColor(lang.name)
+      })));
+    }
+    
+    // Let repository-dependent extras (like contributors) load for the restored repo
+    if (design.repoName && design.repoName.includes('/')) {
+      setLoadedRepo(design.repoName);
+      setContributorsRepo('');
+      setStatsData(null);
+    }
+  };
+  
+  // Keep the URL in sync with the design so it can be shared at any time
+  const permalinkPayload = encodeDesign(designState);
+  useEffect(() => {
+    const timer = setTimeout(() => writePermalinkToUrl(permalinkPayload), 500);
+    return () => clearTimeout(timer);
+  }, [permalinkPayload]);
+  
+  // Record every change of the design as an undo step
+  useEffect(() => {
+    // Snapshots are decoded from the payload so later edits can't mutate them
+    const change = { payload: permalinkPayload, design: decodeDesign(permalinkPayload) };
+    const { history } = handlers.current;
+    
+    if (!history) {
+      setHistory(createHistory(change));
+      return;
+    }
+    
+    setHistory(recordHistory(history, { ...change, ...historyChange.current }));
+    historyChange.current = null;
+  }, [permalinkPayload]);
+  
+  // A label whose update changed nothing (e.g. re-fetching an unchanged repository) must not name the next step
+  useEffect(() => {
+    if (history) {
+      historyChange.current = null;
+    }
+  });
+  
+  // Go back or forward to an undo step, restoring only the fields that differ
+  const goToHistoryStep = (index) => {
+    if (!history || index < 0 || index >= history.entries.length || index === history.index) return;
+    
+    const { design } = history.entries[index];
+    const changes = {};
+    getChangedFields(decodeDesign(permalinkPayload), design).forEach(field => {
+      if (design[field] !== undefined) {
+        changes[field] = design[field];
+      }
+    });
+    
+    // Custom theme colors are only applied together with the theme id
+    if (changes.customTheme) {
+      changes.theme = design.theme;
     }
-  }, [owner, avatarUrl]);
+    
+    setHistory({ ...history, index });
+    applyDesignState(changes, { restoreOwnTheme: true });
+  };
+  
+  // Reopen a design from the library
+  const openSavedDesign = (saved) => {
+    historyChange.current = { label: `Open "${saved.name}"` };
+    applyDesignState(saved.design);
+  };
+  
+  // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const { history, goToHistoryStep } = handlers.current;
+      if (!history || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        goToHistoryStep(history.index - 1);
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        goToHistoryStep(history.index + 1);
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
   
   // Process avatar URL before sending to preview
   const processedAvatarUrl = validateAndProcessAvatarUrl(avatarUrl);
+  
+  // Resolve the output size for the selected preset
+  const exportSize = getExportSize(exportPreset, customSize);
+
+  // Theme definitions: built-in and custom palettes, applied through CSS variables
+  const themes = {};
+  Object.entries({ ...themePalettes, ...shownThemes }).forEach(([id, palette]) => {
+    themes[id] = {
+      name: palette.name || id,
+      background: 'theme-bg',
+      title: 'theme-title',
+      description: 'theme-description',
+      accent: 'theme-accent',
+      accentText: 'theme-accent-text',
+      stats: 'theme-stats',
+      border: 'theme-border',
+      style: themeToCssVariables(palette)
+    };
+  });
+  
+  // Fall back to the default theme if the selected custom theme was deleted
+  const activeTheme = themes[selectedTheme] ? selectedTheme : 'dark';
+  const activePalette = shownThemes[activeTheme] || themePalettes[activeTheme];
+
+  // Copy the selected theme into a new custom theme and start editing it
+  const createCustomTheme = () => {
+    const id = createCustomThemeId();
+    const baseName = themes[activeTheme].name;
+    const name = `${baseName.charAt(0).toUpperCase()}${baseName.slice(1)} copy`;
+    setCustomThemes({ ...customThemes, [id]: normalizeTheme({ ...activePalette, name }) });
+    setSelectedTheme(id);
+  };
+
+  // Save the shared theme, under a new id if a saved theme already uses its id
+  const saveSharedTheme = () => {
+    const id = customThemes[sharedTheme.id] ? createCustomThemeId() : sharedTheme.id;
+    setCustomThemes({ ...customThemes, [id]: sharedTheme.theme });
+    setSharedTheme(null);
+    setSelectedTheme(id);
+  };
 
-  // Theme definitions
-  const themes = {
-    dark: {
-      background: 'theme-dark-bg',
-      title: 'theme-dark-title',
-      description: 'theme-dark-description',
-      accent: 'theme-dark-accent',
-      stats: 'theme-dark-stats',
-      border: 'theme-dark-border'
-    },
-    light: {
-      background: 'theme-light-bg',
-      title: 'theme-light-title',
-      description: 'theme-light-description',
-      accent: 'theme-light-accent',
-      stats: 'theme-light-stats',
-      border: 'theme-light-border'
-    },
-    gradient: {
-      background: 'theme-gradient-bg',
-      title: 'theme-gradient-title',
-      description: 'theme-gradient-description',
-      accent: 'theme-gradient-accent',
-      stats: 'theme-gradient-stats',
-      border: 'theme-gradient-border'
-    },
-    github: {
-      background: 'theme-github-bg',
-      title: 'theme-github-title',
-      description: 'theme-github-description',
-      accent: 'theme-github-accent',
-      stats: 'theme-github-stats',
-      border: 'theme-github-border'
-    },
-    sunset: {
-      background: 'theme-sunset-bg',
-      title: 'theme-sunset-title',
-      description: 'theme-sunset-description',
-      accent: 'theme-sunset-accent',
-      stats: 'theme-sunset-stats',
-      border: 'theme-sunset-border'
-    },
-    ocean: {
-      background: 'theme-ocean-bg',
-      title: 'theme-ocean-title',
-      description: 'theme-ocean-description',
-      accent: 'theme-ocean-accent',
-      stats: 'theme-ocean-stats',
-      border: 'theme-ocean-border'
-    },
-    forest: {
-      background: 'theme-forest-bg',
-      title: 'theme-forest-title',
-      description: 'theme-forest-description',
-      accent: 'theme-forest-accent',
-      stats: 'theme-forest-stats',
-      border: 'theme-forest-border'
+  const updateCustomTheme = (id, theme) => {
+    setCustomThemes({ ...customThemes, [id]: theme });
+  };
+
+  const deleteCustomTheme = (id) => {
+    const { [id]: removed, ...rest } = customThemes;
+    setCustomThemes(rest);
+    if (selectedTheme === id) {
+      setSelectedTheme('dark');
     }
   };
 
-  // Language color mapping
-  const languageColors = {
-    JavaScript: 'lang-javascript',
-    TypeScript: 'lang-typescript',
-    Python: 'lang-python',
-    Java: 'lang-java',
-    Ruby: 'lang-ruby',
-    'C#': 'lang-csharp',
-    PHP: 'lang-php',
-    Go: 'lang-go',
-    Rust: 'lang-rust',
-    Swift: 'lang-swift',
-    Kotlin: 'lang-kotlin',
-    Dart: 'lang-dart',
-    CSS: 'lang-css',
-    HTML: 'lang-html',
-    Shell: 'lang-shell',
-    C: 'lang-c',
-    'C++': 'lang-cpp',
-    'Jupyter Notebook': 'lang-jupyter',
-    Vue: 'lang-vue',
-    JSX: 'lang-jsx',
-    Markdown: 'lang-markdown',
-    Elixir: 'lang-elixir',
-    Haskell: 'lang-haskell',
-    Perl: 'lang-perl',
-    R: 'lang-r',
-    Lua: 'lang-lua',
-    Clojure: 'lang-clojure',
-    Scala: 'lang-scala',
-    SCSS: 'lang-scss',
-    'F#': 'lang-fsharp',
-    PowerShell: 'lang-powershell',
-    Assembly: 'lang-assembly',
-    'Objective-C': 'lang-objectivec',
-    Groovy: 'lang-groovy',
-    Dockerfile: 'lang-dockerfile',
-    Julia: 'lang-julia',
-    MATLAB: 'lang-matlab'
+  // Add imported themes under fresh ids and select the first one
+  const importCustomThemes = (imported) => {
+    const added = {};
+    imported.forEach((theme, index) => {
+      added[`${createCustomThemeId()}-${index}`] = theme;
+    });
+    setCustomThemes({ ...customThemes, ...added });
+    setSelectedTheme(Object.keys(added)[0]);
   };
 
-  // Available language options
-  const languageOptions = Object.keys(languageColors);
-  
   // Function to add a new language to the breakdown
   const addLanguage = () => {
-    if (languageBreakdown.length >= 6) return; // Limit to 6 languages for visual clarity
+    if (languageBreakdown.length >= languageGrouping.maxSegments) return; // Limit segments for visual clarity
     
-    const unusedLanguages = languageOptions.filter(
+    const unusedLanguages = COMMON_LANGUAGES.filter(
       lang => !languageBreakdown.some(item => item.name === lang)
     );
     
     if (unusedLanguages.length === 0) return;
     
-    // Redistribute percentages to make room for new language
-    const newPercentage = 5;
-    const remaining = 100 - newPercentage;
-    const updated = languageBreakdown.map(lang => ({
-      ...lang,
-      percentage: Math.round((lang.percentage / 100) * remaining)
-    }));
-    
-    setLanguageBreakdown([
-      ...updated,
-      { 
-        name: unusedLanguages[0], 
-        percentage: newPercentage, 
-        color: languageColors[unusedLanguages[0]] || 'lang-other'
-      }
-    ]);
+    // The new language takes its share from the unlocked languages
+    setLanguageBreakdown(addLanguageSegment(languageBreakdown, {
+      name: unusedLanguages[0],
+      percentage: 5,
+      color: getLanguageColor(unusedLanguages[0])
+    }, { locked: lockedLanguages, precision: languageGrouping.precision }));
   };
   
   // Function to remove a language from the breakdown
   const removeLanguage = (index) => {
     if (languageBreakdown.length <= 1) return;
     
-    const removedPercentage = languageBreakdown[index].percentage;
-    const remaining = languageBreakdown.filter((_, i) => i !== index);
-    const total = remaining.reduce((sum, lang) => sum + lang.percentage, 0);
-    
-    // Redistribute the removed language's percentage
-    const updated = remaining.map(lang => ({
-      ...lang,
-      percentage: Math.round(lang.percentage + (lang.percentage / total) * removedPercentage)
+    setLanguageBreakdown(removeLanguageSegment(languageBreakdown, index, {
+      locked: lockedLanguages,
+      precision: languageGrouping.precision
     }));
-    
-    // Ensure total is exactly 100%
-    const adjustedTotal = updated.reduce((sum, lang) => sum + lang.percentage, 0);
-    if (adjustedTotal !== 100 && updated.length > 0) {
-      updated[0].percentage += (100 - adjustedTotal);
-    }
-    
-    setLanguageBreakdown(updated);
   };
 
   // Function to update a language's properties
   const updateLanguage = (index, field, value) => {
-    const updated = [...languageBreakdown];
-    
     if (field === 'name') {
-      updated[index] = {
-        ...updated[index],
+      const previous = languageBreakdown[index].name;
+      
+      // The byte count belonged to the previous language
+      setLanguageBreakdown(languageBreakdown.map((lang, i) => (i === index ? {
         name: value,
-        color: languageColors[value] || 'lang-other'
-      };
-      setLanguageBreakdown(updated);
+        percentage: lang.percentage,
+        color: getLanguageColor(value)
+      } : lang)));
+      setLockedLanguages(lockedLanguages.map(name => (name === previous ? value : name)));
     } else if (field === 'percentage') {
-      let newValue = parseInt(value) || 0;
-      
-      // Ensure percentage is between 1 and 99
-      newValue = Math.min(Math.max(newValue, 1), 99);
-      
-      // Calculate the difference
-      const diff = newValue - updated[index].percentage;
-      
-      // Apply the difference by adjusting other percentages proportionally
-      if (diff !== 0) {
-        const others = updated.filter((_, i) => i !== index);
-        const othersTotal = others.reduce((sum, lang) => sum + lang.percentage, 0);
-        
-        // Calculate adjustment factor for other languages
-        const factor = (othersTotal - diff) / othersTotal;
-        
-        for (let i = 0; i < updated.length; i++) {
-          if (i === index) {
-            updated[i].percentage = newValue;
-          } else {
-            // Adjust other percentages proportionally
-            updated[i].percentage = Math.max(1, Math.round(updated[i].percentage * factor));
-          }
-        }
-        
-        // Ensure total is exactly 100%
-        const adjustedTotal = updated.reduce((sum, lang) => sum + lang.percentage, 0);
-        if (adjustedTotal !== 100) {
-          // Find the largest percentage (besides the one being edited) to adjust
-          const largestIndex = updated
-            .map((lang, i) => i !== index ? { index: i, percentage: lang.percentage } : { index: -1, percentage: 0 })
-            .reduce((max, curr) => curr.percentage > max.percentage ? curr : max, { index: -1, percentage: 0 })
-            .index;
-          
-          if (largestIndex >= 0) {
-            updated[largestIndex].percentage += (100 - adjustedTotal);
-          }
-        }
-      }
-      
-      setLanguageBreakdown(updated);
+      // Only the unlocked languages make up the difference
+      setLanguageBreakdown(resizeLanguage(languageBreakdown, index, parseFloat(value), {
+        locked: lockedLanguages,
+        precision: languageGrouping.precision
+      }));
     }
   };
+  
+  // Pin a language's share, or release it
+  const toggleLanguageLock = (index) => {
+    const { name } = languageBreakdown[index];
+    setLockedLanguages(lockedLanguages.includes(name)
+      ? lockedLanguages.filter(locked => locked !== name)
+      : [...lockedLanguages, name]);
+  };
 
+  // Language breakdown of the last fetch, grouped with the given options
+  const getFetchedBreakdown = (grouping = languageGrouping) => (
+    fetchedLanguages && formatLanguageBreakdown(fetchedLanguages.languageStats, {
+      ...grouping,
+      languageBytes: fetchedLanguages.languageBytes
+    })
+  );
+  
+  // Change how small languages are grouped, regrouping the fetched languages
+  const updateLanguageGrouping = (field, value) => {
+    const grouping = { ...languageGrouping, [field]: value };
+    setLanguageGrouping(grouping);
+    
+    // A new precision rounds the current shares, keeping edits
+    if (field === 'precision') {
+      setLanguageBreakdown(roundLanguageShares(languageBreakdown, value));
+    } else if (fetchedLanguages) {
+      setLanguageBreakdown(getFetchedBreakdown(grouping));
+    }
+  };
+  
+  // Restore the fetched share of one language, rescaling the unlocked others
+  const resetLanguage = (index) => {
+    const fetched = getFetchedBreakdown().find(lang => lang.name === languageBreakdown[index].name);
+    if (!fetched) return;
+    
+    const restored = languageBreakdown.map((lang, i) => (i === index ? { ...lang, bytes: fetched.bytes } : lang));
+    setLanguageBreakdown(resizeLanguage(restored, index, fetched.percentage, {
+      locked: lockedLanguages,
+      precision: languageGrouping.precision
+    }));
+  };
+  
   // Function to download the preview as an image
-  const downloadImage = () => {
+  const downloadImage = async () => {
     if (!canvasRef.current) return;
     
-    // Import html2canvas library
-    import('html2canvas').then(({ default: html2canvas }) => {
-      html2canvas(canvasRef.current, {
-        scale: 2, // Higher scale for better quality
-        backgroundColor: null,
-        logging: false
-      }).then(canvas => {
-        // Convert canvas to Blob
-        canvas.toBlob(blob => {
-          // Create download link
-          const url = URL.createObjectURL(blob);
-          const link = document.createElement('a');
-          link.href = url;
-          link.download = `${repoName.replace('/', '-')}-preview.png`;
-          document.body.appendChild(link);
-          link.click();
-          document.body.removeChild(link);
-          URL.revokeObjectURL(url);
-        }, 'image/png');
-      });
-    }).catch(err => {
-      console.error('Error loading html2canvas:', err);
+    try {
+      const canvas = await renderElementToCanvas(canvasRef.current, exportSize);
+      const blob = await setPngDpi(await canvasToPngBlob(canvas), clampDpi(exportDpi));
+      downloadBlob(blob, getPreviewFileName(repoName, 'png'));
+    } catch (err) {
+      console.error('Error generating image:', err);
       alert('Failed to generate image. Please try again.');
-    });
+    }
   };
 
-  // Function to copy the image to clipboard
-  const copyAsImage = () => {
+  // Function to download the preview as a vector image
+  const downloadSvg = async () => {
     if (!canvasRef.current) return;
     
-    import('html2canvas').then(({ default: html2canvas }) => {
-      html2canvas(canvasRef.current, {
-        scale: 2,
-        backgroundColor: null,
-        logging: false
-      }).then(canvas => {
-        canvas.toBlob(blob => {
-          try {
-            // Use Clipboard API if available
-            if (navigator.clipboard && navigator.clipboard.write) {
-              const item = new ClipboardItem({ 'image/png': blob });
-              navigator.clipboard.write([item]).then(() => {
-                setCopied(true);
-                setTimeout(() => setCopied(false), 2000);
-              }).catch(err => {
-                console.error('Error copying to clipboard:', err);
-                alert('Failed to copy to clipboard. Try using the download button instead.');
-              });
-            } else {
-              // Fallback - show an alert
-              alert('Clipboard functionality is not available. Please use the download button instead.');
-            }
-          } catch (err) {
-            console.error('Error copying to clipboard:', err);
-            alert('Failed to copy to clipboard. Try using the download button instead.');
-          }
-        }, 'image/png');
+    try {
+      // Lay out at the on-screen size so the vector matches the preview
+      const layoutWidth = canvasRef.current.offsetWidth;
+      const svg = await renderPreviewSvg({
+        repoName,
+        repoDescription,
+        stats: statRow,
+        numberFormat,
+        owner,
+        avatarUrl: processedAvatarUrl,
+        languageBreakdown,
+        palette: activePalette,
+        pattern: selectedPattern,
+        template: activeTemplate,
+        forge: repoForge,
+        contributors,
+        contributorCount,
+        contributorsHasMore,
+        contributorsPlacement,
+        topics: visibleTopics,
+        topicCount,
+        legendLayout,
+        legendCount
+      }, {
+        width: layoutWidth,
+        height: (layoutWidth * exportSize.height) / exportSize.width,
+        outputWidth: exportSize.width,
+        outputHeight: exportSize.height
       });
-    }).catch(err => {
-      console.error('Error loading html2canvas:', err);
+      downloadBlob(svgToBlob(svg), getPreviewFileName(repoName, 'svg'));
+    } catch (err) {
+      console.error('Error generating SVG:', err);
+      alert('Failed to generate SVG. Please try again.');
+    }
+  };
+
+  // Function to copy the image to clipboard
+  const copyAsImage = async () => {
+    if (!canvasRef.current) return;
+    
+    // Use Clipboard API if available
+    if (!navigator.clipboard || !navigator.clipboard.write) {
+      alert('Clipboard functionality is not available. Please use the download button instead.');
+      return;
+    }
+    
+    let blob;
+    try {
+      const canvas = await renderElementToCanvas(canvasRef.current, exportSize);
+      blob = await canvasToPngBlob(canvas);
+    } catch (err) {
+      console.error('Error generating image:', err);
       alert('Failed to generate image. Please try again.');
-    });
+      return;
+    }
+    
+    try {
+      const item = new ClipboardItem({ 'image/png': blob });
+      await navigator.clipboard.write([item]);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying to clipboard:', err);
+      alert('Failed to copy to clipboard. Try using the download button instead.');
+    }
+  };
+  
+  // Function to copy a link that reopens the current design
+  const copyPermalink = async () => {
+    const url = writePermalinkToUrl(permalinkPayload);
+    
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying link:', err);
+      alert('Failed to copy the link. You can copy it from the address bar instead.');
+    }
+  };
+  
+  // Cancel the repository fetch that is still in flight, if any
+  const cancelRepositoryFetch = () => {
+    if (repositoryRequest.current) {
+      repositoryRequest.current.abort();
+      repositoryRequest.current = null;
+      setLoading(false);
+    }
   };
   
-  // Fetch repository data from GitHub API
-  const fetchRepositoryData = async (repoFullName) => {
+  // Fetch repository data from the repository's forge (GitHub unless options.forge says otherwise)
+  const fetchRepositoryData = async (repoFullName, options = {}) => {
+    cancelRepositoryFetch();
+    const controller = new AbortController();
+    repositoryRequest.current = controller;
+    
     setLoading(true);
     setError('');
     
     try {
-      // Parse repo name to get username and repo
-      let username, repoName;
-      
-      if (repoFullName.includes('/')) {
-        [username, repoName] = repoFullName.split('/');
-      } else {
-        // If no slash, assume it's just the repo name
-        // This won't work with the GitHub API, but we'll handle that in the catch block
-        username = '';
-        repoName = repoFullName;
-      }
+      // Parse repo name to get username and repo (without a slash, username is empty)
+      const { username, repoName } = splitRepositoryName(repoFullName);
       
       if (!username || !repoName) {
         throw new Error('Please enter a valid repository in the format "username/repository"');
       }
       
       // Load all repository data
-      const data = await loadRepositoryData(username, repoName);
+      const data = await loadRepositoryData(username, repoName, { ...options, signal: controller.signal });
+      repositoryRequest.current = null;
       
       // Update state with fetched data
-      const { repoData, languageStats, avatarUrl } = data;
+      const { repoData, languageStats, languageBytes, avatarUrl } = data;
       
+      historyChange.current = { label: `Fetch ${repoData.full_name}` };
       setRepoName(repoData.full_name);
+      setRepoHost(options.host || GITHUB_HOST);
+      setRepoForge(options.forge || DEFAULT_FORGE);
       setRepoDescription(repoData.description || '');
-      setStars(repoData.stargazers_count.toString());
-      setForks(repoData.forks_count.toString());
-      setWatchers(repoData.watchers_count.toString());
+      // Stats the forge doesn't have are left empty (and hidden on the card)
+      setStatsData(data);
+      setStatsError('');
+      setStatsLoading(false);
+      setStatValues(getRepositoryStats(data));
       setOwner(repoData.owner.login);
       setAvatarUrl(avatarUrl);
       
+      // Contributors are fetched separately, only when the strip is shown
+      setLoadedRepo(repoData.full_name);
+      setContributors([]);
+      setContributorsRepo('');
+      setTopics((repoData.topics || []).map(name => ({ name, hidden: false })));
+      
       // Format language breakdown
-      const formattedLanguages = formatLanguageBreakdown(languageStats, languageColors);
-      setLanguageBreakdown(formattedLanguages);
+      setFetchedLanguages({ repo: repoData.full_name, languageStats, languageBytes });
+      setLanguageBreakdown(formatLanguageBreakdown(languageStats, {
+        ...languageGrouping,
+        languageBytes
+      }));
       
       setLoading(false);
     } catch (error) {
-      console.error('Error fetching repository data:', error);
-      setError(error.message || 'Failed to fetch repository data');
+      // A newer fetch or a new repository being typed took over
+      if (isAbortError(error)) return;
+      
+      repositoryRequest.current = null;
+      setError(getFetchErrorMessage(error));
       setLoading(false);
+      
+      if (error instanceof UnauthorizedError) {
+        setShowTokenSettings(true);
+      }
     }
   };
   
+  // Typing a different repository cancels the fetch of the previous one
+  const handleRepoUrlChange = (value) => {
+    cancelRepositoryFetch();
+    setRepoUrl(value);
+  };
+  
+  const handleRepoNameChange = (value) => {
+    cancelRepositoryFetch();
+    setRepoName(value);
+  };
+  
   // Handle GitHub URL input
   const handleGitHubUrlSubmit = (e) => {
     e.preventDefault();
     
-    const url = document.getElementById('repo-url')?.value;
+    const url = repoUrl.trim();
     if (!url) {
       setError('Please enter a GitHub repository URL');
       return;
     }
     
-    // Parse GitHub URL
-    const repoInfo = parseGitHubUrl(url);
+    // Parse the URL of any supported forge
+    const repoInfo = parseRepositoryUrl(url);
     if (!repoInfo) {
-      setError('Invalid GitHub URL. Please enter a valid repository URL (e.g., https://github.com/username/repository)');
+      setError('Invalid repository URL. Please enter a GitHub, GitLab, Bitbucket, Codeberg or Gitea repository URL (e.g., https://github.com/username/repository). GitHub Enterprise Server and self-hosted Gitea hosts need to be added in the GitHub Access settings first.');
       return;
     }
     
-    const { username, repoName } = repoInfo;
-    fetchRepositoryData(`${username}/${repoName}`);
+    const { username, repoName, host, forge } = repoInfo;
+    fetchRepositoryData(`${username}/${repoName}`, { forge, host });
   };
   
   // Handle manual input
@@ -440,37 +868,128 @@ const GitHubPreviewGenerator = () => {
       return;
     }
     
-    fetchRepositoryData(repoName);
+    // Pasted URLs name their forge and host; a bare "owner/repository" is on GitHub
+    const repoInfo = parseRepositoryUrl(repoName);
+    if (repoInfo) {
+      const { username, repoName: name, host, forge } = repoInfo;
+      fetchRepositoryData(`${username}/${name}`, { forge, host });
+    } else {
+      fetchRepositoryData(repoName.trim());
+    }
+  };
+  
+  // Handle a repository picked from the search suggestions
+  const handleUrlSuggestionSelect = (repo) => {
+    setRepoUrl(repo.html_url);
+    fetchRepositoryData(repo.full_name);
+  };
+  
+  const handleNameSuggestionSelect = (repo) => {
+    setRepoName(repo.full_name);
+    fetchRepositoryData(repo.full_name);
+  };
+  
+  // Re-fetch the current repository, revalidating any cached responses
+  const handleForceRefresh = () => {
+    if (!repoName || !repoName.includes('/')) {
+      setError('Please enter a repository name in the format "username/repository"');
+      return;
+    }
+    
+    fetchRepositoryData(repoName, { forge: repoForge, host: repoHost, forceRefresh: true });
   };
 
   // Get current theme
-  const theme = themes[selectedTheme];
+  const theme = themes[activeTheme];
+  
+  // Topics shown on the card, in the order set in the editor
+  const visibleTopics = topics.filter(topic => !topic.hidden).map(topic => topic.name);
+  
+  // Stats shown on the card, in the order set in the editor
+  const statRow = getStatRow(statSlots, statValues);
+  
+  // Card content shared by the preview and the template thumbnails
+  const cardProps = {
+    repoName,
+    repoDescription,
+    stats: statRow,
+    numberFormat,
+    owner,
+    avatarUrl: processedAvatarUrl,
+    languageBreakdown,
+    theme,
+    pattern: selectedPattern,
+    forge: repoForge,
+    contributors,
+    contributorCount,
+    contributorsHasMore,
+    contributorsPlacement,
+    topics: visibleTopics,
+    topicCount,
+    legendLayout,
+    legendCount,
+    width: exportSize.width,
+    height: exportSize.height
+  };
+  
+  // Fall back to the default layout for unknown template ids (e.g. from old links)
+  const activeTemplate = selectedTemplate in cardTemplates ? selectedTemplate : DEFAULT_TEMPLATE;
+
+  // Smallest percentage step in the language editor, and the fetched shares its rows can be reset to
+  const languagePrecisionStep = 1 / 10 ** languageGrouping.precision;
+  const fetchedBreakdown = getFetchedBreakdown();
 
   return (
     <div className="container my-5">
       <header className="text-center mb-5">
         <h1 className="title">GitHub Social Preview Generator</h1>
         <p className="subtitle">Create beautiful preview images for your GitHub repositories</p>
+        <button
+          type="button"
+          onClick={() => setShowTokenSettings(!showTokenSettings)}
+          className={`auth-indicator ${authStatus && authStatus.authenticated ? 'auth-indicator-authenticated' : ''}`}
+          aria-expanded={showTokenSettings}
+        >
+          {authStatus && authStatus.authenticated ? (
+            <ShieldCheck size={14} className="me-1" />
+          ) : (
+            <ShieldAlert size={14} className="me-1" />
+          )}
+          {!authStatus && 'Checking GitHub access...'}
+          {authStatus && (authStatus.authenticated ? 'Authenticated' : 'Unauthenticated, add a token')}
+        </button>
+        <RateLimitWidget />
       </header>
       
+      {showTokenSettings && (
+        <div className="row justify-content-center">
+          <div className="col-lg-6">
+            <TokenSettings onAuthStatusChange={setAuthStatus} />
+            <EnterpriseHostsSettings />
+            <GiteaHostsSettings />
+          </div>
+        </div>
+      )}
+      
       <div className="row">
         {/* Left Column - Controls */}
         <div className="col-md-6 mb-4">
           {/* GitHub URL Input */}
           <div className="card mb-4">
             <div className="card-body">
-              <h2 className="section-title mb-3">GitHub Repository</h2>
+              <h2 className="section-title mb-3">Repository</h2>
               <p className="text-muted mb-3">
-                Enter a GitHub repository URL to automatically fetch repository data
+                Enter a repository URL from GitHub, GitLab, Bitbucket or Codeberg, or start typing a name to search GitHub, to automatically fetch repository data
               </p>
               
               <form onSubmit={handleGitHubUrlSubmit}>
                 <div className="input-group mb-3">
-                  <input
-                    type="text"
-                    placeholder="https://github.com/username/repository"
-                    className="form-control"
+                  <RepositoryAutocomplete
                     id="repo-url"
+                    value={repoUrl}
+                    onChange={handleRepoUrlChange}
+                    onSelect={handleUrlSuggestionSelect}
+                    placeholder="https://github.com/username/repository"
                   />
                   <button 
                     type="submit"
@@ -494,6 +1013,20 @@ const GitHubPreviewGenerator = () => {
                   {error}
                 </div>
               )}
+              
+              <div className="d-flex justify-content-between align-items-center">
+                <small className="text-muted">Responses are cached to save API quota.</small>
+                <button
+                  type="button"
+                  onClick={handleForceRefresh}
+                  className="btn btn-sm btn-link p-0"
+                  disabled={loading}
+                  title="Ignore cached data and check GitHub for updates"
+                >
+                  <RotateCw size={14} className="me-1" />
+                  Force refresh
+                </button>
+              </div>
             </div>
           </div>
           
@@ -504,13 +1037,13 @@ const GitHubPreviewGenerator = () => {
               
               <form onSubmit={handleManualRepoSubmit}>
                 <div className="mb-3">
-                  <label className="form-label">Repository Name</label>
+                  <label className="form-label" htmlFor="repo-name">Repository Name</label>
                   <div className="input-group">
-                    <input
-                      type="text"
+                    <RepositoryAutocomplete
+                      id="repo-name"
                       value={repoName}
-                      onChange={(e) => setRepoName(e.target.value)}
-                      className="form-control"
+                      onChange={handleRepoNameChange}
+                      onSelect={handleNameSuggestionSelect}
                       placeholder="username/repository"
                     />
                     <button 
@@ -521,6 +1054,9 @@ const GitHubPreviewGenerator = () => {
                       <RefreshCw size={16} />
                     </button>
                   </div>
+                  {repoHost !== GITHUB_HOST && (
+                    <small className="text-muted">Loaded from {repoHost}</small>
+                  )}
                 </div>
                 
                 <div className="mb-3">
@@ -534,45 +1070,6 @@ const GitHubPreviewGenerator = () => {
                   />
                 </div>
                 
-                <div className="row">
-                  <div className="col-4">
-                    <div className="mb-3">
-                      <label className="form-label">Stars</label>
-                      <input
-                        type="text"
-                        value={stars}
-                        onChange={(e) => setStars(e.target.value)}
-                        className="form-control"
-                        placeholder="0"
-                      />
-                    </div>
-                  </div>
-                  <div className="col-4">
-                    <div className="mb-3">
-                      <label className="form-label">Forks</label>
-                      <input
-                        type="text"
-                        value={forks}
-                        onChange={(e) => setForks(e.target.value)}
-                        className="form-control"
-                        placeholder="0"
-                      />
-                    </div>
-                  </div>
-                  <div className="col-4">
-                    <div className="mb-3">
-                      <label className="form-label">Watchers</label>
-                      <input
-                        type="text"
-                        value={watchers}
-                        onChange={(e) => setWatchers(e.target.value)}
-                        className="form-control"
-                        placeholder="0"
-                      />
-                    </div>
-                  </div>
-                </div>
-                
                 <div className="mb-3">
                   <label className="form-label">Avatar URL (username or full URL)</label>
                   <input
@@ -588,6 +1085,17 @@ const GitHubPreviewGenerator = () => {
             </div>
           </div>
           
+          <StatsSettings
+            slots={statSlots}
+            onSlotsChange={setStatSlots}
+            values={statValues}
+            onValueChange={(id, value) => setStatValues({ ...statValues, [id]: value })}
+            numberFormat={numberFormat}
+            onNumberFormatChange={setNumberFormat}
+            loading={statsLoading}
+            error={statsError}
+          />
+          
           {/* Languages */}
           <div className="card mb-4">
             <div className="card-body">
@@ -598,7 +1106,7 @@ const GitHubPreviewGenerator = () => {
                     onClick={addLanguage}
                     className="btn btn-sm btn-light rounded-circle"
                     title="Add Language"
-                    disabled={languageBreakdown.length >= 6}
+                    disabled={languageBreakdown.length >= languageGrouping.maxSegments}
                   >
                     <Plus size={16} />
                   </button>
@@ -607,30 +1115,50 @@ const GitHubPreviewGenerator = () => {
               
               {languageBreakdown.map((lang, index) => (
                 <div key={index} className="d-flex align-items-center mb-3">
-                  <div className={`lang-dot ${lang.color}`}></div>
+                  <div className="lang-dot" style={{ backgroundColor: lang.color }}></div>
                   
-                  <select
+                  <LanguagePicker
+                    id={`language-${index}`}
                     value={lang.name}
-                    onChange={(e) => updateLanguage(index, 'name', e.target.value)}
-                    className="form-select form-select-sm mx-2 flex-grow-1"
-                  >
-                    {languageOptions.map(option => (
-                      <option key={option} value={option}>{option}</option>
-                    ))}
-                  </select>
+                    onChange={(name) => updateLanguage(index, 'name', name)}
+                    title={lang.languages ? lang.languages.join(', ') : undefined}
+                    className="mx-2"
+                  />
+                  
+                  {lang.bytes > 0 && (
+                    <span className="small text-muted text-nowrap me-2">{formatBytes(lang.bytes)}</span>
+                  )}
                   
                   <div className="d-flex align-items-center" style={{width: "100px"}}>
-                    <input
-                      type="number"
-                      min="1"
-                      max="99"
+                    <PercentageInput
                       value={lang.percentage}
-                      onChange={(e) => updateLanguage(index, 'percentage', e.target.value)}
-                      className="form-control form-control-sm"
+                      step={languagePrecisionStep}
+                      onChange={(percentage) => updateLanguage(index, 'percentage', percentage)}
+                      aria-label={`${lang.name} share`}
                     />
                     <span className="small text-muted ms-1">%</span>
                   </div>
                   
+                  <button 
+                    onClick={() => toggleLanguageLock(index)}
+                    className={`btn btn-sm ms-2 rounded-circle ${lockedLanguages.includes(lang.name) ? 'btn-secondary' : 'btn-light'}`}
+                    title={lockedLanguages.includes(lang.name) ? 'Unlock share' : 'Lock share'}
+                    aria-pressed={lockedLanguages.includes(lang.name)}
+                  >
+                    {lockedLanguages.includes(lang.name) ? <Lock size={14} /> : <Unlock size={14} />}
+                  </button>
+                  
+                  {fetchedBreakdown && (
+                    <button 
+                      onClick={() => resetLanguage(index)}
+                      className="btn btn-sm btn-light ms-2 rounded-circle"
+                      title="Reset to fetched value"
+                      disabled={!fetchedBreakdown.some(fetched => fetched.name === lang.name)}
+                    >
+                      <RotateCcw size={14} />
+                    </button>
+                  )}
+                  
                   <button 
                     onClick={() => removeLanguage(index)}
                     className="btn btn-sm btn-light ms-2 rounded-circle"
@@ -642,21 +1170,176 @@ const GitHubPreviewGenerator = () => {
                 </div>
               ))}
               
-              <LanguageBar languages={languageBreakdown} />
+              <LanguageBar
+                languages={languageBreakdown}
+                lockedLanguages={lockedLanguages}
+                onLanguageClick={toggleLanguageLock}
+                onResize={(index, percentage) => updateLanguage(index, 'percentage', percentage)}
+                onBoundaryMove={(index, percentage) => setLanguageBreakdown(
+                  moveLanguageBoundary(languageBreakdown, index, percentage, languageGrouping.precision)
+                )}
+                onReorder={(from, to) => setLanguageBreakdown(moveLanguage(languageBreakdown, from, to))}
+                precision={languageGrouping.precision}
+              />
               
               <div className="text-muted small fst-italic mt-1">
-                Total: 100%
+                Total: 100%. Drag the dividers to resize, drag a language to reorder it and click it to lock its share.
+              </div>
+              
+              <div className="d-flex justify-content-between align-items-end gap-2 mt-2">
+                <div>
+                  <label className="form-label small" htmlFor="language-precision">Decimals</label>
+                  <select
+                    id="language-precision"
+                    value={languageGrouping.precision}
+                    onChange={(e) => updateLanguageGrouping('precision', parseInt(e.target.value))}
+                    className="form-select form-select-sm"
+                  >
+                    {Array.from({ length: MAX_LANGUAGE_PRECISION + 1 }, (_, precision) => (
+                      <option key={precision} value={precision}>{precision}</option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={() => setLanguageBreakdown(getFetchedBreakdown())}
+                  className="btn btn-sm btn-outline-secondary"
+                  disabled={!fetchedLanguages}
+                  title={fetchedLanguages ? `Restore the languages fetched for ${fetchedLanguages.repo}` : 'Fetch a repository first'}
+                >
+                  <RotateCcw size={14} className="me-1" />
+                  Reset to fetched values
+                </button>
+              </div>
+              
+              <div className="row g-2 mt-2">
+                <div className="col-6">
+                  <label className="form-label small" htmlFor="language-min-share">
+                    Group languages below
+                  </label>
+                  <div className="input-group input-group-sm">
+                    <input
+                      type="number"
+                      id="language-min-share"
+                      min="0"
+                      max="25"
+                      step="0.5"
+                      value={languageGrouping.minShare}
+                      onChange={(e) => updateLanguageGrouping('minShare', Math.min(Math.max(parseFloat(e.target.value) || 0, 0), 25))}
+                      className="form-control"
+                    />
+                    <span className="input-group-text">%</span>
+                  </div>
+                </div>
+                <div className="col-6">
+                  <label className="form-label small" htmlFor="language-max-segments">
+                    Max segments
+                  </label>
+                  <input
+                    type="number"
+                    id="language-max-segments"
+                    min="2"
+                    max="10"
+                    value={languageGrouping.maxSegments}
+                    onChange={(e) => updateLanguageGrouping('maxSegments', Math.min(Math.max(parseInt(e.target.value) || 2, 2), 10))}
+                    className="form-control form-control-sm"
+                  />
+                </div>
+              </div>
+              <small className="text-muted">
+                Smaller languages are combined into "{OTHER_LANGUAGE}". Changing these regroups the last fetched repository.
+              </small>
+              
+              <div className="row g-2 mt-2">
+                <div className="col-6">
+                  <label className="form-label small" htmlFor="legend-layout">Legend on card</label>
+                  <select
+                    id="legend-layout"
+                    value={legendLayout}
+                    onChange={(e) => setLegendLayout(e.target.value)}
+                    className="form-select form-select-sm"
+                  >
+                    {legendLayouts.map(option => (
+                      <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-6">
+                  <label className="form-label small" htmlFor="legend-count">
+                    Legend entries: {legendCount}
+                  </label>
+                  <input
+                    id="legend-count"
+                    type="range"
+                    min="1"
+                    max="10"
+                    value={legendCount}
+                    onChange={(e) => setLegendCount(parseInt(e.target.value))}
+                    className="form-range"
+                    disabled={legendLayout === 'none'}
+                  />
+                </div>
               </div>
             </div>
           </div>
           
+          {/* Layout Template */}
+          <TemplateSelector
+            selectedTemplate={activeTemplate}
+            onTemplateChange={setSelectedTemplate}
+            cardProps={cardProps}
+          />
+          
           {/* Theme Selector */}
           <ThemeSelector 
-            selectedTheme={selectedTheme} 
+            selectedTheme={activeTheme} 
             onThemeChange={setSelectedTheme} 
             themes={themes}
             selectedPattern={selectedPattern}
             onPatternChange={setSelectedPattern}
+            customThemes={customThemes}
+            sharedThemeId={sharedTheme && sharedTheme.id}
+            onSaveSharedTheme={saveSharedTheme}
+            onCreateTheme={createCustomTheme}
+            onUpdateTheme={updateCustomTheme}
+            onDeleteTheme={deleteCustomTheme}
+            onImportThemes={importCustomThemes}
+          />
+          
+          {/* Contributors */}
+          <ContributorsSettings
+            placement={contributorsPlacement}
+            onPlacementChange={setContributorsPlacement}
+            count={contributorCount}
+            onCountChange={setContributorCount}
+            available={contributors.length}
+            loading={contributorsLoading}
+            error={contributorsError}
+          />
+          
+          {/* Topics */}
+          <TopicsSettings
+            topics={topics}
+            onTopicsChange={setTopics}
+            count={topicCount}
+            onCountChange={setTopicCount}
+          />
+          
+          {/* Export Size */}
+          <ExportSettings
+            preset={exportPreset}
+            onPresetChange={setExportPreset}
+            size={exportSize}
+            customSize={customSize}
+            onCustomSizeChange={setCustomSize}
+            dpi={exportDpi}
+            onDpiChange={setExportDpi}
+          />
+          
+          {/* Saved Designs */}
+          <DesignLibrary
+            currentDesign={designState}
+            defaultName={repoName}
+            onOpen={openSavedDesign}
           />
           
           {/* Action Buttons */}
@@ -668,6 +1351,13 @@ const GitHubPreviewGenerator = () => {
               <Download size={16} className="me-1" />
               Download PNG
             </button>
+            <button 
+              onClick={downloadSvg}
+              className="btn btn-outline-primary"
+            >
+              <FileCode size={16} className="me-1" />
+              Download SVG
+            </button>
             <button 
               onClick={copyAsImage}
               className="btn btn-outline-secondary"
@@ -675,6 +1365,31 @@ const GitHubPreviewGenerator = () => {
               {copied ? <CheckCircle size={16} className="me-1" /> : <Copy size={16} className="me-1" />}
               {copied ? 'Copied!' : 'Copy'}
             </button>
+            <button 
+              onClick={copyPermalink}
+              className="btn btn-outline-secondary"
+              title="Copy a link that reopens this exact design"
+            >
+              {linkCopied ? <CheckCircle size={16} className="me-1" /> : <Link2 size={16} className="me-1" />}
+              {linkCopied ? 'Link copied!' : 'Share link'}
+            </button>
+          </div>
+          
+          {/* Batch Generation */}
+          <div className="mt-4">
+            <BatchGenerator
+              theme={theme}
+              pattern={selectedPattern}
+              template={activeTemplate}
+              languageGrouping={languageGrouping}
+              legendLayout={legendLayout}
+              legendCount={legendCount}
+              statSlots={statSlots}
+              numberFormat={numberFormat}
+              topicCount={topicCount}
+              exportSize={exportSize}
+              exportDpi={exportDpi}
+            />
           </div>
         </div>
         
@@ -691,22 +1406,14 @@ const GitHubPreviewGenerator = () => {
               )}
               
               <PreviewCard 
-                repoName={repoName}
-                repoDescription={repoDescription}
-                stars={stars}
-                forks={forks}
-                watchers={watchers}
-                owner={owner}
-                avatarUrl={processedAvatarUrl}
-                languageBreakdown={languageBreakdown}
-                theme={theme}
-                pattern={selectedPattern}
+                {...cardProps}
+                template={activeTemplate}
                 forwardedRef={canvasRef}
               />
             </div>
             
             <div className="text-muted small fst-italic mt-3">
-              <div><strong>Tip:</strong> Click "Download PNG" to save this image, then upload it to your GitHub repository's social preview.</div>
+              <div><strong>Tip:</strong> Click "Download PNG" to save this image, then upload it to your GitHub repository's social preview. Use "Download SVG" for a vector version that stays sharp at any size.</div>
               <div className="mt-2">
                 <a href="https://docs.github.com/en/repositories/managing-your-repositorys-settings-and-features/customizing-your-repository/customizing-your-repositorys-social-media-preview" target="_blank" rel="noreferrer" className="text-decoration-none">
                   <Github size={14} className="me-1" />
@@ -714,6 +1421,14 @@ const GitHubPreviewGenerator = () => {
                 </a>
               </div>
             </div>
+            
+            {history && (
+              <HistoryPanel
+                entries={history.entries}
+                index={history.index}
+                onJump={goToHistoryStep}
+              />
+            )}
           </div>
         </div>
       </div>
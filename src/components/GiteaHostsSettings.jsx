@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Server, Plus, Trash2 } from 'lucide-react';
+import {
+  getGiteaHosts,
+  saveGiteaHosts,
+  normalizeGiteaHost
+} from '../utils/gitea-hosts';
+
+/**
+ * GiteaHostsSettings component for adding self-hosted Gitea instances
+ */
+const GiteaHostsSettings = () => {
+  const [hosts, setHosts] = useState(getGiteaHosts);
+  const [hostName, setHostName] = useState('');
+  const [error, setError] = useState('');
+
+  const updateHosts = (nextHosts) => {
+    saveGiteaHosts(nextHosts);
+    setHosts(getGiteaHosts());
+  };
+
+  const handleAddHost = (e) => {
+    e.preventDefault();
+
+    try {
+      const entry = normalizeGiteaHost(hostName);
+
+      if (hosts.some(existing => existing.host === entry.host)) {
+        setError(`${entry.host} is already configured`);
+        return;
+      }
+
+      updateHosts([...hosts, entry]);
+      setHostName('');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveHost = (host) => {
+    updateHosts(hosts.filter(entry => entry.host !== host));
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <Server size={18} className="me-2" />
+          Gitea Servers
+        </h2>
+        <p className="text-muted mb-3">
+          Add self-hosted Gitea or Forgejo hosts to load public repositories from URLs such as
+          https://git.company.com/org/repo. The instance has to allow cross-origin API requests.
+        </p>
+
+        {hosts.length > 0 && (
+          <ul className="list-group mb-3">
+            {hosts.map(entry => (
+              <li className="list-group-item d-flex align-items-center justify-content-between" key={entry.host}>
+                <div>
+                  {entry.host}
+                  {entry.builtIn && <span className="badge bg-secondary ms-2">built-in</span>}
+                </div>
+                {!entry.builtIn && (
+                  <button
+                    onClick={() => handleRemoveHost(entry.host)}
+                    className="btn btn-sm btn-outline-danger"
+                    title="Remove host"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && (
+          <div className="alert alert-danger" role="alert">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleAddHost}>
+          <label className="form-label" htmlFor="gitea-host">Host</label>
+          <div className="input-group input-group-sm">
+            <input
+              type="text"
+              id="gitea-host"
+              value={hostName}
+              onChange={(e) => setHostName(e.target.value)}
+              className="form-control"
+              placeholder="git.company.com"
+            />
+            <button type="submit" className="btn btn-outline-primary">
+              <Plus size={14} className="me-1" />
+              Add host
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default GiteaHostsSettings;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { History, Undo2, Redo2 } from 'lucide-react';
+
+/**
+ * HistoryPanel component listing the editor's undo steps
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.entries - History entries, oldest first ({ label, time })
+ * @param {Number} props.index - Index of the current entry
+ * @param {Function} props.onJump - Function to call with the index of the entry to go back or forward to
+ */
+const HistoryPanel = ({ entries, index, onJump }) => (
+  <div className="card mt-4">
+    <div className="card-body">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h2 className="section-title">
+          <History size={18} className="me-2" />
+          History
+        </h2>
+        <div className="btn-group btn-group-sm">
+          <button
+            onClick={() => onJump(index - 1)}
+            className="btn btn-light"
+            title="Undo (Ctrl+Z)"
+            disabled={index === 0}
+          >
+            <Undo2 size={14} />
+          </button>
+          <button
+            onClick={() => onJump(index + 1)}
+            className="btn btn-light"
+            title="Redo (Ctrl+Shift+Z)"
+            disabled={index === entries.length - 1}
+          >
+            <Redo2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      <ul className="list-group list-group-flush history-list">
+        {entries.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => (
+          <li key={`${i}-${entry.time}`} className="list-group-item p-0">
+            <button
+              type="button"
+              onClick={() => onJump(i)}
+              className={`history-item ${i === index ? 'active' : ''} ${i > index ? 'history-item-undone' : ''}`}
+              aria-current={i === index ? 'step' : undefined}
+            >
+              <span className="text-truncate">{entry.label}</span>
+              <small className="text-muted ms-2">{new Date(entry.time).toLocaleTimeString()}</small>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  </div>
+);
+
+export default HistoryPanel;
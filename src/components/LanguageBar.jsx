@@ -1,43 +1,233 @@
-import React from 'react';
-import '../styles/languages.css';
+import React, { useState, useRef, useEffect, useId } from 'react';
+import { getLanguageLabel, getLanguageColor, moveLanguage } from '../utils/languages';
+
+// Pointer movement (px) before pressing a segment becomes a drag
+const DRAG_THRESHOLD = 4;
 
 /**
  * LanguageBar component for displaying language breakdown
- * 
+ *
+ * The editor passes the change handlers below to make the bar directly
+ * editable: dragging a divider moves share between its two neighbours,
+ * dragging a segment reorders it. Segments and dividers are focusable, so
+ * everything can also be done with the keyboard.
+ *
  * @param {Object} props - Component props
- * @param {Array} props.languages - Array of language objects with name, percentage, and color
+ * @param {Array} props.languages - Array of language objects with name, percentage, hex color and (optionally) bytes
  * @param {Boolean} props.isPreview - Whether this is rendered in the preview card
- * @param {Function} props.onLanguageClick - Optional click handler for each language section
+ * @param {Function} props.onLanguageClick - Optional click handler for each language section (also run by Enter and Space)
+ * @param {Array} props.lockedLanguages - Names of the locked languages, marked on the bar
+ * @param {Function} props.onResize - Function to call with an index and a new share (Up and Down arrows on a segment)
+ * @param {Function} props.onBoundaryMove - Function to call with the index left of a divider and its new share
+ * @param {Function} props.onReorder - Function to call with the current and the new index of a segment
+ * @param {Number} props.precision - Decimals of the shares set by dragging and the keyboard
  */
-const LanguageBar = ({ languages, isPreview = false, onLanguageClick }) => {
+const LanguageBar = ({
+  languages,
+  isPreview = false,
+  onLanguageClick,
+  lockedLanguages = [],
+  onResize,
+  onBoundaryMove,
+  onReorder,
+  precision = 0
+}) => {
+  const barRef = useRef(null);
+  const segmentRefs = useRef([]);
+  const drag = useRef(null);
+  const suppressClick = useRef(false);
+  const focusIndex = useRef(null);
+  const [reorder, setReorder] = useState(null);
+  const hintId = useId();
+
+  // Keep focus on a segment moved with the keyboard
+  useEffect(() => {
+    if (focusIndex.current !== null && segmentRefs.current[focusIndex.current]) {
+      segmentRefs.current[focusIndex.current].focus();
+    }
+    focusIndex.current = null;
+  });
+
   // If no languages provided, show a placeholder
   if (!languages || languages.length === 0) {
     return (
       <div className={`language-bar ${isPreview ? 'preview-language-bar' : ''}`}>
-        <div className="language-bar-item lang-javascript" style={{ width: '100%' }}></div>
+        <div className="language-bar-item" style={{ width: '100%', backgroundColor: getLanguageColor('JavaScript') }}></div>
       </div>
     );
   }
 
+  const editable = Boolean(onResize || onBoundaryMove || onReorder);
+  const step = 1 / 10 ** precision;
+  const isLocked = (lang) => lockedLanguages.includes(lang.name);
+  const starts = languages.map((_, index) => languages.slice(0, index).reduce((sum, lang) => sum + lang.percentage, 0));
+
+  // Position of the pointer along the bar, in percent
+  const getPointerShare = (e) => {
+    const rect = barRef.current.getBoundingClientRect();
+    return ((e.clientX - rect.left) / rect.width) * 100;
+  };
+
+  // Position a dragged segment would take: after every other segment whose middle it passed
+  const getDropIndex = (from, share) => (
+    languages.filter((lang, index) => index !== from && starts[index] + lang.percentage / 2 < share).length
+  );
+
+  const startSegmentDrag = (e, index) => {
+    if (!onReorder || e.button !== 0) return;
+    suppressClick.current = false;
+    drag.current = { type: 'segment', index, x: e.clientX, pointerId: e.pointerId };
+  };
+
+  const startBoundaryDrag = (e, index) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    barRef.current.setPointerCapture(e.pointerId);
+    drag.current = { type: 'boundary', index, pointerId: e.pointerId };
+  };
+
+  const handlePointerMove = (e) => {
+    const current = drag.current;
+    if (!current || current.pointerId !== e.pointerId) return;
+
+    if (current.type === 'boundary') {
+      onBoundaryMove(current.index, getPointerShare(e) - starts[current.index]);
+      return;
+    }
+
+    // Only capture once the pointer moved, so a plain press still clicks the segment
+    if (!reorder && Math.abs(e.clientX - current.x) < DRAG_THRESHOLD) return;
+    if (!reorder) {
+      barRef.current.setPointerCapture(e.pointerId);
+    }
+    setReorder({ from: current.index, to: getDropIndex(current.index, getPointerShare(e)) });
+  };
+
+  const endDrag = (e) => {
+    if (!drag.current || drag.current.pointerId !== e.pointerId) return;
+
+    if (reorder) {
+      suppressClick.current = true;
+      if (e.type === 'pointerup' && reorder.to !== reorder.from) {
+        onReorder(reorder.from, reorder.to);
+      }
+    }
+    drag.current = null;
+    setReorder(null);
+  };
+
+  const handleSegmentClick = (index) => {
+    if (suppressClick.current) {
+      suppressClick.current = false;
+      return;
+    }
+    onLanguageClick(index);
+  };
+
+  const handleSegmentKeyDown = (e, index) => {
+    const amount = e.shiftKey ? step * 10 : step;
+
+    if ((e.key === 'Enter' || e.key === ' ') && onLanguageClick) {
+      e.preventDefault();
+      onLanguageClick(index);
+    } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && onReorder) {
+      const target = index + (e.key === 'ArrowLeft' ? -1 : 1);
+      if (target < 0 || target >= languages.length) return;
+
+      e.preventDefault();
+      focusIndex.current = target;
+      onReorder(index, target);
+    } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && onResize) {
+      e.preventDefault();
+      onResize(index, languages[index].percentage + (e.key === 'ArrowUp' ? amount : -amount));
+    }
+  };
+
+  const handleBoundaryKeyDown = (e, index) => {
+    const amount = e.shiftKey ? step * 10 : step;
+    const share = languages[index].percentage;
+    const changes = {
+      ArrowLeft: share - amount,
+      ArrowDown: share - amount,
+      ArrowRight: share + amount,
+      ArrowUp: share + amount,
+      Home: 0,
+      End: 100
+    };
+
+    if (changes[e.key] === undefined) return;
+    e.preventDefault();
+    onBoundaryMove(index, changes[e.key]);
+  };
+
+  // While reordering, the bar shows the order the drop would give
+  const order = languages.map((lang, index) => ({ lang, index }));
+  const shown = reorder ? moveLanguage(order, reorder.from, reorder.to) : order;
+
+  const keyboardHint = [
+    onLanguageClick && 'Enter locks or unlocks the language.',
+    onReorder && 'Left and Right arrows move it.',
+    onResize && 'Up and Down arrows change its share, the unlocked languages make up the difference.'
+  ].filter(Boolean).join(' ');
+
   return (
-    <div className={`language-bar ${isPreview ? 'preview-language-bar' : ''}`}>
-      {languages.map((lang, index) => (
-        <div 
-          key={index} 
-          className={`language-bar-item ${lang.color} ${isPreview ? 'preview-language-bar-item' : ''}`} 
-          style={{ width: `${lang.percentage}%` }}
-          data-tooltip={`${lang.name}: ${lang.percentage}%`}
-          onClick={onLanguageClick ? () => onLanguageClick(index) : undefined}
+    <div
+      ref={barRef}
+      className={`language-bar ${isPreview ? 'preview-language-bar' : ''} ${editable ? 'language-bar-editable' : ''}`}
+      onPointerMove={editable ? handlePointerMove : undefined}
+      onPointerUp={editable ? endDrag : undefined}
+      onPointerCancel={editable ? endDrag : undefined}
+    >
+      {shown.map(({ lang, index }, position) => (
+        <div
+          key={position}
+          ref={el => { segmentRefs.current[index] = el; }}
+          className={`language-bar-item ${isPreview ? 'preview-language-bar-item' : ''} ${isLocked(lang) && editable ? 'language-bar-item-locked' : ''} ${reorder && reorder.from === index ? 'language-bar-item-dragging' : ''}`}
+          style={{ width: `${lang.percentage}%`, backgroundColor: lang.color }}
+          data-tooltip={getLanguageLabel(lang)}
+          title={editable ? getLanguageLabel(lang) : undefined}
+          onClick={onLanguageClick ? () => handleSegmentClick(index) : undefined}
+          onKeyDown={editable || onLanguageClick ? (e) => handleSegmentKeyDown(e, index) : undefined}
+          onPointerDown={onReorder ? (e) => startSegmentDrag(e, index) : undefined}
           role={onLanguageClick ? "button" : undefined}
           tabIndex={onLanguageClick ? 0 : undefined}
+          aria-pressed={onLanguageClick && editable ? isLocked(lang) : undefined}
+          aria-describedby={onLanguageClick && editable ? hintId : undefined}
         >
           {!isPreview && (
             <div className="language-bar-tooltip">
-              {lang.name}: {lang.percentage}%
+              {getLanguageLabel(lang)}
             </div>
           )}
         </div>
       ))}
+
+      {onBoundaryMove && !reorder && languages.slice(0, -1).map((lang, index) => {
+        const next = languages[index + 1];
+        if (isLocked(lang) || isLocked(next)) return null;
+
+        return (
+          <div
+            key={`boundary-${index}`}
+            className="language-bar-handle"
+            style={{ left: `${starts[index + 1]}%` }}
+            onPointerDown={(e) => startBoundaryDrag(e, index)}
+            onKeyDown={(e) => handleBoundaryKeyDown(e, index)}
+            role="separator"
+            aria-orientation="vertical"
+            aria-label={`Divider between ${lang.name} and ${next.name}`}
+            aria-valuemin={step}
+            aria-valuemax={Number((lang.percentage + next.percentage - step).toFixed(precision))}
+            aria-valuenow={lang.percentage}
+            aria-valuetext={`${lang.name} ${lang.percentage}%, ${next.name} ${next.percentage}%`}
+            tabIndex={0}
+          />
+        );
+      })}
+
+      {onLanguageClick && editable && (
+        <span id={hintId} className="visually-hidden">{keyboardHint}</span>
+      )}
     </div>
   );
 };
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { searchLanguages, getLanguageColor } from '../utils/languages';
+
+// Number of matches to show
+const MAX_MATCHES = 10;
+
+/**
+ * LanguagePicker component: a searchable, keyboard-navigable list of every
+ * language GitHub Linguist knows
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.id - Input element id
+ * @param {String} props.value - Selected language
+ * @param {Function} props.onChange - Function to call with the chosen language name
+ * @param {String} props.title - Optional tooltip of the input
+ * @param {String} props.className - Extra classes for the wrapper
+ */
+const LanguagePicker = ({ id, value, onChange, title, className = '' }) => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // The input shows the selected language until it is focused for searching
+  const matches = open ? searchLanguages(query, MAX_MATCHES) : [];
+  const listId = `${id}-options`;
+
+  const close = () => {
+    setOpen(false);
+    setQuery('');
+    setActiveIndex(-1);
+  };
+
+  const selectLanguage = (name) => {
+    close();
+    if (name !== value) {
+      onChange(name);
+    }
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    setActiveIndex(0);
+    setOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setOpen(true);
+      }
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => (index + 1) % Math.max(matches.length, 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => (index <= 0 ? matches.length - 1 : index - 1));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (matches[activeIndex]) {
+          selectLanguage(matches[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        close();
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className={`language-picker ${className}`}>
+      <input
+        type="text"
+        id={id}
+        value={open ? query : value}
+        placeholder={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={close}
+        className="form-control form-control-sm"
+        title={title}
+        autoComplete="off"
+        spellCheck="false"
+        role="combobox"
+        aria-label="Language"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={activeIndex >= 0 && matches[activeIndex] ? `${listId}-${activeIndex}` : undefined}
+      />
+      {open && (
+        <ul className="repo-autocomplete-menu" id={listId} role="listbox">
+          {matches.length === 0 && (
+            <li className="repo-autocomplete-notice">No matching languages</li>
+          )}
+          {matches.map((name, index) => (
+            <li
+              key={name}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`repo-autocomplete-item ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectLanguage(name)}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="lang-dot" style={{ backgroundColor: getLanguageColor(name) }}></span>
+              <span className="repo-autocomplete-name">{name}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LanguagePicker;
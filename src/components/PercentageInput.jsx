@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+
+/**
+ * PercentageInput component for editing a language share
+ *
+ * Keeps what is being typed until it is a usable share, so entries such as
+ * "0.4" can be typed through "0" and "0." without being clamped on the way.
+ * On blur it shows the share that was actually applied.
+ *
+ * @param {Object} props - Component props
+ * @param {Number} props.value - Current share in percent
+ * @param {Number} props.step - Smallest share (and the step of the arrows)
+ * @param {Function} props.onChange - Function to call with the new share
+ */
+const PercentageInput = ({ value, step, onChange, ...props }) => {
+  const [draft, setDraft] = useState(null);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+
+    const share = parseFloat(e.target.value);
+    if (share >= step) {
+      onChange(share);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      min={step}
+      max="100"
+      step={step}
+      value={draft === null ? value : draft}
+      onChange={handleChange}
+      onBlur={() => setDraft(null)}
+      className="form-control form-control-sm"
+      {...props}
+    />
+  );
+};
+
+export default PercentageInput;
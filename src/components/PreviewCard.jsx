@@ -1,42 +1,98 @@
 import React from 'react';
-import { Github, Code, Eye, DownloadCloud } from 'lucide-react';
-import LanguageBar from './LanguageBar';
+import { ContributorsStrip, ForgeIcon, LanguageLegend, TopicBadges } from './templates/CardParts';
+import { getCardTemplate } from './templates';
+import { getCardFormat } from '../utils/export-sizes';
+import { splitRepositoryName } from '../utils/providers';
+import { DEFAULT_NUMBER_FORMAT, formatStatRow } from '../utils/stats';
 import '../styles/themes.css';
 
 /**
- * PreviewCard component for displaying GitHub repository preview
+ * PreviewCard component for displaying a repository preview
  * 
  * @param {Object} props - Component props
  * @param {String} props.repoName - Repository name
  * @param {String} props.repoDescription - Repository description
- * @param {String} props.stars - Number of stars
- * @param {String} props.forks - Number of forks
- * @param {String} props.watchers - Number of watchers (optional)
+ * @param {Array} props.stats - Stats in display order ({ id, value }, see utils/stats.js)
+ * @param {Object} props.numberFormat - How counts are written ({ mode: "compact", "full" or "raw", locale, precision })
  * @param {String} props.owner - Repository owner name
  * @param {String} props.avatarUrl - Repository owner avatar URL
  * @param {Array} props.languageBreakdown - Array of language objects
- * @param {Object} props.theme - Theme object with styling classes
+ * @param {Object} props.theme - Theme object with styling classes and CSS variables (style)
  * @param {String} props.pattern - Background pattern name
+ * @param {String} props.template - Layout template id (see templates/index.js)
+ * @param {String} props.forge - Forge the repository lives on, shown as a logo (see utils/providers)
+ * @param {Array} props.contributors - Contributors to credit ({ login, avatarUrl })
+ * @param {Number} props.contributorCount - Number of contributor avatars to show
+ * @param {Boolean} props.contributorsHasMore - Whether the contributor list was truncated
+ * @param {String} props.contributorsPlacement - "none", "description" or "bottom"
+ * @param {Array} props.topics - Topic names to show as badges, in order
+ * @param {Number} props.topicCount - Maximum number of topic badges
+ * @param {String} props.legendLayout - Language legend layout: "none", "inline", "columns" or "chips"
+ * @param {Number} props.legendCount - Maximum number of languages in the legend
+ * @param {Number} props.width - Export width, used for the card's aspect ratio
+ * @param {Number} props.height - Export height, used for the card's aspect ratio
  * @param {React.RefObject} props.forwardedRef - Ref to be forwarded to the card component
  */
 const PreviewCard = ({ 
   repoName, 
   repoDescription, 
-  stars, 
-  forks,
-  watchers,
+  stats = [],
+  numberFormat = DEFAULT_NUMBER_FORMAT,
   owner,
   avatarUrl,
   languageBreakdown, 
   theme,
   pattern = '',
+  template = 'classic',
+  forge = 'github',
+  contributors = [],
+  contributorCount = 5,
+  contributorsHasMore = false,
+  contributorsPlacement = 'none',
+  topics = [],
+  topicCount = 5,
+  legendLayout = 'none',
+  legendCount = 6,
+  width = 1280,
+  height = 640,
   forwardedRef
 }) => {
-  // Extract repo name without owner if it includes '/'
-  const displayName = repoName.includes('/') ? repoName.split('/')[1] : repoName;
+  // Extract repo name without owner (which may itself contain '/', e.g. GitLab subgroups)
+  const { username, repoName: displayName } = splitRepositoryName(repoName);
   
   // Process owner name
-  const displayOwner = owner || (repoName.includes('/') ? repoName.split('/')[0] : '');
+  const displayOwner = owner || username;
+  
+  // Reflow the layout for the export aspect ratio instead of stretching it
+  const format = getCardFormat(width, height);
+  
+  const Template = getCardTemplate(template).component;
+  
+  // Contributors strip, rendered in the chosen position
+  const contributorsStrip = contributorsPlacement !== 'none' && contributors.length > 0 && (
+    <ContributorsStrip
+      contributors={contributors}
+      count={contributorCount}
+      hasMore={contributorsHasMore}
+      theme={theme}
+      placement={contributorsPlacement}
+    />
+  );
+  
+  // Topic badges, rendered below the description
+  const topicBadges = topicCount > 0 && topics.length > 0 && (
+    <TopicBadges topics={topics} count={topicCount} theme={theme} />
+  );
+  
+  // Language legend, rendered above the language bar
+  const languageLegend = legendLayout !== 'none' && languageBreakdown.length > 0 && (
+    <LanguageLegend
+      languages={languageBreakdown}
+      layout={legendLayout}
+      count={legendCount}
+      theme={theme}
+    />
+  );
   
   // Get CSS class for selected pattern
   const getPatternClass = () => {
@@ -52,68 +108,28 @@ const PreviewCard = ({
   return (
     <div 
       ref={forwardedRef}
-      className={`preview-card ${theme.background} ${theme.border}`}
+      className={`preview-card preview-card-${format} ${theme.background} ${theme.border}`}
+      style={{ ...theme.style, aspectRatio: `${width} / ${height}` }}
     >
       {pattern && (
-        <div className={`preview-pattern ${getPatternClass()}`}></div>
+        <div className={`preview-pattern ${getPatternClass()} ${theme.stats}`}></div>
       )}
       
-      <div className="preview-content">
-        <div className="preview-header">
-          {avatarUrl && (
-            <div 
-              className="preview-avatar" 
-              style={{ backgroundImage: `url(${avatarUrl})` }}
-            ></div>
-          )}
-          
-          <div className="preview-title-wrapper">
-            {displayOwner && (
-              <div className={`preview-owner ${theme.stats}`}>
-                {displayOwner}
-              </div>
-            )}
-            <h1 className={`preview-title ${theme.title}`}>{displayName}</h1>
-          </div>
-        </div>
-        
-        {repoDescription && (
-          <p className={`preview-description ${theme.description}`}>{repoDescription}</p>
-        )}
-        
-        <div className="preview-stats">
-          <div className="preview-stat">
-            <svg className={`preview-icon ${theme.stats}`} fill="currentColor" viewBox="0 0 16 16">
-              <path d="M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25z" />
-            </svg>
-            <span className={`preview-stat-text ${theme.stats}`}>{stars}</span>
-          </div>
-          
-          <div className="preview-stat">
-            <svg className={`preview-icon ${theme.stats}`} fill="currentColor" viewBox="0 0 16 16">
-              <path d="M5 3.25a.75.75 0 11-1.5 0 .75.75 0 011.5 0zm0 2.122a2.25 2.25 0 10-1.5 0v.878A2.25 2.25 0 005.75 8.5h1.5v2.128a2.251 2.251 0 101.5 0V8.5h1.5a2.25 2.25 0 002.25-2.25v-.878a2.25 2.25 0 10-1.5 0v.878a.75.75 0 01-.75.75h-4.5A.75.75 0 015 6.25v-.878zm3.75 7.378a.75.75 0 11-1.5 0 .75.75 0 011.5 0zm3-8.75a.75.75 0 100-1.5.75.75 0 000 1.5z" />
-            </svg>
-            <span className={`preview-stat-text ${theme.stats}`}>{forks}</span>
-          </div>
-          
-          {watchers && (
-            <div className="preview-stat">
-              <Eye size={20} className={theme.stats} />
-              <span className={`preview-stat-text ${theme.stats}`}>{watchers}</span>
-            </div>
-          )}
-        </div>
-      </div>
-      
-      {/* Language bar */}
-      <LanguageBar 
-        languages={languageBreakdown} 
-        isPreview={true} 
+      <Template
+        displayName={displayName}
+        displayOwner={displayOwner}
+        repoDescription={repoDescription}
+        stats={formatStatRow(stats, numberFormat)}
+        avatarUrl={avatarUrl}
+        languageBreakdown={languageBreakdown}
+        theme={theme}
+        contributorsStrip={contributorsStrip}
+        contributorsPlacement={contributorsPlacement}
+        topicBadges={topicBadges}
+        languageLegend={languageLegend}
       />
       
-      <div className="preview-watermark">
-        <Code size={180} />
-      </div>
+      <ForgeIcon forge={forge} className={`preview-forge ${theme.stats}`} />
     </div>
   );
 };
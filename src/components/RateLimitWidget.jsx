@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge } from 'lucide-react';
+import { checkRateLimit } from '../utils/github-api';
+import { getRateLimitSnapshot, subscribeRateLimit } from '../utils/rate-limit';
+
+// Rate limit resources shown in the widget
+const resources = [
+  { id: 'core', name: 'API' },
+  { id: 'search', name: 'Search' },
+  { id: 'graphql', name: 'GraphQL', optional: true }
+];
+
+// Share of the budget below which the meter turns red
+const LOW_BUDGET_RATIO = 0.1;
+
+/**
+ * Format the time until a reset as m:ss or h:mm:ss
+ * @param {Number} ms - Milliseconds until the reset
+ * @returns {String} - Countdown text
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * RateLimitWidget component showing the remaining GitHub API budget
+ * with a countdown to the next reset
+ */
+const RateLimitWidget = () => {
+  const [snapshot, setSnapshot] = useState(getRateLimitSnapshot);
+  const [now, setNow] = useState(Date.now());
+
+  // Follow budget updates from every API response
+  useEffect(() => {
+    const unsubscribe = subscribeRateLimit(setSnapshot);
+
+    // The rate limit endpoint doesn't count against the quota
+    if (!getRateLimitSnapshot().core) {
+      checkRateLimit().catch(() => {});
+    }
+
+    return unsubscribe;
+  }, []);
+
+  // Tick the reset countdown
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="rate-limit-widget" aria-live="polite">
+      <Gauge size={14} className="text-muted" aria-hidden="true" />
+      {resources.map(({ id, name, optional }) => {
+        const budget = snapshot[id];
+
+        // GraphQL is only used with a token
+        if (!budget && optional) return null;
+
+        if (!budget) {
+          return (
+            <span className="rate-limit-item text-muted" key={id}>{name}: checking...</span>
+          );
+        }
+
+        const resetIn = budget.reset.getTime() - now;
+        const ratio = budget.limit ? budget.remaining / budget.limit : 0;
+
+        return (
+          <span className="rate-limit-item" key={id}>
+            <span className="rate-limit-label">{name}</span>
+            <span className="rate-limit-meter" aria-hidden="true">
+              <span
+                className={`rate-limit-meter-fill ${ratio < LOW_BUDGET_RATIO ? 'rate-limit-meter-low' : ''}`}
+                style={{ width: `${ratio * 100}%` }}
+              ></span>
+            </span>
+            <span>{budget.remaining}/{budget.limit}</span>
+            <span className="text-muted">
+              {resetIn > 0 ? `resets in ${formatCountdown(resetIn)}` : 'reset'}
+            </span>
+          </span>
+        );
+      })}
+      {snapshot.waiting > 0 && (
+        <span className="rate-limit-item text-warning">{snapshot.waiting} waiting for reset</span>
+      )}
+    </div>
+  );
+};
+
+export default RateLimitWidget;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Star } from 'lucide-react';
+import { searchRepositories, checkRateLimit } from '../utils/github-api';
+import { getRateLimitSnapshot, getAvailableBudget, getResetTime } from '../utils/rate-limit';
+
+// Delay between the last keystroke and the search request
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Minimum query length before searching
+const MIN_QUERY_LENGTH = 2;
+
+// Number of suggestions to show
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Turn the input text into a GitHub search query
+ * Accepts plain names, "owner/name" slugs and full GitHub URLs.
+ * @param {String} text - Input value
+ * @returns {String} - Search query, or an empty string if the text is too short
+ */
+const buildSearchQuery = (text) => {
+  const term = (text || '')
+    .trim()
+    .replace(/^(https?:\/\/)?(www\.)?github\.com\/?/, '')
+    .replace(/\/+$/, '');
+
+  if (term.length < MIN_QUERY_LENGTH) return '';
+
+  // Search only covers github.com; never send names from other hosts to it
+  if (/^https?:\/\//.test(term) || /^[^/]+\.[^/]*\//.test(term)) return '';
+
+  if (term.includes('/')) {
+    const [owner, name] = term.split('/');
+    return name ? `${name} user:${owner} in:name` : `user:${owner}`;
+  }
+
+  return `${term} in:name`;
+};
+
+/**
+ * RepositoryAutocomplete component: a text input with debounced,
+ * keyboard-navigable repository suggestions from the GitHub search API
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.id - Input element id
+ * @param {String} props.value - Current input value
+ * @param {Function} props.onChange - Function to call with the new input value
+ * @param {Function} props.onSelect - Function to call with the chosen search result
+ * @param {String} props.placeholder - Input placeholder
+ */
+const RepositoryAutocomplete = ({ id, value, onChange, onSelect, placeholder }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [searching, setSearching] = useState(false);
+  const [notice, setNotice] = useState('');
+  const typedRef = useRef(false);
+  const requestId = useRef(0);
+  const listId = `${id}-suggestions`;
+
+  // Run a search, respecting the separate search rate limit
+  const runSearch = useCallback(async (query) => {
+    const currentRequest = ++requestId.current;
+
+    try {
+      // The rate limit endpoint itself doesn't count against the quota
+      if (!getRateLimitSnapshot().search) {
+        await checkRateLimit();
+      }
+
+      if (getAvailableBudget('search') <= 0) {
+        setNotice(`Search limit reached. Suggestions resume at ${getResetTime('search').toLocaleTimeString()}.`);
+        setOpen(true);
+        return;
+      }
+
+      setSearching(true);
+      const data = await searchRepositories(query, MAX_SUGGESTIONS);
+
+      // Ignore responses that arrive after a newer search started
+      if (currentRequest !== requestId.current) return;
+
+      setSuggestions(data.items || []);
+      setNotice(data.items && data.items.length > 0 ? '' : 'No matching repositories');
+      setActiveIndex(-1);
+      setOpen(true);
+    } catch (error) {
+      if (currentRequest !== requestId.current) return;
+
+      setSuggestions([]);
+      setNotice(error.message || 'Search failed');
+      setOpen(true);
+    } finally {
+      if (currentRequest === requestId.current) {
+        setSearching(false);
+      }
+    }
+  }, []);
+
+  // Search after the user stops typing
+  useEffect(() => {
+    // Only search for text the user typed, not for values set by a fetch
+    if (!typedRef.current) return;
+
+    const query = buildSearchQuery(value);
+    if (!query) {
+      setSuggestions([]);
+      setOpen(false);
+      return;
+    }
+
+    const timer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [value, runSearch]);
+
+  const handleChange = (e) => {
+    typedRef.current = true;
+    onChange(e.target.value);
+  };
+
+  const selectSuggestion = (repo) => {
+    typedRef.current = false;
+    requestId.current++;
+    setOpen(false);
+    setSuggestions([]);
+    setActiveIndex(-1);
+    onSelect(repo);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) {
+      if (e.key === 'Escape') setOpen(false);
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => (index + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+        break;
+      case 'Enter':
+        if (activeIndex >= 0) {
+          // Pick the suggestion instead of submitting the form
+          e.preventDefault();
+          selectSuggestion(suggestions[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        setOpen(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="repo-autocomplete">
+      <input
+        type="text"
+        id={id}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => suggestions.length > 0 && setOpen(true)}
+        onBlur={() => {
+          typedRef.current = false;
+          setOpen(false);
+        }}
+        className="form-control"
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+      />
+
+      {open && (
+        <ul className="repo-autocomplete-menu" id={listId} role="listbox">
+          {searching && suggestions.length === 0 && (
+            <li className="repo-autocomplete-notice">Searching...</li>
+          )}
+          {notice && suggestions.length === 0 && !searching && (
+            <li className="repo-autocomplete-notice">{notice}</li>
+          )}
+          {suggestions.map((repo, index) => (
+            <li
+              key={repo.id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`repo-autocomplete-item ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(repo)}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <img
+                src={repo.owner.avatar_url}
+                alt=""
+                className="repo-autocomplete-avatar"
+              />
+              <span className="repo-autocomplete-name">{repo.full_name}</span>
+              {repo.language && (
+                <span className="repo-autocomplete-meta">{repo.language}</span>
+              )}
+              <span className="repo-autocomplete-meta">
+                <Star size={12} className="me-1" />
+                {repo.stargazers_count}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RepositoryAutocomplete;
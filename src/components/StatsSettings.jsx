@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { BarChart3, ChevronUp, ChevronDown, X, Plus } from 'lucide-react';
+import { StatIcon } from './templates/CardParts';
+import {
+  statTypes,
+  MAX_STAT_SLOTS,
+  numberFormatModes,
+  numberFormatLocales,
+  MAX_NUMBER_PRECISION,
+  parseStatNumber
+} from '../utils/stats';
+
+/**
+ * StatsSettings component for choosing, ordering and editing the stats on the card
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.slots - Stat ids in card order
+ * @param {Function} props.onSlotsChange - Function to call with the updated slots
+ * @param {Object} props.values - Stat values as text, keyed by stat id
+ * @param {Function} props.onValueChange - Function to call with a stat id and its new value
+ * @param {Object} props.numberFormat - How counts are written ({ mode, locale, precision })
+ * @param {Function} props.onNumberFormatChange - Function to call with the updated number format
+ * @param {Boolean} props.loading - Whether stats that take extra requests are being fetched
+ * @param {String} props.error - Message shown when those stats couldn't be fetched
+ */
+const StatsSettings = ({
+  slots,
+  onSlotsChange,
+  values,
+  onValueChange,
+  numberFormat,
+  onNumberFormatChange,
+  loading,
+  error
+}) => {
+  // Text of the stat being typed; counts are stored as numbers as soon as they parse
+  const [drafts, setDrafts] = useState({});
+  const unusedStats = Object.keys(statTypes).filter(id => !slots.includes(id));
+
+  const moveSlot = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= slots.length) return;
+
+    const updated = [...slots];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    onSlotsChange(updated);
+  };
+
+  const changeSlot = (index, id) => {
+    onSlotsChange(slots.map((slot, i) => (i === index ? id : slot)));
+  };
+
+  const removeSlot = (index) => {
+    onSlotsChange(slots.filter((_, i) => i !== index));
+  };
+
+  // Read typed counts in the chosen locale once, so changing the locale later can't change them
+  const changeValue = (id, text) => {
+    setDrafts({ ...drafts, [id]: text });
+
+    const count = statTypes[id].numeric ? parseStatNumber(text, numberFormat.locale) : null;
+    onValueChange(id, count === null ? text : String(count));
+  };
+
+  const updateNumberFormat = (field, value) => {
+    onNumberFormatChange({ ...numberFormat, [field]: value });
+  };
+
+  const addSlot = () => {
+    if (slots.length >= MAX_STAT_SLOTS || unusedStats.length === 0) return;
+    onSlotsChange([...slots, unusedStats[0]]);
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h2 className="section-title">
+            <BarChart3 size={18} className="me-2" />
+            Stats
+          </h2>
+          <button
+            onClick={addSlot}
+            className="btn btn-sm btn-light rounded-circle"
+            title="Add stat"
+            disabled={slots.length >= MAX_STAT_SLOTS || unusedStats.length === 0}
+          >
+            <Plus size={16} />
+          </button>
+        </div>
+
+        {slots.length === 0 && (
+          <p className="text-muted small">No stats are shown on the card.</p>
+        )}
+
+        {slots.map((id, index) => (
+          <div key={id} className="d-flex align-items-center gap-2 mb-2">
+            <StatIcon id={id} className="stat-settings-icon text-muted" />
+            <select
+              value={id}
+              onChange={(e) => changeSlot(index, e.target.value)}
+              className="form-select form-select-sm stat-settings-type"
+              aria-label={`Stat ${index + 1}`}
+            >
+              {[id, ...unusedStats].map(option => (
+                <option key={option} value={option}>{statTypes[option].name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={drafts[id] ?? (values[id] || '')}
+              onChange={(e) => changeValue(id, e.target.value)}
+              onBlur={() => setDrafts({ ...drafts, [id]: undefined })}
+              className="form-control form-control-sm"
+              placeholder={loading && statTypes[id].extra ? 'Loading...' : 'Hidden when empty'}
+              aria-label={`${statTypes[id].name} value`}
+            />
+            <div className="btn-group btn-group-sm">
+              <button
+                onClick={() => moveSlot(index, -1)}
+                className="btn btn-light"
+                title="Move left"
+                disabled={index === 0}
+              >
+                <ChevronUp size={14} />
+              </button>
+              <button
+                onClick={() => moveSlot(index, 1)}
+                className="btn btn-light"
+                title="Move right"
+                disabled={index === slots.length - 1}
+              >
+                <ChevronDown size={14} />
+              </button>
+              <button
+                onClick={() => removeSlot(index)}
+                className="btn btn-light"
+                title="Remove stat"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {error && <small className="text-danger d-block">{error}</small>}
+        <small className="text-muted d-block mt-2 mb-3">
+          Stats are filled in when a repository is fetched. Open PRs, releases and downloads are loaded only when shown.
+          Counts can also be typed as 12k or 1.2M.
+        </small>
+
+        <div className="row g-2">
+          <div className="col-sm-4">
+            <label className="form-label" htmlFor="number-format-mode">Numbers</label>
+            <select
+              id="number-format-mode"
+              value={numberFormat.mode}
+              onChange={(e) => updateNumberFormat('mode', e.target.value)}
+              className="form-select form-select-sm"
+            >
+              {numberFormatModes.map(mode => (
+                <option key={mode.id} value={mode.id}>{mode.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-5">
+            <label className="form-label" htmlFor="number-format-locale">Locale</label>
+            <select
+              id="number-format-locale"
+              value={numberFormat.locale}
+              onChange={(e) => updateNumberFormat('locale', e.target.value)}
+              className="form-select form-select-sm"
+            >
+              {numberFormatLocales.map(locale => (
+                <option key={locale.id} value={locale.id}>{locale.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-sm-3">
+            <label className="form-label" htmlFor="number-format-precision">Decimals</label>
+            <select
+              id="number-format-precision"
+              value={numberFormat.precision}
+              onChange={(e) => updateNumberFormat('precision', parseInt(e.target.value))}
+              className="form-select form-select-sm"
+              disabled={numberFormat.mode === 'raw'}
+            >
+              {Array.from({ length: MAX_NUMBER_PRECISION + 1 }, (_, precision) => (
+                <option key={precision} value={precision}>{precision}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatsSettings;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { LayoutTemplate } from 'lucide-react';
+import PreviewCard from './PreviewCard';
+import { cardTemplates } from './templates';
+
+// Thumbnails render a full-size card and scale it down
+const THUMBNAIL_WIDTH = 150;
+const THUMBNAIL_LAYOUT_WIDTH = 600;
+
+/**
+ * TemplateSelector component for choosing the card layout, with live
+ * thumbnails of the current design in every template
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.selectedTemplate - Currently selected template id
+ * @param {Function} props.onTemplateChange - Function to call when the template is changed
+ * @param {Object} props.cardProps - PreviewCard props used to render the thumbnails
+ */
+const TemplateSelector = ({ selectedTemplate, onTemplateChange, cardProps }) => {
+  const { width, height } = cardProps;
+  const scale = THUMBNAIL_WIDTH / THUMBNAIL_LAYOUT_WIDTH;
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <LayoutTemplate size={18} className="me-2" />
+          Layout
+        </h2>
+
+        <div className="row">
+          {Object.entries(cardTemplates).map(([id, template]) => (
+            <div className="col-md-4 col-6 mb-3" key={id}>
+              <button
+                onClick={() => onTemplateChange(id)}
+                className={`theme-btn ${selectedTemplate === id ? 'theme-btn-selected' : ''}`}
+                aria-pressed={selectedTemplate === id}
+              >
+                <div
+                  className="template-thumbnail"
+                  style={{ width: THUMBNAIL_WIDTH, height: (THUMBNAIL_WIDTH * height) / width }}
+                  aria-hidden="true"
+                >
+                  <div
+                    className="template-thumbnail-card"
+                    style={{ width: THUMBNAIL_LAYOUT_WIDTH, transform: `scale(${scale})` }}
+                  >
+                    <PreviewCard {...cardProps} template={id} />
+                  </div>
+                </div>
+                <p className="mb-0">{template.name}</p>
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateSelector;
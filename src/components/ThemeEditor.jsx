@@ -0,0 +1,224 @@
+import React from 'react';
+import { Plus, Trash2, Download } from 'lucide-react';
+import { themeColorFields } from '../utils/themes';
+
+// Labels for the text and detail colors
+const colorLabels = {
+  title: 'Title',
+  description: 'Description',
+  stats: 'Stats',
+  accent: 'Accent',
+  border: 'Border'
+};
+
+/**
+ * Convert a CSS color to the #rrggbb form required by color inputs
+ * @param {String} color - CSS color
+ * @returns {String} - Hex color, or black if the color can't be shown in the picker
+ */
+const toPickerValue = (color) => {
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+
+  return '#000000';
+};
+
+/**
+ * Color picker paired with a text field, so colors with alpha can be typed in
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.id - Text input id
+ * @param {String} props.value - Current CSS color
+ * @param {Function} props.onChange - Function to call with the new color
+ */
+const ColorInput = ({ id, value, onChange }) => (
+  <div className="input-group input-group-sm">
+    <input
+      type="color"
+      value={toPickerValue(value)}
+      onChange={(e) => onChange(e.target.value)}
+      className="form-control form-control-color theme-editor-swatch"
+      aria-label="Pick color"
+    />
+    <input
+      type="text"
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="form-control"
+      spellCheck="false"
+    />
+  </div>
+);
+
+/**
+ * ThemeEditor component for editing a custom theme in place
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.theme - Custom theme being edited
+ * @param {Function} props.onChange - Function to call with the updated theme
+ * @param {Function} props.onDelete - Function to call to delete the theme
+ * @param {Function} props.onExport - Function to call to export the theme as JSON
+ */
+const ThemeEditor = ({ theme, onChange, onDelete, onExport }) => {
+  const { background } = theme;
+
+  const update = (changes) => onChange({ ...theme, ...changes });
+
+  const updateBackground = (changes) => update({ background: { ...background, ...changes } });
+
+  // Switch between a solid color and a gradient, keeping the current colors
+  const setBackgroundType = (type) => {
+    if (type === background.type) return;
+
+    if (type === 'solid') {
+      update({ background: { type: 'solid', color: background.stops[0].color } });
+    } else {
+      update({
+        background: {
+          type: 'gradient',
+          angle: 135,
+          stops: [
+            { color: background.color, position: 0 },
+            { color: background.color, position: 100 }
+          ]
+        }
+      });
+    }
+  };
+
+  const updateStop = (index, changes) => {
+    const stops = background.stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop));
+    updateBackground({ stops });
+  };
+
+  // Insert a stop halfway between the last two
+  const addStop = () => {
+    const { stops } = background;
+    const last = stops[stops.length - 1];
+    const previous = stops[stops.length - 2];
+    const stop = { color: last.color, position: Math.round((previous.position + last.position) / 2) };
+    updateBackground({ stops: [...stops.slice(0, -1), stop, last] });
+  };
+
+  const removeStop = (index) => {
+    updateBackground({ stops: background.stops.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="theme-editor">
+      <div className="mb-3">
+        <label className="form-label" htmlFor="theme-editor-name">Theme name</label>
+        <input
+          type="text"
+          id="theme-editor-name"
+          value={theme.name}
+          onChange={(e) => update({ name: e.target.value })}
+          className="form-control form-control-sm"
+        />
+      </div>
+
+      <div className="mb-3">
+        <label className="form-label" htmlFor="theme-editor-background-type">Background</label>
+        <select
+          id="theme-editor-background-type"
+          value={background.type}
+          onChange={(e) => setBackgroundType(e.target.value)}
+          className="form-select form-select-sm mb-2"
+        >
+          <option value="solid">Solid color</option>
+          <option value="gradient">Linear gradient</option>
+        </select>
+
+        {background.type === 'solid' ? (
+          <ColorInput
+            id="theme-editor-background"
+            value={background.color}
+            onChange={(color) => updateBackground({ color })}
+          />
+        ) : (
+          <>
+            <label className="form-label small" htmlFor="theme-editor-angle">
+              Angle: {background.angle}°
+            </label>
+            <input
+              type="range"
+              id="theme-editor-angle"
+              min="0"
+              max="360"
+              value={background.angle}
+              onChange={(e) => updateBackground({ angle: parseInt(e.target.value) })}
+              className="form-range"
+            />
+
+            {background.stops.map((stop, index) => (
+              <div className="d-flex align-items-center gap-2 mb-2" key={index}>
+                <div className="flex-grow-1">
+                  <ColorInput
+                    id={`theme-editor-stop-${index}`}
+                    value={stop.color}
+                    onChange={(color) => updateStop(index, { color })}
+                  />
+                </div>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={stop.position}
+                  onChange={(e) => updateStop(index, {
+                    position: Math.min(100, Math.max(0, parseInt(e.target.value) || 0))
+                  })}
+                  className="form-control form-control-sm theme-editor-position"
+                  aria-label={`Stop ${index + 1} position (%)`}
+                />
+                <button
+                  onClick={() => removeStop(index)}
+                  className="btn btn-sm btn-outline-danger"
+                  disabled={background.stops.length <= 2}
+                  aria-label={`Remove stop ${index + 1}`}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+
+            <button onClick={addStop} className="btn btn-sm btn-outline-secondary">
+              <Plus size={14} className="me-1" />
+              Add stop
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="row">
+        {themeColorFields.map(field => (
+          <div className="col-6 mb-2" key={field}>
+            <label className="form-label small" htmlFor={`theme-editor-${field}`}>
+              {colorLabels[field]}
+            </label>
+            <ColorInput
+              id={`theme-editor-${field}`}
+              value={theme[field]}
+              onChange={(color) => update({ [field]: color })}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="d-flex gap-2 mt-2">
+        <button onClick={onExport} className="btn btn-sm btn-outline-secondary">
+          <Download size={14} className="me-1" />
+          Export JSON
+        </button>
+        <button onClick={onDelete} className="btn btn-sm btn-outline-danger ms-auto">
+          <Trash2 size={14} className="me-1" />
+          Delete theme
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ThemeEditor;
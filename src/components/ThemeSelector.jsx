@@ -1,6 +1,20 @@
-import React from 'react';
+import React, { useState, useRef } from 'react';
+import { Palette, Upload, Download } from 'lucide-react';
+import ThemeEditor from './ThemeEditor';
+import { exportThemesToJson, importThemesFromJson } from '../utils/themes';
+import { downloadBlob } from '../utils/image-export';
 import '../styles/themes.css';
 
+/**
+ * Download themes as a JSON file
+ * @param {Array} themes - Themes to export
+ * @param {String} filename - Download file name
+ */
+const downloadThemes = (themes, filename) => {
+  const blob = new Blob([exportThemesToJson(themes)], { type: 'application/json' });
+  downloadBlob(blob, filename);
+};
+
 /**
  * ThemeSelector component for choosing between different preview themes
  * 
@@ -10,18 +24,57 @@ import '../styles/themes.css';
  * @param {Object} props.themes - Theme definitions object
  * @param {String} props.selectedPattern - Currently selected pattern
  * @param {Function} props.onPatternChange - Function to call when pattern is changed
+ * @param {Object} props.customThemes - Custom themes keyed by id
+ * @param {String} props.sharedThemeId - Id of the theme that came with a shared design and isn't saved yet
+ * @param {Function} props.onSaveSharedTheme - Function to call to save the shared theme
+ * @param {Function} props.onCreateTheme - Function to call to copy the selected theme into a new custom theme
+ * @param {Function} props.onUpdateTheme - Function to call with (id, theme) when a custom theme is edited
+ * @param {Function} props.onDeleteTheme - Function to call with the id of a custom theme to delete
+ * @param {Function} props.onImportThemes - Function to call with an array of imported themes
  */
 const ThemeSelector = ({ 
   selectedTheme, 
   onThemeChange, 
   themes,
   selectedPattern,
-  onPatternChange 
+  onPatternChange,
+  customThemes = {},
+  sharedThemeId,
+  onSaveSharedTheme,
+  onCreateTheme,
+  onUpdateTheme,
+  onDeleteTheme,
+  onImportThemes
 }) => {
+  const [importError, setImportError] = useState('');
+  const fileInputRef = useRef(null);
+
   if (!themes || Object.keys(themes).length === 0) {
     return <div>No themes available</div>;
   }
 
+  const isSharedTheme = selectedTheme === sharedThemeId;
+  const editedTheme = isSharedTheme ? null : customThemes[selectedTheme];
+
+  // Read a theme file chosen by the user
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      onImportThemes(importThemesFromJson(await file.text()));
+      setImportError('');
+    } catch (err) {
+      setImportError(err.message || 'Unable to import themes');
+    }
+  };
+
+  const exportTheme = () => {
+    const slug = editedTheme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+    downloadThemes([editedTheme], `${slug}.theme.json`);
+  };
+
   // Background patterns
   const patterns = [
     { id: '', name: 'None' },
@@ -60,16 +113,72 @@ const ThemeSelector = ({
                 }`}
                 aria-pressed={selectedTheme === themeName}
               >
-                <div className={`theme-preview ${themes[themeName].background}`}>
+                <div
+                  className={`theme-preview ${themes[themeName].background}`}
+                  style={themes[themeName].style}
+                >
                   {selectedPattern && (
                     <div className={`theme-preview-pattern ${getPatternClass(selectedPattern)}`}></div>
                   )}
                 </div>
-                <p className="mt-2 text-capitalize">{themeName}</p>
+                <p className={`mt-2 ${customThemes[themeName] || themeName === sharedThemeId ? '' : 'text-capitalize'}`}>
+                  {themes[themeName].name}
+                </p>
               </button>
             </div>
           ))}
         </div>
+
+        <div className="d-flex flex-wrap gap-2 mb-3">
+          <button onClick={onCreateTheme} className="btn btn-sm btn-outline-primary">
+            <Palette size={14} className="me-1" />
+            {editedTheme ? 'Duplicate theme' : 'Customize theme'}
+          </button>
+          <button onClick={() => fileInputRef.current.click()} className="btn btn-sm btn-outline-secondary">
+            <Upload size={14} className="me-1" />
+            Import JSON
+          </button>
+          {Object.keys(customThemes).length > 0 && (
+            <button
+              onClick={() => downloadThemes(Object.values(customThemes), 'repo-vista-themes.json')}
+              className="btn btn-sm btn-outline-secondary"
+            >
+              <Download size={14} className="me-1" />
+              Export all
+            </button>
+          )}
+          <input
+            type="file"
+            accept="application/json,.json"
+            ref={fileInputRef}
+            onChange={handleImport}
+            className="d-none"
+          />
+        </div>
+
+        {isSharedTheme && (
+          <div className="alert alert-info py-2 d-flex align-items-center justify-content-between gap-2" role="status">
+            <span>This theme came with a shared design and isn't saved in your browser.</span>
+            <button onClick={onSaveSharedTheme} className="btn btn-sm btn-primary flex-shrink-0">
+              Save theme
+            </button>
+          </div>
+        )}
+
+        {importError && (
+          <div className="alert alert-danger py-2" role="alert">
+            {importError}
+          </div>
+        )}
+
+        {editedTheme && (
+          <ThemeEditor
+            theme={editedTheme}
+            onChange={(theme) => onUpdateTheme(selectedTheme, theme)}
+            onDelete={() => onDeleteTheme(selectedTheme)}
+            onExport={exportTheme}
+          />
+        )}
         
         <h3 className="h5 mb-3 mt-4">Background Pattern</h3>
         <div className="row">
@@ -84,7 +193,10 @@ const ThemeSelector = ({
                 }`}
                 aria-pressed={selectedPattern === pattern.id}
               >
-                <div className={`theme-preview ${themes[selectedTheme].background}`}>
+                <div
+                  className={`theme-preview ${themes[selectedTheme].background}`}
+                  style={themes[selectedTheme].style}
+                >
                   {pattern.id && (
                     <div className={`theme-preview-pattern ${getPatternClass(pattern.id)}`}></div>
                   )}
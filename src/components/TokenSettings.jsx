@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { KeyRound, LogOut } from 'lucide-react';
+import { getAuthStatus, checkRateLimit } from '../utils/github-api';
+import {
+  tokenPersistenceOptions,
+  getTokenSource,
+  getTokenPersistence,
+  setAuthToken,
+  clearAuthToken
+} from '../utils/auth-token';
+import { resetRateLimits } from '../utils/rate-limit';
+
+/**
+ * TokenSettings component for entering a GitHub personal access token at runtime
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onAuthStatusChange - Function to call with the new status after the token changes
+ */
+const TokenSettings = ({ onAuthStatusChange }) => {
+  const [token, setToken] = useState('');
+  const [persistence, setPersistence] = useState(getTokenPersistence());
+  const [validating, setValidating] = useState(false);
+  const [error, setError] = useState('');
+  const source = getTokenSource();
+
+  // The new token (or anonymous access) has its own budget and status
+  const refreshStatus = async () => {
+    resetRateLimits();
+    checkRateLimit().catch(() => {});
+    onAuthStatusChange(await getAuthStatus());
+  };
+
+  // Validate the token with GitHub before using it
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!token.trim()) {
+      setError('Please paste a personal access token');
+      return;
+    }
+
+    setValidating(true);
+    setError('');
+
+    const status = await getAuthStatus(token.trim());
+    setValidating(false);
+
+    if (!status.authenticated) {
+      setError('GitHub rejected this token. Check that it is valid and not expired.');
+      return;
+    }
+
+    setAuthToken(token, persistence);
+    setToken('');
+    refreshStatus();
+  };
+
+  const handleForget = () => {
+    clearAuthToken();
+    setError('');
+    refreshStatus();
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <KeyRound size={18} className="me-2" />
+          GitHub Access
+        </h2>
+        <p className="text-muted mb-3">
+          Unauthenticated requests are limited to 60 per hour. Paste a personal access token
+          to raise the limit to 5,000 per hour. The token is only sent to api.github.com.
+        </p>
+
+        {source === 'runtime' && (
+          <div className="d-flex align-items-center justify-content-between mb-3">
+            <span className="small">
+              Using your token ({tokenPersistenceOptions.find(option => option.id === getTokenPersistence()).name.toLowerCase()}).
+            </span>
+            <button onClick={handleForget} className="btn btn-sm btn-outline-danger">
+              <LogOut size={14} className="me-1" />
+              Forget token
+            </button>
+          </div>
+        )}
+
+        {source === 'environment' && (
+          <p className="small mb-3">
+            Using the token from the build environment. A token entered here takes precedence.
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-3">
+            <label className="form-label" htmlFor="github-token">Personal access token</label>
+            <input
+              type="password"
+              id="github-token"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              className="form-control"
+              placeholder="ghp_..."
+              autoComplete="off"
+              spellCheck="false"
+            />
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label" htmlFor="github-token-persistence">Keep token</label>
+            <select
+              id="github-token-persistence"
+              value={persistence}
+              onChange={(e) => setPersistence(e.target.value)}
+              className="form-select"
+            >
+              {tokenPersistenceOptions.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {error && (
+            <div className="alert alert-danger" role="alert">
+              {error}
+            </div>
+          )}
+
+          <button type="submit" className="btn btn-primary" disabled={validating}>
+            {validating ? 'Checking token...' : 'Save token'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TokenSettings;
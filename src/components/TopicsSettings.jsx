@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Tags, ChevronUp, ChevronDown, Eye, EyeOff, X, Plus } from 'lucide-react';
+
+// GitHub limits topics to 50 characters
+const MAX_TOPIC_LENGTH = 50;
+
+/**
+ * Turn typed text into a topic the way GitHub does: lowercase words joined by hyphens
+ * @param {String} text - Typed topic
+ * @returns {String} - Topic, or an empty string if nothing valid is left
+ */
+const normalizeTopic = (text) => text
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9-]+/g, '-')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_TOPIC_LENGTH);
+
+/**
+ * TopicsSettings component for the topic badges on the preview card
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.topics - Topics in card order ({ name, hidden })
+ * @param {Function} props.onTopicsChange - Function to call with the updated topics
+ * @param {Number} props.count - Maximum number of badges on the card
+ * @param {Function} props.onCountChange - Function to call when the count is changed
+ */
+const TopicsSettings = ({ topics, onTopicsChange, count, onCountChange }) => {
+  const [newTopic, setNewTopic] = useState('');
+  const [error, setError] = useState('');
+
+  const visibleCount = topics.filter(topic => !topic.hidden).length;
+
+  const moveTopic = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= topics.length) return;
+
+    const updated = [...topics];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    onTopicsChange(updated);
+  };
+
+  const toggleTopic = (index) => {
+    onTopicsChange(topics.map((topic, i) => (i === index ? { ...topic, hidden: !topic.hidden } : topic)));
+  };
+
+  const removeTopic = (index) => {
+    onTopicsChange(topics.filter((_, i) => i !== index));
+  };
+
+  const handleAddTopic = (e) => {
+    e.preventDefault();
+
+    const name = normalizeTopic(newTopic);
+    if (!name) {
+      setError('Topics can only contain letters, numbers and hyphens');
+      return;
+    }
+    if (topics.some(topic => topic.name === name)) {
+      setError(`"${name}" is already in the list`);
+      return;
+    }
+
+    onTopicsChange([...topics, { name, hidden: false }]);
+    setNewTopic('');
+    setError('');
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-body">
+        <h2 className="section-title mb-3">
+          <Tags size={18} className="me-2" />
+          Topics
+        </h2>
+
+        {topics.length === 0 ? (
+          <p className="text-muted small">
+            This repository has no topics. Add some below to show them as badges.
+          </p>
+        ) : (
+          <ul className="list-group mb-3">
+            {topics.map((topic, index) => (
+              <li
+                key={topic.name}
+                className={`list-group-item d-flex align-items-center py-1 ${topic.hidden ? 'text-muted' : ''}`}
+              >
+                <span className={`flex-grow-1 text-truncate ${topic.hidden ? 'text-decoration-line-through' : ''}`}>
+                  {topic.name}
+                </span>
+                <div className="btn-group btn-group-sm ms-2">
+                  <button
+                    onClick={() => moveTopic(index, -1)}
+                    className="btn btn-light"
+                    title="Move up"
+                    disabled={index === 0}
+                  >
+                    <ChevronUp size={14} />
+                  </button>
+                  <button
+                    onClick={() => moveTopic(index, 1)}
+                    className="btn btn-light"
+                    title="Move down"
+                    disabled={index === topics.length - 1}
+                  >
+                    <ChevronDown size={14} />
+                  </button>
+                  <button
+                    onClick={() => toggleTopic(index)}
+                    className="btn btn-light"
+                    title={topic.hidden ? 'Show on card' : 'Hide from card'}
+                    aria-pressed={topic.hidden}
+                  >
+                    {topic.hidden ? <EyeOff size={14} /> : <Eye size={14} />}
+                  </button>
+                  <button
+                    onClick={() => removeTopic(index)}
+                    className="btn btn-light"
+                    title="Remove topic"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleAddTopic} className="mb-3">
+          <div className="input-group input-group-sm">
+            <input
+              type="text"
+              value={newTopic}
+              onChange={(e) => setNewTopic(e.target.value)}
+              className="form-control"
+              placeholder="Add a topic (e.g. machine-learning)"
+              aria-label="New topic"
+              maxLength={MAX_TOPIC_LENGTH}
+            />
+            <button type="submit" className="btn btn-outline-primary" title="Add topic">
+              <Plus size={14} />
+            </button>
+          </div>
+          {error && <small className="text-danger">{error}</small>}
+        </form>
+
+        <label className="form-label" htmlFor="topic-count">
+          Badges: {count}
+        </label>
+        <input
+          id="topic-count"
+          type="range"
+          min="0"
+          max="12"
+          value={count}
+          onChange={(e) => onCountChange(parseInt(e.target.value))}
+          className="form-range"
+        />
+        <small className="text-muted d-block">
+          {count === 0
+            ? 'Topics are hidden on the card.'
+            : `Showing ${Math.min(count, visibleCount)} of ${visibleCount} visible topics. Badges that don't fit in two rows are left out.`}
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default TopicsSettings;
@@ -0,0 +1,167 @@
+import React from 'react';
+import { Code } from 'lucide-react';
+import { getForge } from '../../utils/providers';
+import { getLegendEntries } from '../../utils/languages';
+import { statTypes } from '../../utils/stats';
+
+/**
+ * Icon of a stat
+ * @param {Object} props - Component props
+ * @param {String} props.id - Stat id (see utils/stats)
+ * @param {String} props.className - CSS classes
+ */
+export const StatIcon = ({ id, className }) => {
+  const { viewBox, size, stroke, paths } = statTypes[id].icon;
+  const paint = stroke
+    ? { fill: 'none', stroke: 'currentColor', strokeWidth: 2, strokeLinecap: 'round', strokeLinejoin: 'round' }
+    : { fill: 'currentColor' };
+
+  return (
+    <svg className={className} width={size} height={size} viewBox={`0 0 ${viewBox} ${viewBox}`} {...paint}>
+      {paths.map(path => <path key={path} d={path} />)}
+    </svg>
+  );
+};
+
+/**
+ * Row of overlapping contributor avatars with an overflow count
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.contributors - Contributors ({ login, avatarUrl })
+ * @param {Number} props.count - Number of avatars to show
+ * @param {Boolean} props.hasMore - Whether the contributor list was truncated by the API
+ * @param {Object} props.theme - Theme object with styling classes
+ * @param {String} props.placement - "description" or "bottom"
+ */
+export const ContributorsStrip = ({ contributors, count, hasMore, theme, placement }) => {
+  const shown = contributors.slice(0, count);
+  const extra = contributors.length - shown.length;
+
+  // With every fetched avatar shown, a truncated list can only say there are more
+  const moreLabel = extra > 0
+    ? (hasMore ? `${extra}+ more` : `+${extra} more`)
+    : 'and more';
+
+  return (
+    <div className={`preview-contributors preview-contributors-${placement}`}>
+      {shown.map(contributor => (
+        <div
+          key={contributor.login}
+          className={`preview-contributor ${theme.border}`}
+          style={{ backgroundImage: `url(${contributor.avatarUrl})` }}
+          title={contributor.login}
+        ></div>
+      ))}
+      {(extra > 0 || hasMore) && (
+        <span className={`preview-contributors-more ${theme.stats}`}>
+          {moreLabel}
+        </span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Repository topics as pill badges in the theme's accent color
+ * Badges wrap to at most two rows; the rest are clipped by .preview-topics.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.topics - Topic names in display order
+ * @param {Number} props.count - Maximum number of badges
+ * @param {Object} props.theme - Theme object with styling classes
+ */
+export const TopicBadges = ({ topics, count, theme }) => (
+  <div className="preview-topics">
+    {topics.slice(0, count).map(topic => (
+      <span key={topic} className={`preview-topic ${theme.accentText}`}>
+        <span className={`preview-topic-fill ${theme.accent}`}></span>
+        <span className="preview-topic-name">{topic}</span>
+      </span>
+    ))}
+  </div>
+);
+
+/**
+ * Legend naming the colors of the language bar
+ * Entries past the count are summarized as "+N more"; long names are
+ * ellipsized by the layout.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.languages - Language breakdown
+ * @param {String} props.layout - "inline", "columns" or "chips"
+ * @param {Number} props.count - Maximum number of entries
+ * @param {Object} props.theme - Theme object with styling classes
+ */
+export const LanguageLegend = ({ languages, layout, count, theme }) => {
+  const { entries, hiddenCount } = getLegendEntries(languages, count);
+
+  return (
+    <div className={`preview-legend preview-legend-${layout}`}>
+      {entries.map((lang, index) => (
+        <div key={index} className={`preview-legend-item ${theme.stats}`}>
+          <span className="preview-legend-dot" style={{ backgroundColor: lang.color }}></span>
+          <span className="preview-legend-name">{lang.name}</span>
+          <span className="preview-legend-percentage">{lang.percentage}%</span>
+        </div>
+      ))}
+      {hiddenCount > 0 && (
+        <div className={`preview-legend-item preview-legend-more ${theme.stats}`}>+{hiddenCount} more</div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Stats with their icons
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.stats - Stats in display order ({ id, value })
+ * @param {Object} props.theme - Theme object with styling classes
+ * @param {String} props.className - Extra CSS classes for the row
+ */
+export const StatsRow = ({ stats, theme, className = '' }) => (
+  <div className={`preview-stats ${className}`}>
+    {stats.map(stat => (
+      <div className="preview-stat" key={stat.id}>
+        <StatIcon id={stat.id} className={`preview-stat-icon ${theme.stats}`} />
+        <span className={`preview-stat-text ${theme.stats}`}>{stat.value}</span>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * Large faded code icon in the top-right corner
+ */
+export const Watermark = () => (
+  <div className="preview-watermark">
+    <Code size={180} />
+  </div>
+);
+
+/**
+ * Logo of the forge the repository lives on
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.forge - Forge id (see utils/providers)
+ * @param {String} props.className - CSS classes
+ */
+export const ForgeIcon = ({ forge, className }) => {
+  const { name, icon } = getForge(forge);
+
+  return (
+    <svg
+      className={className}
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      role="img"
+      aria-label={name}
+    >
+      {icon.map(path => <path key={path} d={path} />)}
+    </svg>
+  );
+};
@@ -0,0 +1,69 @@
+import React from 'react';
+import LanguageBar from '../LanguageBar';
+import { StatsRow, Watermark } from './CardParts';
+
+/**
+ * Classic layout: avatar and title header, description, stats row,
+ * language bar along the bottom and a code watermark
+ *
+ * @param {Object} props - Shared template props (see templates/index.js)
+ */
+const ClassicTemplate = ({
+  displayName,
+  displayOwner,
+  repoDescription,
+  stats,
+  avatarUrl,
+  languageBreakdown,
+  theme,
+  contributorsStrip,
+  contributorsPlacement,
+  topicBadges,
+  languageLegend
+}) => (
+  <>
+    <div className="preview-content">
+      <div className="preview-header">
+        {avatarUrl && (
+          <div
+            className="preview-avatar"
+            style={{ backgroundImage: `url(${avatarUrl})` }}
+          ></div>
+        )}
+
+        <div className="preview-title-wrapper">
+          {displayOwner && (
+            <div className={`preview-owner ${theme.stats}`}>
+              {displayOwner}
+            </div>
+          )}
+          <h1 className={`preview-title ${theme.title}`}>{displayName}</h1>
+        </div>
+      </div>
+
+      {repoDescription && (
+        <p className={`preview-description ${theme.description}`}>{repoDescription}</p>
+      )}
+
+      {topicBadges}
+
+      {contributorsPlacement === 'description' && contributorsStrip}
+
+      <StatsRow stats={stats} theme={theme} />
+
+      {contributorsPlacement === 'bottom' && contributorsStrip}
+    </div>
+
+    {languageLegend}
+
+    {/* Language bar */}
+    <LanguageBar
+      languages={languageBreakdown}
+      isPreview={true}
+    />
+
+    <Watermark />
+  </>
+);
+
+export default ClassicTemplate;
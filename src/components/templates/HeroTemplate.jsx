@@ -0,0 +1,56 @@
+import React from 'react';
+import LanguageBar from '../LanguageBar';
+import { StatsRow } from './CardParts';
+
+/**
+ * Centered hero layout: large avatar above an oversized, centered title
+ *
+ * @param {Object} props - Shared template props (see templates/index.js)
+ */
+const HeroTemplate = ({
+  displayName,
+  displayOwner,
+  repoDescription,
+  stats,
+  avatarUrl,
+  languageBreakdown,
+  theme,
+  contributorsStrip,
+  contributorsPlacement,
+  topicBadges,
+  languageLegend
+}) => (
+  <>
+    <div className="preview-content preview-hero">
+      {avatarUrl && (
+        <div
+          className="preview-avatar preview-hero-avatar"
+          style={{ backgroundImage: `url(${avatarUrl})` }}
+        ></div>
+      )}
+
+      {displayOwner && (
+        <div className={`preview-owner ${theme.stats}`}>{displayOwner}</div>
+      )}
+      <h1 className={`preview-title preview-hero-title ${theme.title}`}>{displayName}</h1>
+
+      {repoDescription && (
+        <p className={`preview-description ${theme.description}`}>{repoDescription}</p>
+      )}
+
+      {topicBadges}
+
+      {contributorsPlacement === 'description' && contributorsStrip}
+
+      <StatsRow stats={stats} theme={theme} />
+
+      {contributorsPlacement === 'bottom' && contributorsStrip}
+    </div>
+
+    {languageLegend}
+
+    <LanguageBar languages={languageBreakdown} isPreview={true} />
+  </>
+);
+
+export default HeroTemplate;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Code } from 'lucide-react';
+import LanguageBar from '../LanguageBar';
+import { StatsRow } from './CardParts';
+
+/**
+ * Logo-first layout: the owner's avatar shown large as a logo tile,
+ * with the repository details beside it
+ *
+ * @param {Object} props - Shared template props (see templates/index.js)
+ */
+const LogoTemplate = ({
+  displayName,
+  displayOwner,
+  repoDescription,
+  stats,
+  avatarUrl,
+  languageBreakdown,
+  theme,
+  contributorsStrip,
+  contributorsPlacement,
+  topicBadges,
+  languageLegend
+}) => (
+  <>
+    <div className="preview-content preview-logo">
+      {avatarUrl ? (
+        <div
+          className={`preview-logo-tile ${theme.border}`}
+          style={{ backgroundImage: `url(${avatarUrl})` }}
+        ></div>
+      ) : (
+        <div className={`preview-logo-tile ${theme.border} ${theme.stats}`}>
+          <Code size={56} />
+        </div>
+      )}
+
+      <div className="preview-logo-body">
+        <h1 className={`preview-title ${theme.title}`}>{displayName}</h1>
+        {displayOwner && (
+          <div className={`preview-owner preview-logo-owner ${theme.stats}`}>by {displayOwner}</div>
+        )}
+
+        {repoDescription && (
+          <p className={`preview-description ${theme.description}`}>{repoDescription}</p>
+        )}
+
+        {topicBadges}
+
+        {contributorsPlacement === 'description' && contributorsStrip}
+
+        <StatsRow stats={stats} theme={theme} />
+
+        {contributorsPlacement === 'bottom' && contributorsStrip}
+      </div>
+    </div>
+
+    {languageLegend}
+
+    <LanguageBar languages={languageBreakdown} isPreview={true} />
+  </>
+);
+
+export default LogoTemplate;
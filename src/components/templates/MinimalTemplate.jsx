@@ -0,0 +1,52 @@
+import React from 'react';
+import LanguageBar from '../LanguageBar';
+import { getStatText } from '../../utils/stats';
+
+/**
+ * Left-aligned minimal layout: text only, anchored to the bottom-left corner,
+ * with an accent rule under the title and stats as a single line of text
+ *
+ * @param {Object} props - Shared template props (see templates/index.js)
+ */
+const MinimalTemplate = ({
+  displayName,
+  displayOwner,
+  repoDescription,
+  stats,
+  languageBreakdown,
+  theme,
+  contributorsStrip,
+  contributorsPlacement,
+  topicBadges,
+  languageLegend
+}) => {
+  return (
+    <>
+      <div className="preview-content preview-minimal">
+        {displayOwner && (
+          <div className={`preview-owner preview-minimal-owner ${theme.stats}`}>{displayOwner}</div>
+        )}
+        <h1 className={`preview-title preview-minimal-title ${theme.title}`}>{displayName}</h1>
+        <div className={`preview-minimal-rule ${theme.accent}`}></div>
+
+        {repoDescription && (
+          <p className={`preview-description ${theme.description}`}>{repoDescription}</p>
+        )}
+
+        {topicBadges}
+
+        {contributorsPlacement === 'description' && contributorsStrip}
+
+        <div className={`preview-stat-text ${theme.stats}`}>{stats.map(getStatText).join(' · ')}</div>
+
+        {contributorsPlacement === 'bottom' && contributorsStrip}
+      </div>
+
+      {languageLegend}
+
+      <LanguageBar languages={languageBreakdown} isPreview={true} />
+    </>
+  );
+};
+
+export default MinimalTemplate;
@@ -0,0 +1,74 @@
+import React from 'react';
+import LanguageBar from '../LanguageBar';
+import { StatIcon, Watermark } from './CardParts';
+import { statTypes } from '../../utils/stats';
+
+/**
+ * Split layout: repository details on the left, large stat numbers
+ * stacked in a column on the right
+ *
+ * @param {Object} props - Shared template props (see templates/index.js)
+ */
+const SplitTemplate = ({
+  displayName,
+  displayOwner,
+  repoDescription,
+  stats,
+  avatarUrl,
+  languageBreakdown,
+  theme,
+  contributorsStrip,
+  contributorsPlacement,
+  topicBadges,
+  languageLegend
+}) => (
+  <>
+    <div className="preview-content preview-split">
+      <div className="preview-split-main">
+        <div className="preview-header">
+          {avatarUrl && (
+            <div
+              className="preview-avatar"
+              style={{ backgroundImage: `url(${avatarUrl})` }}
+            ></div>
+          )}
+
+          <div className="preview-title-wrapper">
+            {displayOwner && (
+              <div className={`preview-owner ${theme.stats}`}>{displayOwner}</div>
+            )}
+            <h1 className={`preview-title ${theme.title}`}>{displayName}</h1>
+          </div>
+        </div>
+
+        {repoDescription && (
+          <p className={`preview-description ${theme.description}`}>{repoDescription}</p>
+        )}
+
+        {topicBadges}
+
+        {contributorsPlacement !== 'none' && contributorsStrip}
+      </div>
+
+      <div className={`preview-split-stats ${theme.border}`}>
+        {stats.map(stat => (
+          <div className="preview-split-stat" key={stat.id}>
+            <div className={`preview-split-number ${theme.title}`}>{stat.value}</div>
+            <div className={`preview-split-label ${theme.stats}`}>
+              <StatIcon id={stat.id} className="preview-stat-icon" />
+              {statTypes[stat.id].name}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+
+    {languageLegend}
+
+    <LanguageBar languages={languageBreakdown} isPreview={true} />
+
+    <Watermark />
+  </>
+);
+
+export default SplitTemplate;
@@ -0,0 +1,46 @@
+/**
+ * Card Layout Templates
+ *
+ * Every template renders the inside of the preview card from the same props:
+ *
+ * @param {String} displayName - Repository name without the owner
+ * @param {String} displayOwner - Repository owner name
+ * @param {String} repoDescription - Repository description
+ * @param {Array} stats - Stats in display order ({ id, value }, see utils/stats.js)
+ * @param {String} avatarUrl - Repository owner avatar URL
+ * @param {Array} languageBreakdown - Array of language objects
+ * @param {Object} theme - Theme object with styling classes
+ * @param {React.ReactNode} contributorsStrip - Rendered contributors strip, if any
+ * @param {String} contributorsPlacement - "none", "description" or "bottom"
+ * @param {React.ReactNode} topicBadges - Rendered topic badges, if any (go right below the description)
+ * @param {React.ReactNode} languageLegend - Rendered language legend, if any (goes right above the language bar)
+ *
+ * PreviewCard provides the card frame (theme background, border and pattern).
+ */
+
+import ClassicTemplate from './ClassicTemplate';
+import HeroTemplate from './HeroTemplate';
+import MinimalTemplate from './MinimalTemplate';
+import SplitTemplate from './SplitTemplate';
+import LogoTemplate from './LogoTemplate';
+
+/**
+ * Available templates keyed by id
+ * The vector exporter (utils/svg-export.js) draws each of them by the same id.
+ */
+export const cardTemplates = {
+  classic: { name: 'Classic', component: ClassicTemplate },
+  hero: { name: 'Centered hero', component: HeroTemplate },
+  minimal: { name: 'Minimal', component: MinimalTemplate },
+  split: { name: 'Split stats', component: SplitTemplate },
+  logo: { name: 'Logo first', component: LogoTemplate }
+};
+
+export const DEFAULT_TEMPLATE = 'classic';
+
+/**
+ * Look up a template, falling back to the default for unknown ids
+ * @param {String} id - Template id
+ * @returns {Object} - Template definition
+ */
+export const getCardTemplate = (id) => cardTemplates[id] || cardTemplates[DEFAULT_TEMPLATE];
@@ -0,0 +1,174 @@
+/**
+ * GitHub API Response Cache
+ *
+ * Persists API responses in localStorage together with their ETag and
+ * Last-Modified validators. Entries younger than their TTL are served without
+ * a request. Older entries are fetched again; for APIs known to accept
+ * If-None-Match and If-Modified-Since (GitHub and Enterprise Server) that is a
+ * conditional request, and a 304 reply (which doesn't count against the rate
+ * limit) reuses the stored body. Other APIs may reject these headers in the
+ * CORS preflight, so they are only sent on request.
+ * Entries are kept per credential, so data fetched with a token (such as
+ * private repositories) is never served to another token or without one.
+ */
+
+// Prefix for cache entries in localStorage
+const STORAGE_PREFIX = 'repo-vista:api-cache:';
+
+/**
+ * Time to live for each endpoint, in milliseconds
+ */
+export const CACHE_TTL = {
+  repository: 10 * 60 * 1000,
+  languages: 60 * 60 * 1000,
+  user: 24 * 60 * 60 * 1000,
+  contributors: 60 * 60 * 1000
+};
+
+/**
+ * Fingerprint the credential a request is sent with
+ * The token itself is never stored; a hash is enough to keep identities apart.
+ * @param {Object} headers - Request headers
+ * @returns {String} - "anonymous", or a hash of the Authorization header
+ */
+const getIdentity = (headers = {}) => {
+  const authorization = headers.Authorization || headers.authorization;
+  if (!authorization) return 'anonymous';
+
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < authorization.length; i++) {
+    hash ^= authorization.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Get the storage key of a request
+ * @param {String} url - Request URL (it includes the host)
+ * @param {Object} headers - Request headers
+ * @returns {String} - localStorage key
+ */
+const getCacheKey = (url, headers) => `${STORAGE_PREFIX}${getIdentity(headers)}:${url}`;
+
+/**
+ * Read a cache entry
+ * @param {String} key - Storage key
+ * @returns {Object|null} - Stored entry or null if missing or unreadable
+ */
+const readEntry = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Write a cache entry, clearing the cache once if storage is full
+ * @param {String} key - Storage key
+ * @param {Object} entry - Entry to store
+ */
+const writeEntry = (key, entry) => {
+  const value = JSON.stringify(entry);
+
+  try {
+    localStorage.setItem(key, value);
+  } catch (error) {
+    try {
+      clearApiCache();
+      localStorage.setItem(key, value);
+    } catch (retryError) {
+      console.warn('Unable to persist API response:', retryError);
+    }
+  }
+};
+
+/**
+ * Build a Response from a cache entry so callers can treat it like a fetch result
+ * @param {Object} entry - Stored entry
+ * @param {Headers} liveHeaders - Headers of a 304 response to carry over (rate limit info)
+ * @returns {Response} - Synthetic 200 response
+ */
+const toResponse = (entry, liveHeaders) => {
+  const headers = new Headers({ 'Content-Type': 'application/json' });
+
+  if (entry.link) {
+    headers.set('Link', entry.link);
+  }
+
+  if (liveHeaders) {
+    liveHeaders.forEach((value, name) => {
+      if (name.toLowerCase().startsWith('x-ratelimit-')) {
+        headers.set(name, value);
+      }
+    });
+  }
+
+  return new Response(entry.body, { status: 200, headers });
+};
+
+/**
+ * Fetch a URL through the persistent cache
+ * @param {String} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {Object} cacheOptions - Cache behaviour
+ * @param {Number} cacheOptions.ttl - How long a stored response is used without revalidation
+ * @param {Boolean} cacheOptions.forceRefresh - Revalidate even if the entry is still fresh
+ * @param {Boolean} cacheOptions.conditional - Revalidate with If-None-Match/If-Modified-Since instead of a full request
+ * @param {Function} cacheOptions.fetcher - Function used for network requests (defaults to fetch)
+ * @returns {Promise<Response>} - Network or cached response
+ */
+export const cachedFetch = async (url, options = {}, { ttl = 0, forceRefresh = false, conditional = false, fetcher = fetch } = {}) => {
+  const key = getCacheKey(url, options.headers);
+  const entry = readEntry(key);
+  const now = Date.now();
+
+  if (entry && !forceRefresh && now - entry.storedAt < ttl) {
+    return toResponse(entry);
+  }
+
+  // Ask the API whether the stored response is still current
+  const headers = { ...options.headers };
+  if (conditional && entry && entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (conditional && entry && entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  // Keep the browser's HTTP cache out of the way so 304s reach this code
+  const response = await fetcher(url, { ...options, headers, cache: 'no-store' });
+
+  if (response.status === 304 && entry) {
+    writeEntry(key, { ...entry, storedAt: now });
+    return toResponse(entry, response.headers);
+  }
+
+  if (response.ok) {
+    writeEntry(key, {
+      body: await response.clone().text(),
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      link: response.headers.get('Link'),
+      storedAt: now
+    });
+  }
+
+  return response;
+};
+
+/**
+ * Remove every cached API response
+ */
+export const clearApiCache = () => {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(STORAGE_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('Unable to clear API cache:', error);
+  }
+};
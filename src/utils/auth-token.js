@@ -0,0 +1,159 @@
+/**
+ * GitHub Token Storage
+ *
+ * Holds the personal access tokens entered at runtime, one per GitHub host.
+ * By default a token only lives in memory; users can opt in to keeping it in
+ * sessionStorage (until the tab is closed) or localStorage (until they forget
+ * it). A token baked in at build time (REACT_APP_GITHUB_TOKEN) is used as a
+ * fallback for github.com when no runtime token is set. Changing a token
+ * clears the API cache, so responses fetched with it aren't served afterwards.
+ */
+
+import { GITHUB_HOST } from './github-hosts';
+import { clearApiCache } from './api-cache';
+
+// Storage key for a persisted github.com token; other hosts append ":<host>"
+const STORAGE_KEY = 'repo-vista:github-token';
+
+// Token provided at build time, if any
+const ENV_TOKEN = process.env.REACT_APP_GITHUB_TOKEN;
+
+/**
+ * Where the runtime token can be kept
+ */
+export const tokenPersistenceOptions = [
+  { id: 'memory', name: 'This page only' },
+  { id: 'session', name: 'Until this tab is closed' },
+  { id: 'local', name: 'Remember on this device' }
+];
+
+/**
+ * Get the Web Storage area for a persistence mode
+ * @param {String} persistence - "session" or "local"
+ * @returns {Storage|null} - Storage area, or null for memory-only or when unavailable
+ */
+const getStorage = (persistence) => {
+  try {
+    if (persistence === 'session') return window.sessionStorage;
+    if (persistence === 'local') return window.localStorage;
+  } catch (error) {
+    // Storage can be blocked by browser privacy settings
+  }
+  return null;
+};
+
+/**
+ * Get the storage key of a host's token
+ * @param {String} host - Host name
+ * @returns {String} - Storage key
+ */
+const getStorageKey = (host) => (host === GITHUB_HOST ? STORAGE_KEY : `${STORAGE_KEY}:${host}`);
+
+/**
+ * Restore a token persisted by an earlier visit
+ * @param {String} host - Host name
+ * @returns {Object} - { token, persistence }
+ */
+const restoreToken = (host) => {
+  for (const persistence of ['session', 'local']) {
+    const storage = getStorage(persistence);
+    const token = storage && storage.getItem(getStorageKey(host));
+    if (token) {
+      return { token, persistence };
+    }
+  }
+  return { token: '', persistence: 'memory' };
+};
+
+// Runtime token and persistence per host, restored on first use
+const runtimeTokens = {};
+
+const getRuntimeEntry = (host) => {
+  if (!runtimeTokens[host]) {
+    runtimeTokens[host] = restoreToken(host);
+  }
+  return runtimeTokens[host];
+};
+
+/**
+ * Get the token to send with API requests
+ * @param {String} host - Host name (defaults to github.com)
+ * @returns {String} - Runtime token, build-time token (github.com only), or an empty string
+ */
+export const getAuthToken = (host = GITHUB_HOST) => (
+  getRuntimeEntry(host).token || (host === GITHUB_HOST && ENV_TOKEN) || ''
+);
+
+/**
+ * Describe where the active token comes from
+ * @param {String} host - Host name (defaults to github.com)
+ * @returns {String} - "runtime", "environment" or "none"
+ */
+export const getTokenSource = (host = GITHUB_HOST) => {
+  if (getRuntimeEntry(host).token) return 'runtime';
+  if (host === GITHUB_HOST && ENV_TOKEN) return 'environment';
+  return 'none';
+};
+
+/**
+ * Get how the runtime token is stored
+ * @param {String} host - Host name (defaults to github.com)
+ * @returns {String} - Persistence option id
+ */
+export const getTokenPersistence = (host = GITHUB_HOST) => getRuntimeEntry(host).persistence;
+
+/**
+ * Set the runtime token
+ * @param {String} token - Personal access token
+ * @param {String} persistence - Persistence option id
+ * @param {String} host - Host name (defaults to github.com)
+ */
+export const setAuthToken = (token, persistence = 'memory', host = GITHUB_HOST) => {
+  const previous = getRuntimeEntry(host).token;
+  removeToken(host);
+
+  const entry = { token: token.trim(), persistence };
+  runtimeTokens[host] = entry;
+
+  const storage = getStorage(persistence);
+  if (storage) {
+    try {
+      storage.setItem(getStorageKey(host), entry.token);
+    } catch (error) {
+      console.warn('Unable to persist GitHub token:', error);
+      entry.persistence = 'memory';
+    }
+  }
+
+  if (entry.token !== previous) {
+    clearApiCache();
+  }
+};
+
+/**
+ * Remove the runtime token and any persisted copy
+ * @param {String} host - Host name
+ */
+const removeToken = (host) => {
+  runtimeTokens[host] = { token: '', persistence: 'memory' };
+
+  ['session', 'local'].forEach(persistence => {
+    const storage = getStorage(persistence);
+    if (storage) {
+      storage.removeItem(getStorageKey(host));
+    }
+  });
+};
+
+/**
+ * Forget the runtime token, including any persisted copy and the responses fetched with it
+ * @param {String} host - Host name (defaults to github.com)
+ */
+export const clearAuthToken = (host = GITHUB_HOST) => {
+  const previous = getRuntimeEntry(host).token;
+  removeToken(host);
+
+  if (previous) {
+    clearApiCache();
+  }
+};
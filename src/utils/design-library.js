@@ -0,0 +1,207 @@
+/**
+ * Saved Designs Library
+ *
+ * Named designs stored in IndexedDB, so previews can be reopened and tweaked
+ * for every release. A saved design holds the same fields as a permalink
+ * (see utils/permalink.js) and can be exported to a JSON file to commit or
+ * share.
+ */
+
+import { encodeDesign, decodeDesign } from './permalink';
+
+const DATABASE_NAME = 'repo-vista';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'designs';
+
+// Identifies exported design files
+const DESIGN_FILE_TYPE = 'repo-vista-designs';
+const DESIGN_FILE_VERSION = 1;
+
+// Longest accepted design name
+export const MAX_DESIGN_NAME_LENGTH = 80;
+
+let databasePromise = null;
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} - Result of the request
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser cannot store designs (IndexedDB is unavailable)'));
+    }
+
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+
+    databasePromise = promisifyRequest(request).catch(error => {
+      // Let the next call try again (e.g. after private browsing blocked the first attempt)
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run a request against the designs store
+ * @param {String} mode - "readonly" or "readwrite"
+ * @param {Function} callback - Called with the store, returns the request to wait for
+ * @returns {Promise<*>} - Result of the request
+ */
+const withStore = async (mode, callback) => {
+  const database = await openDatabase();
+  const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  return promisifyRequest(callback(store));
+};
+
+/**
+ * Generate an id for a new saved design
+ * @returns {String} - Design id
+ */
+const createDesignId = () => `design-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Clean up a design name
+ * @param {String} name - Name as typed
+ * @returns {String} - Trimmed name, or "Untitled design" if empty
+ */
+const normalizeName = (name) => String(name || '').trim().slice(0, MAX_DESIGN_NAME_LENGTH) || 'Untitled design';
+
+/**
+ * Keep only the fields a permalink stores, in the shape it stores them
+ * @param {Object} design - Design fields
+ * @returns {Object|null} - Normalized design, or null if it can't be read
+ */
+export const normalizeDesign = (design) => {
+  if (!design || typeof design !== 'object') return null;
+
+  try {
+    return decodeDesign(encodeDesign(design));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * List the saved designs
+ * @returns {Promise<Array>} - Saved designs ({ id, name, design, createdAt, updatedAt }), most recently updated first
+ */
+export const listDesigns = async () => {
+  const designs = await withStore('readonly', store => store.getAll());
+  return designs.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Save a new design
+ * @param {String} name - Design name
+ * @param {Object} design - Design fields
+ * @returns {Promise<Object>} - Saved design
+ */
+export const saveDesign = async (name, design) => {
+  const now = Date.now();
+  const saved = {
+    id: createDesignId(),
+    name: normalizeName(name),
+    design: normalizeDesign(design),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await withStore('readwrite', store => store.add(saved));
+  return saved;
+};
+
+/**
+ * Rename a saved design or replace its contents
+ * @param {Object} saved - Saved design
+ * @param {Object} changes - New name and/or design
+ * @returns {Promise<Object>} - Updated design
+ */
+export const updateDesign = async (saved, { name, design } = {}) => {
+  const updated = {
+    ...saved,
+    name: name === undefined ? saved.name : normalizeName(name),
+    design: design === undefined ? saved.design : normalizeDesign(design),
+    updatedAt: Date.now()
+  };
+
+  await withStore('readwrite', store => store.put(updated));
+  return updated;
+};
+
+/**
+ * Save a copy of a design
+ * @param {Object} saved - Saved design to copy
+ * @returns {Promise<Object>} - The copy
+ */
+export const duplicateDesign = (saved) => saveDesign(`${saved.name} copy`, saved.design);
+
+/**
+ * Delete a saved design
+ * @param {String} id - Design id
+ * @returns {Promise<void>}
+ */
+export const deleteDesign = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+};
+
+/**
+ * Serialize saved designs into a shareable JSON file
+ * @param {Array} designs - Saved designs to export
+ * @returns {String} - JSON text
+ */
+export const exportDesignsToJson = (designs) => JSON.stringify({
+  type: DESIGN_FILE_TYPE,
+  version: DESIGN_FILE_VERSION,
+  designs: designs.map(({ name, design }) => ({ name, design }))
+}, null, 2);
+
+/**
+ * Parse a design file produced by exportDesignsToJson and save its designs
+ * @param {String} text - File contents
+ * @returns {Promise<Array>} - The saved designs
+ */
+export const importDesignsFromJson = async (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Design file is not valid JSON');
+  }
+
+  if (!data || data.type !== DESIGN_FILE_TYPE) {
+    throw new Error('This is not a Repo Vista design file');
+  }
+  if (data.version !== DESIGN_FILE_VERSION) {
+    throw new Error(`Unsupported design file version: ${data.version}`);
+  }
+
+  const designs = (Array.isArray(data.designs) ? data.designs : [])
+    .map(entry => ({ name: entry && entry.name, design: normalizeDesign(entry && entry.design) }))
+    .filter(entry => entry.design);
+
+  if (designs.length === 0) {
+    throw new Error('Design file contains no designs');
+  }
+
+  const saved = [];
+  for (const { name, design } of designs) {
+    saved.push(await saveDesign(name, design));
+  }
+  return saved;
+};
@@ -0,0 +1,86 @@
+/**
+ * Export Size Presets
+ *
+ * Output sizes for the social networks the preview is usually uploaded to,
+ * plus helpers for adapting the card layout to the chosen aspect ratio.
+ */
+
+/**
+ * Built-in export presets (sizes in pixels)
+ */
+export const exportPresets = [
+  { id: 'github', name: 'GitHub social preview', width: 1280, height: 640 },
+  { id: 'opengraph', name: 'Open Graph', width: 1200, height: 630 },
+  { id: 'twitter', name: 'Twitter card', width: 1200, height: 675 },
+  { id: 'linkedin', name: 'LinkedIn', width: 1200, height: 627 },
+  { id: 'custom', name: 'Custom size' }
+];
+
+// Bounds for custom sizes and resolution
+export const MIN_EXPORT_SIZE = 100;
+export const MAX_EXPORT_SIZE = 4096;
+export const DEFAULT_DPI = 72;
+export const MIN_DPI = 72;
+export const MAX_DPI = 600;
+
+/**
+ * Number of description lines shown for each card format
+ */
+export const descriptionLineCount = {
+  wide: 2,
+  standard: 3,
+  tall: 5
+};
+
+/**
+ * Resolve the output size for a preset
+ * @param {String} presetId - Preset id
+ * @param {Object} custom - Custom width and height, used for the "custom" preset
+ * @returns {Object} - Width and height in pixels
+ */
+export const getExportSize = (presetId, custom = {}) => {
+  const preset = exportPresets.find(p => p.id === presetId);
+
+  if (preset && preset.width && preset.height) {
+    return { width: preset.width, height: preset.height };
+  }
+
+  return {
+    width: clampSize(custom.width),
+    height: clampSize(custom.height)
+  };
+};
+
+/**
+ * Clamp a custom dimension into the supported range
+ * @param {Number|String} value - Requested size
+ * @returns {Number} - Size in pixels
+ */
+export const clampSize = (value) => {
+  const size = parseInt(value) || MIN_EXPORT_SIZE;
+  return Math.min(Math.max(size, MIN_EXPORT_SIZE), MAX_EXPORT_SIZE);
+};
+
+/**
+ * Clamp a resolution into the supported range
+ * @param {Number|String} value - Requested DPI
+ * @returns {Number} - Dots per inch
+ */
+export const clampDpi = (value) => {
+  const dpi = parseInt(value) || DEFAULT_DPI;
+  return Math.min(Math.max(dpi, MIN_DPI), MAX_DPI);
+};
+
+/**
+ * Classify an aspect ratio so the card can reflow instead of stretching
+ * @param {Number} width - Output width
+ * @param {Number} height - Output height
+ * @returns {String} - "wide", "standard" or "tall"
+ */
+export const getCardFormat = (width, height) => {
+  const ratio = width / height;
+
+  if (ratio >= 1.9) return 'wide';
+  if (ratio >= 1.5) return 'standard';
+  return 'tall';
+};
@@ -0,0 +1,106 @@
+/**
+ * Gitea Hosts
+ *
+ * Registry of self-hosted Gitea (and Forgejo) instances repositories can be
+ * loaded from, next to the public codeberg.org and gitea.com. Hosts come from
+ * the build environment (REACT_APP_GITEA_HOSTS, a comma-separated list of host
+ * names) and from hosts added in the app, which are kept in localStorage.
+ * Like the public instances they are read anonymously, so their API has to
+ * allow cross-origin requests.
+ */
+
+// Storage key for hosts added in the app
+const STORAGE_KEY = 'repo-vista:gitea-hosts';
+
+// Public Gitea instances, which are always available as forges of their own
+const PUBLIC_HOSTS = ['codeberg.org', 'gitea.com'];
+
+/**
+ * Validate a Gitea host entered by the user
+ * @param {String} host - Host name or URL
+ * @returns {Object} - Host configuration ({ host })
+ * @throws {Error} - When the host is invalid
+ */
+export const normalizeGiteaHost = (host) => {
+  const name = String(host || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/.*$/, '')
+    .replace(/^www\./, '');
+
+  if (!/^[a-z0-9.-]+(:\d+)?$/.test(name)) {
+    throw new Error('Please enter a host name such as git.company.com');
+  }
+
+  if (PUBLIC_HOSTS.includes(name)) {
+    throw new Error(`${name} is always available`);
+  }
+
+  return { host: name };
+};
+
+/**
+ * Read the hosts listed in the build environment
+ * @returns {Array} - Host configurations
+ */
+const readEnvironmentHosts = () => (process.env.REACT_APP_GITEA_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean)
+  .map(host => ({ host, builtIn: true }));
+
+/**
+ * Load the hosts added in the app
+ * @returns {Array} - Host configurations
+ */
+const loadSavedHosts = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.map(entry => ({ host: entry.host })) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+let savedHosts = loadSavedHosts();
+
+/**
+ * Get every self-hosted Gitea host
+ * @returns {Array} - Host configurations (built-in hosts have builtIn: true)
+ */
+export const getGiteaHosts = () => {
+  const environmentHosts = readEnvironmentHosts();
+  const builtInNames = environmentHosts.map(entry => entry.host);
+
+  return [
+    ...environmentHosts,
+    ...savedHosts.filter(entry => !builtInNames.includes(entry.host))
+  ];
+};
+
+/**
+ * Replace the hosts added in the app
+ * @param {Array} hosts - Host configurations
+ */
+export const saveGiteaHosts = (hosts) => {
+  savedHosts = hosts.filter(entry => !entry.builtIn);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(
+      savedHosts.map(({ host }) => ({ host }))
+    ));
+  } catch (error) {
+    console.warn('Unable to save Gitea hosts:', error);
+  }
+};
+
+/**
+ * Find a self-hosted Gitea host by the host name of a repository URL
+ * @param {String} hostName - Host name from the URL
+ * @returns {Object|null} - Host configuration or null if the host isn't configured
+ */
+export const findGiteaHost = (hostName) => {
+  const name = hostName.toLowerCase().replace(/^www\./, '');
+  return getGiteaHosts().find(entry => entry.host === name) || null;
+};
@@ -5,317 +5,397 @@
  * repository data, language statistics, user information, and more.
  */
 
-// GitHub API token (from environment variable)
-// For development, store this in a .env file (REACT_APP_GITHUB_TOKEN=your_token)
-// For production, implement a backend proxy to keep your token secure
-const GITHUB_TOKEN = process.env.REACT_APP_GITHUB_TOKEN;
+import { CACHE_TTL } from './api-cache';
+import { getAuthToken } from './auth-token';
+import { recordRateLimit } from './rate-limit';
+import { githubRequest, githubJson, githubGraphQL } from './github-client';
+import { RateLimitedError } from './github-errors';
+import { GITHUB_HOST, getHost, findHostByName } from './github-hosts';
+import { toLanguagePercentages, groupLanguages, getLanguageColor } from './languages';
 
-// GitHub API base URL
-const API_BASE_URL = 'https://api.github.com';
+// Everything a preview needs, in one GraphQL round trip
+const REPOSITORY_PREVIEW_QUERY = `
+  query RepositoryPreview($owner: String!, $name: String!) {
+    repository(owner: $owner, name: $name) {
+      name
+      nameWithOwner
+      description
+      url
+      homepageUrl
+      stargazerCount
+      forkCount
+      pushedAt
+      primaryLanguage { name }
+      watchers { totalCount }
+      issues(states: OPEN) { totalCount }
+      pullRequests(states: OPEN) { totalCount }
+      owner { login avatarUrl }
+      licenseInfo { key name spdxId }
+      repositoryTopics(first: 20) { nodes { topic { name } } }
+      languages(first: 100, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+      latestRelease { tagName name publishedAt url }
+    }
+  }
+`;
 
 /**
- * Create headers for GitHub API requests
- * @returns {Object} - Headers object with Authorization if token exists
+ * Build an API URL for a host
+ * @param {String} host - Host name (github.com when omitted)
+ * @param {String} path - API path starting with "/"
+ * @returns {String} - Absolute API URL
  */
-const createHeaders = () => {
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json'
-  };
-  
-  if (GITHUB_TOKEN) {
-    headers['Authorization'] = `token ${GITHUB_TOKEN}`;
-  }
-  
-  return headers;
-};
+const apiUrl = (host, path) => `${getHost(host).apiBaseUrl}${path}`;
 
 /**
- * Check GitHub API rate limit
+ * Check GitHub API rate limit (this request doesn't count against the limit)
+ * @param {String} token - Token to check the limit for (defaults to the active token)
  * @returns {Promise<Object>} - Rate limit information
  */
-export const checkRateLimit = async () => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/rate_limit`, {
-      headers: createHeaders()
-    });
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
+export const checkRateLimit = async (token = getAuthToken()) => {
+  const data = await githubJson(apiUrl(GITHUB_HOST, '/rate_limit'), { token });
+  
+  const rateLimit = {
+    core: {
+      limit: data.resources.core.limit,
+      remaining: data.resources.core.remaining,
+      reset: new Date(data.resources.core.reset * 1000)
+    },
+    search: {
+      limit: data.resources.search.limit,
+      remaining: data.resources.search.remaining,
+      reset: new Date(data.resources.search.reset * 1000)
+    }
+  };
+  
+  // Keep the shared budget up to date when checking the active token
+  if (token === getAuthToken()) {
+    recordRateLimit('core', rateLimit.core);
+    recordRateLimit('search', rateLimit.search);
+    
+    // Anonymous clients can't use GraphQL (its limit is 0)
+    const { graphql } = data.resources;
+    if (graphql && graphql.limit > 0) {
+      recordRateLimit('graphql', {
+        limit: graphql.limit,
+        remaining: graphql.remaining,
+        reset: new Date(graphql.reset * 1000)
+      });
     }
-    
-    const data = await response.json();
-    
-    return {
-      core: {
-        limit: data.resources.core.limit,
-        remaining: data.resources.core.remaining,
-        reset: new Date(data.resources.core.reset * 1000)
-      },
-      search: {
-        limit: data.resources.search.limit,
-        remaining: data.resources.search.remaining,
-        reset: new Date(data.resources.search.reset * 1000)
-      }
-    };
-  } catch (error) {
-    console.error('Error checking rate limit:', error);
-    throw error;
   }
+  
+  return rateLimit;
 };
 
 /**
  * Fetch repository data from GitHub API
  * @param {String} username - GitHub username
  * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Object>} - Repository data
  */
-export const fetchRepositoryData = async (username, repoName) => {
-  try {
-    // Format the API URL
-    const apiUrl = `${API_BASE_URL}/repos/${username}/${repoName}`;
-    
-    // Make the request with auth headers
-    const response = await fetch(apiUrl, {
-      headers: createHeaders()
-    });
-    
-    if (response.status === 404) {
-      throw new Error(`Repository not found: ${username}/${repoName}`);
-    }
-    
-    if (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0') {
-      const resetTime = new Date(Number(response.headers.get('X-RateLimit-Reset')) * 1000);
-      throw new Error(`API rate limit exceeded. Limit resets at ${resetTime.toLocaleTimeString()}`);
-    }
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
-    
-    // Parse the response as JSON
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error("Error fetching repository data:", error);
-    throw error;
-  }
+export const fetchRepositoryData = async (username, repoName, { host, forceRefresh = false, signal } = {}) => {
+  return githubJson(apiUrl(host, `/repos/${username}/${repoName}`), {
+    ttl: CACHE_TTL.repository,
+    forceRefresh,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  });
 };
 
+/**
+ * Fetch the bytes of code per language of a repository
+ * @param {String} username - GitHub username
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Bytes per language
+ */
+export const fetchLanguageBytes = async (username, repoName, { host, forceRefresh = false, signal } = {}) => (
+  githubJson(apiUrl(host, `/repos/${username}/${repoName}/languages`), {
+    ttl: CACHE_TTL.languages,
+    forceRefresh,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  })
+);
+
 /**
  * Fetch language statistics for a repository
  * @param {String} username - GitHub username
  * @param {String} repoName - Repository name
+ * @param {Object} options - Request options (see fetchLanguageBytes)
  * @returns {Promise<Object>} - Language statistics
  */
-export const fetchLanguageStatistics = async (username, repoName) => {
-  try {
-    // Format the API URL for languages
-    const apiUrl = `${API_BASE_URL}/repos/${username}/${repoName}/languages`;
-    
-    // Make the request
-    const response = await fetch(apiUrl, {
-      headers: createHeaders()
-    });
-    
-    if (response.status === 404) {
-      throw new Error(`Repository not found: ${username}/${repoName}`);
-    }
-    
-    if (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0') {
-      const resetTime = new Date(Number(response.headers.get('X-RateLimit-Reset')) * 1000);
-      throw new Error(`API rate limit exceeded. Limit resets at ${resetTime.toLocaleTimeString()}`);
-    }
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
-    
-    // Parse the response as JSON
-    const data = await response.json();
-    
-    // Calculate percentages
-    const total = Object.values(data).reduce((sum, value) => sum + value, 0);
-    const languagePercentages = {};
-    
-    for (const [language, bytes] of Object.entries(data)) {
-      languagePercentages[language] = parseFloat(((bytes / total) * 100).toFixed(1));
-    }
-    
-    return languagePercentages;
-  } catch (error) {
-    console.error("Error fetching language statistics:", error);
-    throw error;
-  }
-};
+export const fetchLanguageStatistics = async (username, repoName, options = {}) => (
+  toLanguagePercentages(await fetchLanguageBytes(username, repoName, options))
+);
 
 /**
  * Convert language statistics to the format used by the app
- * @param {Object} languageStats - Language statistics from GitHub API
- * @param {Object} languageColors - Language color mapping
- * @returns {Array} - Formatted language breakdown array
+ * Small languages are grouped into an "Other" segment (see groupLanguages).
+ * @param {Object} languageStats - Percentage per language
+ * @param {Object} options - Grouping options
+ * @param {Object} options.languageBytes - Bytes per language, used instead of the percentages when known
+ * @param {Number} options.minShare - Minimum share (in percent) for a language to get its own segment
+ * @param {Number} options.maxSegments - Maximum number of segments, "Other" included
+ * @param {Number} options.precision - Decimals of the percentages
+ * @returns {Array} - Formatted language breakdown array ({ name, percentage, bytes, color })
  */
-export const formatLanguageBreakdown = (languageStats, languageColors) => {
-  // Handle empty language stats
-  if (!languageStats || Object.keys(languageStats).length === 0) {
-    return [];
-  }
-  
-  // Sort languages by percentage (descending)
-  const sortedLanguages = Object.entries(languageStats)
-    .sort(([, percentA], [, percentB]) => percentB - percentA);
+export const formatLanguageBreakdown = (languageStats, { languageBytes, ...options } = {}) => {
+  const segments = languageBytes
+    ? groupLanguages(languageBytes, { ...options, hasBytes: true })
+    : groupLanguages(languageStats, options);
   
-  // Format as language breakdown array (limit to top 6 languages)
-  const formattedLanguages = sortedLanguages.slice(0, 6).map(([name, percentage]) => ({
-    name,
-    percentage,
-    color: languageColors[name] || 'lang-other' // Use default color if not found
+  return segments.map(segment => ({
+    ...segment,
+    color: getLanguageColor(segment.name)
   }));
-  
-  // Ensure total is exactly 100%
-  const total = formattedLanguages.reduce((sum, lang) => sum + lang.percentage, 0);
-  if (total !== 100 && formattedLanguages.length > 0) {
-    // Add or subtract the difference from the largest language
-    const largestLanguage = formattedLanguages.reduce(
-      (max, lang) => lang.percentage > max.percentage ? lang : max,
-      { percentage: 0 }
-    );
-    
-    const index = formattedLanguages.indexOf(largestLanguage);
-    if (index !== -1) {
-      formattedLanguages[index].percentage += (100 - total);
-    }
-  }
-  
-  return formattedLanguages;
 };
 
 /**
  * Fetch GitHub user avatar
  * @param {String} username - GitHub username
+ * @param {Object} options - Request options
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<String>} - Avatar URL
  */
-export const fetchUserAvatar = async (username) => {
-  try {
-    // Format the API URL
-    const apiUrl = `${API_BASE_URL}/users/${username}`;
-    
-    // Make the request
-    const response = await fetch(apiUrl, {
-      headers: createHeaders()
-    });
-    
-    if (response.status === 404) {
-      throw new Error(`User not found: ${username}`);
-    }
-    
-    if (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0') {
-      const resetTime = new Date(Number(response.headers.get('X-RateLimit-Reset')) * 1000);
-      throw new Error(`API rate limit exceeded. Limit resets at ${resetTime.toLocaleTimeString()}`);
-    }
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
-    
-    // Parse the response as JSON
-    const data = await response.json();
-    return data.avatar_url;
-  } catch (error) {
-    console.error("Error fetching user avatar:", error);
-    throw error;
-  }
+export const fetchUserAvatar = async (username, { host, forceRefresh = false, signal } = {}) => {
+  const data = await githubJson(apiUrl(host, `/users/${username}`), {
+    ttl: CACHE_TTL.user,
+    forceRefresh,
+    signal,
+    notFoundMessage: `User not found: ${username}`
+  });
+  
+  return data.avatar_url;
 };
 
 /**
  * Extract username and repository name from a GitHub URL
+ * URLs of configured GitHub Enterprise Server hosts are recognized as well.
  * @param {String} url - GitHub repository URL
- * @returns {Object|null} - Object with username and repoName or null if invalid
+ * @returns {Object|null} - Object with username, repoName and host, or null if invalid
  */
 export const parseGitHubUrl = (url) => {
-  if (!url || !url.includes('github.com')) return null;
+  if (!url) return null;
   
-  try {
-    // Remove protocol and domain
-    const urlWithoutProtocol = url.replace(/^(https?:\/\/)?(www\.)?github\.com\//, '');
-    
-    // Split remaining path
-    const pathParts = urlWithoutProtocol.split('/');
-    
-    if (pathParts.length >= 2) {
-      const username = pathParts[0];
-      // Remove any additional paths, query params, or hash fragments
-      const repoName = pathParts[1].split('#')[0].split('?')[0];
-      
-      if (username && repoName) {
-        return { username, repoName };
-      }
-    }
-  } catch (error) {
-    console.error("Error parsing GitHub URL:", error);
+  // Protocol is optional; anything after the repository name is ignored
+  const match = url.trim().match(/^(?:https?:\/\/)?([^/\s]+)\/([^/\s]+)\/([^/\s?#]+)/i);
+  if (!match) return null;
+  
+  const [, hostName, username, repoName] = match;
+  const host = findHostByName(hostName);
+  
+  return host ? { username, repoName, host: host.host } : null;
+};
+
+/**
+ * Load repository data with three REST requests
+ * @param {String} username - GitHub username
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} - All repository data
+ */
+const loadRepositoryDataRest = async (username, repoName, options) => {
+  // Fetch all data in parallel
+  const [repoData, languageBytes, avatarUrl] = await Promise.all([
+    fetchRepositoryData(username, repoName, options),
+    fetchLanguageBytes(username, repoName, options),
+    fetchUserAvatar(username, options)
+  ]);
+  
+  return {
+    repoData,
+    languageStats: toLanguagePercentages(languageBytes),
+    languageBytes,
+    avatarUrl
+  };
+};
+
+/**
+ * Map a GraphQL repository to the shape of the REST repository response
+ * @param {Object} repository - Repository from REPOSITORY_PREVIEW_QUERY
+ * @returns {Object} - REST-style repository data
+ */
+const toRestRepository = (repository) => ({
+  name: repository.name,
+  full_name: repository.nameWithOwner,
+  description: repository.description,
+  html_url: repository.url,
+  homepage: repository.homepageUrl || null,
+  stargazers_count: repository.stargazerCount,
+  // REST reports stars as watchers_count and actual watchers as subscribers_count
+  watchers_count: repository.stargazerCount,
+  subscribers_count: repository.watchers.totalCount,
+  forks_count: repository.forkCount,
+  // REST counts open pull requests as issues
+  open_issues_count: repository.issues.totalCount + repository.pullRequests.totalCount,
+  open_pull_requests_count: repository.pullRequests.totalCount,
+  language: repository.primaryLanguage ? repository.primaryLanguage.name : null,
+  topics: repository.repositoryTopics.nodes.map(node => node.topic.name),
+  license: repository.licenseInfo && {
+    key: repository.licenseInfo.key,
+    name: repository.licenseInfo.name,
+    spdx_id: repository.licenseInfo.spdxId
+  },
+  pushed_at: repository.pushedAt,
+  owner: {
+    login: repository.owner.login,
+    avatar_url: repository.owner.avatarUrl
   }
+});
+
+/**
+ * Load repository data, topics, license and latest release with one GraphQL query
+ * @param {String} username - GitHub username
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} - All repository data
+ */
+const loadRepositoryDataGraphQL = async (username, repoName, { host, signal } = {}) => {
+  const { repository } = await githubGraphQL(REPOSITORY_PREVIEW_QUERY, { owner: username, name: repoName }, {
+    host,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  });
+  
+  const languageBytes = {};
+  repository.languages.edges.forEach(edge => {
+    languageBytes[edge.node.name] = edge.size;
+  });
   
-  return null;
+  const release = repository.latestRelease;
+  
+  return {
+    repoData: toRestRepository(repository),
+    languageStats: toLanguagePercentages(languageBytes),
+    languageBytes,
+    avatarUrl: repository.owner.avatarUrl,
+    latestRelease: release && {
+      tag_name: release.tagName,
+      name: release.name,
+      published_at: release.publishedAt,
+      html_url: release.url
+    }
+  };
 };
 
 /**
  * Load all repository data in one call
+ * With a token this is a single GraphQL query that also returns the latest
+ * release; anonymous requests (GraphQL requires a token) use REST.
  * @param {String} username - GitHub username
  * @param {String} repoName - Repository name
- * @returns {Promise<Object>} - All repository data
+ * @param {Object} options - Request options
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh (REST only)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - { repoData, languageStats, languageBytes, avatarUrl }, plus latestRelease (null if there is none) and the open pull request count when loaded through GraphQL
  */
-export const loadRepositoryData = async (username, repoName) => {
+export const loadRepositoryData = async (username, repoName, options = {}) => {
+  if (!hasAuthToken(options.host)) {
+    return loadRepositoryDataRest(username, repoName, options);
+  }
+  
   try {
-    // Fetch all data in parallel
-    const [repoData, languageStats, avatarUrl] = await Promise.all([
-      fetchRepositoryData(username, repoName),
-      fetchLanguageStatistics(username, repoName),
-      fetchUserAvatar(username)
-    ]);
-    
-    return {
-      repoData,
-      languageStats,
-      avatarUrl
-    };
+    return await loadRepositoryDataGraphQL(username, repoName, options);
   } catch (error) {
-    console.error("Error loading repository data:", error);
+    // GraphQL has its own budget; REST may still have requests left
+    if (error instanceof RateLimitedError && error.resource === 'graphql') {
+      return loadRepositoryDataRest(username, repoName, options);
+    }
     throw error;
   }
 };
 
+/**
+ * Get the rate limit cost of loadRepositoryData
+ * @returns {Object} - Rate limit resource and number of requests per repository
+ */
+export const getRepositoryLoadCost = () => (
+  hasAuthToken()
+    ? { resource: 'graphql', requests: 1 }
+    : { resource: 'core', requests: 3 }
+);
+
 /**
  * Search for repositories
  * @param {String} query - Search query
  * @param {Number} perPage - Results per page (max 100)
  * @param {Number} page - Page number
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Object>} - Search results
  */
-export const searchRepositories = async (query, perPage = 10, page = 1) => {
-  try {
-    // Format the API URL
-    const apiUrl = `${API_BASE_URL}/search/repositories?q=${encodeURIComponent(query)}&per_page=${perPage}&page=${page}`;
-    
-    // Make the request
-    const response = await fetch(apiUrl, {
-      headers: createHeaders()
-    });
-    
-    if (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0') {
-      const resetTime = new Date(Number(response.headers.get('X-RateLimit-Reset')) * 1000);
-      throw new Error(`API rate limit exceeded. Limit resets at ${resetTime.toLocaleTimeString()}`);
-    }
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
+export const searchRepositories = async (query, perPage = 10, page = 1, { signal } = {}) => {
+  return githubJson(
+    apiUrl(GITHUB_HOST, `/search/repositories?q=${encodeURIComponent(query)}&per_page=${perPage}&page=${page}`),
+    { signal }
+  );
+};
+
+/**
+ * Extract the URL of the next page from a GitHub Link header
+ * @param {String} linkHeader - Value of the Link response header
+ * @returns {String|null} - Next page URL or null on the last page
+ */
+const getNextPageUrl = (linkHeader) => {
+  if (!linkHeader) return null;
+  
+  const match = linkHeader.split(',').find(part => part.includes('rel="next"'));
+  return match ? match.slice(match.indexOf('<') + 1, match.indexOf('>')) : null;
+};
+
+/**
+ * Fetch one page of public repositories owned by a user or organization
+ * @param {String} owner - GitHub user or organization name
+ * @param {Number} perPage - Results per page (max 100)
+ * @param {Number} page - Page number
+ * @returns {Promise<Object>} - Repositories and whether more pages exist
+ */
+export const fetchOwnerRepositories = async (owner, perPage = 100, page = 1) => {
+  // Works for both users and organizations
+  const response = await githubRequest(
+    apiUrl(GITHUB_HOST, `/users/${owner}/repos?type=owner&sort=updated&per_page=${perPage}&page=${page}`),
+    { notFoundMessage: `User or organization not found: ${owner}` }
+  );
+  
+  return {
+    repositories: await response.json(),
+    hasNextPage: !!getNextPageUrl(response.headers.get('Link'))
+  };
+};
+
+/**
+ * Fetch every public repository owned by a user or organization
+ * @param {String} owner - GitHub user or organization name
+ * @param {Function} onPage - Optional callback with the repositories loaded so far
+ * @returns {Promise<Array>} - All repositories
+ */
+export const fetchAllOwnerRepositories = async (owner, onPage) => {
+  const repositories = [];
+  let page = 1;
+  let hasNextPage = true;
+  
+  while (hasNextPage) {
+    const result = await fetchOwnerRepositories(owner, 100, page);
+    repositories.push(...result.repositories);
+    hasNextPage = result.hasNextPage;
+    page++;
+    
+    if (onPage) {
+      onPage([...repositories]);
     }
-    
-    // Parse the response as JSON
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error("Error searching repositories:", error);
-    throw error;
   }
+  
+  return repositories;
 };
 
 /**
@@ -323,55 +403,164 @@ export const searchRepositories = async (query, perPage = 10, page = 1) => {
  * @param {String} username - GitHub username
  * @param {String} repoName - Repository name
  * @param {Number} perPage - Results per page (max 100)
+ * @param {Object} options - Request options
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Array>} - Contributors list
  */
-export const fetchContributors = async (username, repoName, perPage = 10) => {
-  try {
-    // Format the API URL
-    const apiUrl = `${API_BASE_URL}/repos/${username}/${repoName}/contributors?per_page=${perPage}`;
-    
-    // Make the request
-    const response = await fetch(apiUrl, {
-      headers: createHeaders()
-    });
-    
-    if (response.status === 404) {
-      throw new Error(`Repository not found: ${username}/${repoName}`);
-    }
-    
-    if (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0') {
-      const resetTime = new Date(Number(response.headers.get('X-RateLimit-Reset')) * 1000);
-      throw new Error(`API rate limit exceeded. Limit resets at ${resetTime.toLocaleTimeString()}`);
-    }
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status}`);
-    }
-    
-    // Parse the response as JSON
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error("Error fetching contributors:", error);
-    throw error;
+export const fetchContributors = async (username, repoName, perPage = 10, { host, forceRefresh = false, signal } = {}) => {
+  const response = await githubRequest(apiUrl(host, `/repos/${username}/${repoName}/contributors?per_page=${perPage}`), {
+    ttl: CACHE_TTL.contributors,
+    forceRefresh,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  });
+  
+  // Empty repositories have no contributors
+  if (response.status === 204) {
+    return [];
+  }
+  
+  return response.json();
+};
+
+/**
+ * Check whether a contributor is a bot account (Dependabot, Renovate, etc.)
+ * @param {Object} contributor - Contributor from the GitHub API
+ * @returns {Boolean} - True for bot accounts
+ */
+export const isBotAccount = (contributor) => {
+  return contributor.type === 'Bot' || /\[bot\]$/i.test(contributor.login || '');
+};
+
+/**
+ * Fetch the top human contributors of a repository
+ * @param {String} username - GitHub username
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Contributors ({ login, avatarUrl }) and whether the list was truncated
+ */
+export const fetchTopContributors = async (username, repoName, options = {}) => {
+  const perPage = 100;
+  const data = await fetchContributors(username, repoName, perPage, options);
+  
+  return {
+    contributors: data
+      .filter(contributor => !isBotAccount(contributor))
+      .map(contributor => ({
+        login: contributor.login,
+        avatarUrl: contributor.avatar_url
+      })),
+    hasMore: data.length === perPage
+  };
+};
+
+/**
+ * Count the open pull requests of a repository
+ * Only one pull request is requested; the page number of the last page is the count.
+ * @param {String} username - GitHub username
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options (see fetchRepositoryStats)
+ * @returns {Promise<Number>} - Number of open pull requests
+ */
+const fetchOpenPullRequestCount = async (username, repoName, { host, forceRefresh = false, signal } = {}) => {
+  const response = await githubRequest(apiUrl(host, `/repos/${username}/${repoName}/pulls?state=open&per_page=1`), {
+    ttl: CACHE_TTL.repository,
+    forceRefresh,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  });
+  
+  const linkHeader = response.headers.get('Link') || '';
+  const last = linkHeader.split(',').find(part => part.includes('rel="last"'));
+  if (last) {
+    return Number(new URL(last.slice(last.indexOf('<') + 1, last.indexOf('>'))).searchParams.get('page'));
+  }
+  
+  // Without a Link header everything fit on the one page
+  return (await response.json()).length;
+};
+
+/**
+ * Fetch the stats that aren't part of the repository response
+ * Releases are read from the 100 most recent ones, so download counts of
+ * older releases are left out.
+ * @param {String} username - GitHub username
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @param {Array} options.stats - Stats to fetch ("pullRequests", "release", "downloads")
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - { openPullRequests, latestRelease, releaseDownloads }, each only when requested
+ */
+export const fetchRepositoryStats = async (username, repoName, { stats = [], ...options } = {}) => {
+  const result = {};
+  const requests = [];
+  
+  if (stats.includes('pullRequests')) {
+    requests.push(fetchOpenPullRequestCount(username, repoName, options).then(count => {
+      result.openPullRequests = count;
+    }));
+  }
+  
+  if (stats.includes('release') || stats.includes('downloads')) {
+    requests.push(githubJson(apiUrl(options.host, `/repos/${username}/${repoName}/releases?per_page=100`), {
+      ttl: CACHE_TTL.repository,
+      forceRefresh: options.forceRefresh,
+      signal: options.signal,
+      notFoundMessage: `Repository not found: ${username}/${repoName}`
+    }).then(releases => {
+      // Same rule as /releases/latest: the newest release that is neither a draft nor a prerelease
+      const latest = releases.find(release => !release.draft && !release.prerelease);
+      result.latestRelease = latest ? {
+        tag_name: latest.tag_name,
+        name: latest.name,
+        published_at: latest.published_at,
+        html_url: latest.html_url
+      } : null;
+      result.releaseDownloads = releases.reduce((total, release) => (
+        total + release.assets.reduce((sum, asset) => sum + asset.download_count, 0)
+      ), 0);
+    }));
   }
+  
+  await Promise.all(requests);
+  return result;
 };
 
 /**
  * Check if the current client has a valid GitHub token
+ * @param {String} host - GitHub host name (defaults to github.com)
  * @returns {Boolean} - True if a token is present
  */
-export const hasAuthToken = () => {
-  return !!GITHUB_TOKEN;
+export const hasAuthToken = (host = GITHUB_HOST) => {
+  return !!getAuthToken(host);
+};
+
+/**
+ * Fetch the user a token belongs to (validates tokens for any host)
+ * @param {Object} options - Request options
+ * @param {String} options.host - GitHub host name (defaults to github.com)
+ * @param {String} options.token - Token to check instead of the host's active token
+ * @returns {Promise<Object>} - Authenticated user
+ */
+export const fetchAuthenticatedUser = async ({ host, token } = {}) => {
+  return githubJson(apiUrl(host, '/user'), { token });
 };
 
 /**
  * Get authentication status information
+ * @param {String} token - Token to validate (defaults to the active token)
  * @returns {Promise<Object>} - Authentication status info
  */
-export const getAuthStatus = async () => {
+export const getAuthStatus = async (token = getAuthToken()) => {
   // If no token, return unauthenticated status
-  if (!GITHUB_TOKEN) {
+  if (!token) {
     return {
       authenticated: false,
       rateLimitInfo: {
@@ -384,7 +573,7 @@ export const getAuthStatus = async () => {
   
   try {
     // Check rate limit (this also validates the token)
-    const rateLimit = await checkRateLimit();
+    const rateLimit = await checkRateLimit(token);
     
     return {
       authenticated: true,
@@ -0,0 +1,307 @@
+/**
+ * GitHub Request Client
+ *
+ * Single entry point for GitHub API requests, on github.com and GitHub
+ * Enterprise Server hosts. It authenticates requests with the token of the
+ * host they go to, goes through the response cache, spends rate limit budget
+ * (github.com only), turns failed
+ * responses into typed errors (see github-errors.js), retries transient
+ * failures with exponential backoff and supports cancellation through an
+ * AbortSignal.
+ */
+
+import { cachedFetch } from './api-cache';
+import { getAuthToken } from './auth-token';
+import { getHost, getHostForApiUrl } from './github-hosts';
+import { reserveRequest, recordRateLimitHeaders } from './rate-limit';
+import {
+  GitHubApiError,
+  NotFoundError,
+  RateLimitedError,
+  SecondaryRateLimitError,
+  UnauthorizedError,
+  NetworkError,
+  isAbortError
+} from './github-errors';
+
+// Retries after the first attempt for transient failures
+const MAX_RETRIES = 3;
+
+// First backoff delay; doubled on every retry
+const BASE_RETRY_DELAY = 1000;
+
+// Longer waits are reported to the caller instead of retried
+const MAX_RETRY_DELAY = 60 * 1000;
+
+/**
+ * Create headers for GitHub API requests
+ * @param {String} token - Token to authenticate with (defaults to the active token)
+ * @returns {Object} - Headers object with Authorization if token exists
+ */
+export const createHeaders = (token = getAuthToken()) => {
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json'
+  };
+
+  if (token) {
+    headers['Authorization'] = `token ${token}`;
+  }
+
+  return headers;
+};
+
+/**
+ * Get the rate limit resource a request counts against
+ * Enterprise Server limits are configured per instance (and often disabled),
+ * so only github.com requests are budgeted.
+ * @param {String} url - Request URL
+ * @param {Object} host - Host configuration the request goes to
+ * @returns {String|null} - "search", "graphql", "core", or null for requests that aren't budgeted
+ */
+const getRateLimitResource = (url, host) => {
+  if (host.enterprise || url.startsWith(`${host.apiBaseUrl}/rate_limit`)) return null;
+  if (url === host.graphqlUrl) return 'graphql';
+  return url.startsWith(`${host.apiBaseUrl}/search/`) ? 'search' : 'core';
+};
+
+/**
+ * Send a single request, spending rate limit budget
+ * @param {String} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+const apiFetch = async (url, options = {}) => {
+  const host = getHostForApiUrl(url);
+  const resource = getRateLimitResource(url, host);
+  const headers = options.headers || {};
+  const conditional = Boolean(headers['If-None-Match'] || headers['If-Modified-Since']);
+  const release = resource ? reserveRequest(resource, { conditional }) : () => {};
+
+  try {
+    const response = await fetch(url, options);
+    if (!host.enterprise) {
+      recordRateLimitHeaders(response.headers);
+    }
+    return response;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new NetworkError('Could not reach GitHub. Check your connection and try again.', { url });
+  } finally {
+    release();
+  }
+};
+
+/**
+ * Turn a failed response into a typed error
+ * @param {Response} response - Response with a non-2xx status
+ * @param {String} url - Request URL
+ * @param {String} notFoundMessage - Message for 404 responses
+ * @returns {Promise<GitHubApiError>} - Error describing the failure
+ */
+const toGitHubError = async (response, url, notFoundMessage) => {
+  const { status, headers } = response;
+  let message = '';
+
+  try {
+    message = (await response.json()).message || '';
+  } catch (error) {
+    // Not every error response has a JSON body
+  }
+
+  if (status === 401) {
+    return new UnauthorizedError('GitHub rejected the token. It may be invalid or expired.', { status, url });
+  }
+
+  if (status === 403 || status === 429) {
+    if (headers.get('X-RateLimit-Remaining') === '0') {
+      const resetAt = new Date(Number(headers.get('X-RateLimit-Reset')) * 1000);
+      return new RateLimitedError(`API rate limit exceeded. Limit resets at ${resetAt.toLocaleTimeString()}`, {
+        status,
+        url,
+        resetAt,
+        resource: headers.get('X-RateLimit-Resource') || 'core'
+      });
+    }
+
+    const retryAfter = headers.get('Retry-After');
+    if (retryAfter !== null || /secondary rate limit/i.test(message)) {
+      return new SecondaryRateLimitError('GitHub is temporarily throttling requests. Please wait a minute and try again.', {
+        status,
+        url,
+        retryAfter: retryAfter !== null ? Number(retryAfter) : null
+      });
+    }
+  }
+
+  if (status === 404) {
+    return new NotFoundError(notFoundMessage || 'Not found on GitHub', { status, url });
+  }
+
+  return new GitHubApiError(`GitHub API error: ${status}${message ? ` (${message})` : ''}`, { status, url });
+};
+
+/**
+ * Decide whether and when to retry a failed attempt
+ * @param {Error} error - Error from the attempt
+ * @param {Number} attempt - Zero-based attempt number
+ * @returns {Number|null} - Delay in milliseconds, or null to give up
+ */
+const getRetryDelay = (error, attempt) => {
+  const backoff = BASE_RETRY_DELAY * 2 ** attempt + Math.random() * 250;
+  let delay = null;
+
+  if (error instanceof SecondaryRateLimitError) {
+    delay = error.retryAfter !== null ? error.retryAfter * 1000 : backoff;
+  } else if (error instanceof NetworkError || (error instanceof GitHubApiError && error.status >= 500)) {
+    delay = backoff;
+  }
+
+  return delay !== null && delay <= MAX_RETRY_DELAY ? delay : null;
+};
+
+/**
+ * Wait before a retry
+ * @param {Number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>} - Resolves after the delay, rejects when aborted
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('The request was aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+
+  if (signal) {
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+    signal.addEventListener('abort', abort, { once: true });
+  }
+});
+
+/**
+ * Make a GitHub API request
+ * @param {String} url - Request URL
+ * @param {Object} options - Request options
+ * @param {Number} options.ttl - Cache time to live; omit to bypass the response cache
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request (rejects with an AbortError)
+ * @param {String} options.token - Token to use instead of the active token of the URL's host
+ * @param {String} options.notFoundMessage - Message for the NotFoundError thrown on 404
+ * @param {String} options.method - HTTP method
+ * @param {String} options.body - JSON request body (requests with a body are never cached)
+ * @returns {Promise<Response>} - Successful response
+ * @throws {GitHubApiError} - Typed error once retries are exhausted
+ */
+export const githubRequest = async (url, {
+  ttl,
+  forceRefresh = false,
+  signal,
+  token,
+  notFoundMessage,
+  method = 'GET',
+  body
+} = {}) => {
+  const headers = createHeaders(token !== undefined ? token : getAuthToken(getHostForApiUrl(url).host));
+  const options = { method, headers, body, signal };
+  const cacheable = ttl !== undefined && body === undefined;
+
+  if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = cacheable
+        ? await cachedFetch(url, options, { ttl, forceRefresh, conditional: true, fetcher: apiFetch })
+        : await apiFetch(url, options);
+
+      if (response.ok) {
+        return response;
+      }
+
+      throw await toGitHubError(response, url, notFoundMessage);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      const delay = attempt < MAX_RETRIES ? getRetryDelay(error, attempt) : null;
+      if (delay === null) throw error;
+
+      await sleep(delay, signal);
+    }
+  }
+};
+
+/**
+ * Make a GitHub API request and parse the JSON body
+ * @param {String} url - Request URL
+ * @param {Object} options - See githubRequest
+ * @returns {Promise<*>} - Parsed body
+ */
+export const githubJson = async (url, options) => {
+  const response = await githubRequest(url, options);
+  return response.json();
+};
+
+/**
+ * Turn the errors of a GraphQL response into a typed error
+ * @param {Array} errors - "errors" field of the response
+ * @param {Headers} headers - Response headers
+ * @param {String} url - Request URL
+ * @param {String} notFoundMessage - Message for NOT_FOUND errors
+ * @returns {GitHubApiError} - Error describing the first failure
+ */
+const toGraphQLError = (errors, headers, url, notFoundMessage) => {
+  const [error] = errors;
+
+  if (error.type === 'NOT_FOUND') {
+    return new NotFoundError(notFoundMessage || error.message, { status: 200, url });
+  }
+
+  if (error.type === 'RATE_LIMITED') {
+    const resetAt = new Date(Number(headers.get('X-RateLimit-Reset')) * 1000);
+    return new RateLimitedError(`API rate limit exceeded. Limit resets at ${resetAt.toLocaleTimeString()}`, {
+      status: 200,
+      url,
+      resetAt,
+      resource: 'graphql'
+    });
+  }
+
+  return new GitHubApiError(`GitHub GraphQL error: ${errors.map(item => item.message).join('; ')}`, { status: 200, url });
+};
+
+/**
+ * Run a GitHub GraphQL query (requires a token)
+ * GraphQL responses aren't cached: there is no ETag to revalidate them with.
+ * @param {String} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {Object} options - Request options
+ * @param {String} options.host - Host name to query (defaults to github.com)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {String} options.token - Token to use instead of the host's active token
+ * @param {String} options.notFoundMessage - Message for the NotFoundError thrown when a node doesn't resolve
+ * @returns {Promise<Object>} - "data" field of the response
+ * @throws {GitHubApiError} - Typed error for failed requests and query errors
+ */
+export const githubGraphQL = async (query, variables = {}, { host, signal, token, notFoundMessage } = {}) => {
+  const url = getHost(host).graphqlUrl;
+  const response = await githubRequest(url, {
+    method: 'POST',
+    body: JSON.stringify({ query, variables }),
+    signal,
+    token
+  });
+  const { data, errors } = await response.json();
+
+  if (errors && errors.length > 0) {
+    throw toGraphQLError(errors, response.headers, url, notFoundMessage);
+  }
+
+  return data;
+};
@@ -0,0 +1,101 @@
+/**
+ * GitHub API Errors
+ *
+ * Typed errors thrown by the GitHub request client, so callers can branch
+ * on the kind of failure instead of matching message strings.
+ */
+
+/**
+ * Base class for failed API requests (GitHub and the other forges)
+ */
+export class GitHubApiError extends Error {
+  /**
+   * @param {String} message - Human readable message
+   * @param {Object} details - Request details
+   * @param {Number} details.status - HTTP status, if a response was received
+   * @param {String} details.url - Request URL
+   */
+  constructor(message, { status, url } = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * The repository, user or resource doesn't exist (or isn't visible to the token)
+ */
+export class NotFoundError extends GitHubApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The primary rate limit is spent until resetAt
+ */
+export class RateLimitedError extends GitHubApiError {
+  /**
+   * @param {String} message - Human readable message
+   * @param {Object} details - Request details, plus resetAt (Date) and resource
+   */
+  constructor(message, { resetAt, resource = 'core', ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+    this.resetAt = resetAt;
+    this.resource = resource;
+  }
+}
+
+/**
+ * GitHub's abuse detection is throttling requests; retry after retryAfter seconds
+ */
+export class SecondaryRateLimitError extends GitHubApiError {
+  /**
+   * @param {String} message - Human readable message
+   * @param {Object} details - Request details, plus retryAfter (seconds, or null if unknown)
+   */
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'SecondaryRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The token is missing required access, invalid or expired
+ */
+export class UnauthorizedError extends GitHubApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, ...)
+ */
+export class NetworkError extends GitHubApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Check whether an error comes from an aborted request
+ * @param {Error} error - Caught error
+ * @returns {Boolean} - True if the request was cancelled through an AbortSignal
+ */
+export const isAbortError = (error) => !!error && error.name === 'AbortError';
+
+/**
+ * Check whether an error means no more requests can be made for a while
+ * @param {Error} error - Caught error
+ * @returns {Boolean} - True for primary and secondary rate limit errors
+ */
+export const isRateLimitError = (error) => (
+  error instanceof RateLimitedError || error instanceof SecondaryRateLimitError
+);
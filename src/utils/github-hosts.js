@@ -0,0 +1,180 @@
+/**
+ * GitHub Hosts
+ *
+ * Registry of the GitHub instances repositories can be loaded from:
+ * github.com plus any number of GitHub Enterprise Server hosts. Enterprise
+ * hosts come from the build environment (REACT_APP_GITHUB_ENTERPRISE_HOSTS,
+ * a comma-separated list of host names) and from hosts added in the app,
+ * which are kept in localStorage. Each host has its own API base URL and
+ * token (see auth-token.js).
+ */
+
+// Storage key for hosts added in the app
+const STORAGE_KEY = 'repo-vista:github-hosts';
+
+// Host name of the public GitHub instance
+export const GITHUB_HOST = 'github.com';
+
+const githubDotCom = {
+  host: GITHUB_HOST,
+  webUrl: 'https://github.com',
+  apiBaseUrl: 'https://api.github.com',
+  graphqlUrl: 'https://api.github.com/graphql',
+  enterprise: false
+};
+
+/**
+ * Build the full configuration of an Enterprise Server host
+ * @param {String} host - Host name (e.g. "ghe.company.com")
+ * @param {String} apiBaseUrl - REST API base URL (defaults to https://<host>/api/v3)
+ * @returns {Object} - Host configuration
+ */
+const toEnterpriseHost = (host, apiBaseUrl = `https://${host}/api/v3`) => {
+  const base = apiBaseUrl.replace(/\/+$/, '');
+
+  return {
+    host,
+    webUrl: `https://${host}`,
+    apiBaseUrl: base,
+    // GraphQL lives next to the REST API: /api/v3 -> /api/graphql
+    graphqlUrl: base.replace(/\/v3$/, '/graphql'),
+    enterprise: true
+  };
+};
+
+/**
+ * Validate an Enterprise Server host entered by the user
+ * @param {String} host - Host name or URL
+ * @param {String} apiBaseUrl - Optional REST API base URL
+ * @returns {Object} - Host configuration
+ * @throws {Error} - When the host or API URL is invalid
+ */
+export const normalizeEnterpriseHost = (host, apiBaseUrl = '') => {
+  const name = String(host || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/.*$/, '');
+
+  if (!/^[a-z0-9.-]+(:\d+)?$/.test(name)) {
+    throw new Error('Please enter a host name such as ghe.company.com');
+  }
+
+  if (name === GITHUB_HOST || name === 'www.github.com') {
+    throw new Error('github.com is always available');
+  }
+
+  const base = apiBaseUrl.trim();
+  if (base && !/^https?:\/\/[^/\s]+/.test(base)) {
+    throw new Error('The API URL must start with http:// or https://');
+  }
+
+  return toEnterpriseHost(name, base || undefined);
+};
+
+/**
+ * Read the hosts listed in the build environment
+ * @returns {Array} - Host configurations
+ */
+const readEnvironmentHosts = () => (process.env.REACT_APP_GITHUB_ENTERPRISE_HOSTS || '')
+  .split(',')
+  .map(host => host.trim())
+  .filter(Boolean)
+  .map(host => ({ ...toEnterpriseHost(host.toLowerCase()), builtIn: true }));
+
+/**
+ * Load the hosts added in the app
+ * @returns {Array} - Host configurations
+ */
+const loadSavedHosts = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved)
+      ? saved.map(entry => toEnterpriseHost(entry.host, entry.apiBaseUrl))
+      : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+let savedHosts = loadSavedHosts();
+
+/**
+ * Get every Enterprise Server host
+ * @returns {Array} - Host configurations (built-in hosts have builtIn: true)
+ */
+export const getEnterpriseHosts = () => {
+  const environmentHosts = readEnvironmentHosts();
+  const builtInNames = environmentHosts.map(entry => entry.host);
+
+  return [
+    ...environmentHosts,
+    ...savedHosts.filter(entry => !builtInNames.includes(entry.host))
+  ];
+};
+
+/**
+ * Replace the hosts added in the app
+ * @param {Array} hosts - Host configurations
+ */
+export const saveEnterpriseHosts = (hosts) => {
+  savedHosts = hosts.filter(entry => !entry.builtIn);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(
+      savedHosts.map(({ host, apiBaseUrl }) => ({ host, apiBaseUrl }))
+    ));
+  } catch (error) {
+    console.warn('Unable to save GitHub hosts:', error);
+  }
+};
+
+/**
+ * Get the configuration of a host
+ * @param {String} host - Host name (defaults to github.com)
+ * @returns {Object} - Host configuration
+ * @throws {Error} - When the host isn't configured
+ */
+export const getHost = (host = GITHUB_HOST) => {
+  if (host === GITHUB_HOST) return githubDotCom;
+
+  const entry = getEnterpriseHosts().find(candidate => candidate.host === host);
+  if (!entry) {
+    throw new Error(`Unknown GitHub host: ${host}. Add it in the GitHub Access settings.`);
+  }
+  return entry;
+};
+
+/**
+ * Find the host of a web URL host name (as typed in a repository URL)
+ * @param {String} hostName - Host name from the URL
+ * @returns {Object|null} - Host configuration or null if the host isn't configured
+ */
+export const findHostByName = (hostName) => {
+  const name = hostName.toLowerCase().replace(/^www\./, '');
+  if (name === GITHUB_HOST) return githubDotCom;
+
+  return getEnterpriseHosts().find(entry => entry.host === name) || null;
+};
+
+/**
+ * Find the host an API request goes to
+ * @param {String} url - Request URL
+ * @returns {Object} - Host configuration (github.com for unknown URLs)
+ */
+export const getHostForApiUrl = (url) => (
+  getEnterpriseHosts().find(entry => (
+    url.startsWith(`${entry.apiBaseUrl}/`) || url === entry.graphqlUrl
+  )) || githubDotCom
+);
+
+/**
+ * Get the avatar URL of a user or organization
+ * @param {String} login - User or organization name
+ * @param {String} host - Host name (defaults to github.com)
+ * @returns {String} - Avatar image URL
+ */
+export const getAvatarUrl = (login, host = GITHUB_HOST) => {
+  const entry = findHostByName(host) || githubDotCom;
+  return `${entry.webUrl}/${login}.png`;
+};
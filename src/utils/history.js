@@ -0,0 +1,112 @@
+/**
+ * Editor History
+ *
+ * Undo/redo steps for the editor. Each entry is a snapshot of the design
+ * (the same fields a permalink stores) together with its permalink payload,
+ * which tells whether two snapshots differ.
+ */
+
+// Steps kept before the oldest are dropped
+export const HISTORY_LIMIT = 100;
+
+// Edits of the same field within this time (ms) of each other are one step
+const GROUP_WINDOW = 1000;
+
+/**
+ * Step names for changes of a single design field
+ */
+const changeLabels = {
+  repoName: 'Edit repository name',
+  repoHost: 'Change host',
+  forge: 'Change forge',
+  repoDescription: 'Edit description',
+  stats: 'Edit stats',
+  statSlots: 'Change stat slots',
+  numberFormat: 'Change number format',
+  owner: 'Edit owner',
+  avatarUrl: 'Edit avatar',
+  languageBreakdown: 'Edit languages',
+  languageGrouping: 'Change language grouping',
+  legendLayout: 'Change legend',
+  legendCount: 'Change legend',
+  theme: 'Change theme',
+  pattern: 'Change pattern',
+  template: 'Change layout',
+  exportPreset: 'Change export size',
+  customSize: 'Change export size',
+  exportDpi: 'Change export resolution',
+  contributorCount: 'Change contributors',
+  contributorsPlacement: 'Change contributors',
+  topics: 'Edit topics',
+  topicCount: 'Change topic badges',
+  customTheme: 'Edit custom theme'
+};
+
+/**
+ * List the fields that differ between two designs
+ * @param {Object} previous - Design before the change
+ * @param {Object} next - Design after the change
+ * @returns {Array} - Names of the changed fields
+ */
+export const getChangedFields = (previous, next) => (
+  Object.keys({ ...previous, ...next }).filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+);
+
+/**
+ * Name the step between two designs
+ * @param {Object} previous - Design before the change
+ * @param {Object} next - Design after the change
+ * @returns {String} - e.g. "Edit description" or "Change theme (+1)"
+ */
+export const describeChange = (previous, next) => {
+  const labels = [...new Set(getChangedFields(previous, next).map(field => changeLabels[field] || 'Edit design'))];
+
+  if (labels.length === 0) return 'Edit design';
+  return labels.length === 1 ? labels[0] : `${labels[0]} (+${labels.length - 1})`;
+};
+
+/**
+ * Start a history with the current design
+ * @param {Object} entry - First entry ({ payload, design })
+ * @returns {Object} - History ({ entries, index })
+ */
+export const createHistory = ({ payload, design }) => ({
+  entries: [{ payload, design, label: 'Start', time: Date.now() }],
+  index: 0
+});
+
+/**
+ * Record a change of the design
+ * Steps that were undone are dropped. Typing into the same field quickly
+ * updates the last step instead of adding one per keystroke.
+ * @param {Object} history - History ({ entries, index })
+ * @param {Object} change - New design
+ * @param {String} change.payload - Permalink payload of the design
+ * @param {Object} change.design - Design fields
+ * @param {String} change.label - Step name (derived from the changed fields when omitted)
+ * @param {Boolean} change.merge - Fold the change into the last step (e.g. data that finished loading)
+ * @param {Number} change.time - Time of the change (defaults to now)
+ * @returns {Object} - Updated history
+ */
+export const recordHistory = (history, { payload, design, label, merge = false, time = Date.now() }) => {
+  const current = history.entries[history.index];
+  if (current.payload === payload) return history;
+
+  const entries = history.entries.slice(0, history.index + 1);
+  const stepLabel = label || describeChange(current.design, design);
+  const isLatest = history.index === history.entries.length - 1;
+  const isTyping = !label && history.index > 0 && current.label === stepLabel && time - current.time < GROUP_WINDOW;
+
+  if (isLatest && history.index > 0 && (merge || isTyping)) {
+    entries[history.index] = { ...current, payload, design, time };
+    return { entries, index: history.index };
+  }
+
+  entries.push({ payload, design, label: stepLabel, time });
+  const dropped = Math.max(entries.length - HISTORY_LIMIT, 0);
+
+  return {
+    entries: entries.slice(dropped),
+    index: entries.length - 1 - dropped
+  };
+};
@@ -0,0 +1,161 @@
+/**
+ * Image Export Utilities
+ *
+ * This module provides functions for turning the rendered preview card into
+ * downloadable files and clipboard data.
+ */
+
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {String} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Build a file name for an exported preview
+ * @param {String} repoName - Repository name, optionally including the owner
+ * @param {String} extension - File extension without the dot
+ * @returns {String} - File name such as "owner-repo-preview.png"
+ */
+export const getPreviewFileName = (repoName, extension) => {
+  return `${(repoName || 'repository').replace(/\//g, '-')}-preview.${extension}`;
+};
+
+/**
+ * Rasterize a DOM element into a canvas with html2canvas
+ * When an output size is given the element is rendered at a matching scale
+ * and resampled onto a canvas of exactly that many pixels.
+ * @param {HTMLElement} element - Element to render
+ * @param {Object} size - Optional output size in pixels
+ * @param {Number} size.width - Output width
+ * @param {Number} size.height - Output height
+ * @returns {Promise<HTMLCanvasElement>} - Rendered canvas
+ */
+export const renderElementToCanvas = async (element, size) => {
+  const { default: html2canvas } = await import('html2canvas');
+
+  if (!size) {
+    return html2canvas(element, {
+      scale: 2, // Higher scale for better quality
+      backgroundColor: null,
+      logging: false
+    });
+  }
+
+  const rendered = await html2canvas(element, {
+    scale: size.width / element.offsetWidth,
+    backgroundColor: null,
+    logging: false
+  });
+
+  // Absorb sub-pixel rounding so the output is pixel-exact
+  if (rendered.width === size.width && rendered.height === size.height) {
+    return rendered;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(rendered, 0, 0, size.width, size.height);
+  return canvas;
+};
+
+/**
+ * Encode a canvas as a PNG Blob
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>} - PNG image data
+ */
+export const canvasToPngBlob = (canvas) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode image'));
+      }
+    }, 'image/png');
+  });
+};
+
+/**
+ * Compute the CRC-32 checksum used by PNG chunks
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {Number} - Unsigned CRC-32 value
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Write the physical resolution (pHYs chunk) into a PNG so image editors
+ * and print tools pick up the chosen DPI. Pixel dimensions are unchanged.
+ * @param {Blob} blob - PNG image data
+ * @param {Number} dpi - Dots per inch
+ * @returns {Promise<Blob>} - PNG image data with the resolution set
+ */
+export const setPngDpi = async (blob, dpi) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+  // Build the pHYs chunk: length, type, data (x, y, unit = meter), CRC
+  const chunk = new Uint8Array(21);
+  const chunkView = new DataView(chunk.buffer);
+  chunkView.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+  chunkView.setUint32(8, pixelsPerMeter);
+  chunkView.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1;
+  chunkView.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // Keep every chunk except an existing pHYs, inserting ours after IHDR
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + length + 12;
+
+    if (type !== 'pHYs') {
+      parts.push(bytes.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      parts.push(chunk);
+    }
+
+    offset = end;
+  }
+
+  return new Blob(parts, { type: 'image/png' });
+};
+
+/**
+ * Wrap an SVG document string in a Blob
+ * @param {String} svg - Serialized SVG markup
+ * @returns {Blob} - SVG image data
+ */
+export const svgToBlob = (svg) => {
+  return new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+};
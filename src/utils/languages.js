@@ -0,0 +1,407 @@
+/**
+ * Language Statistics Helpers
+ *
+ * Shared by every repository provider, so language data from any forge ends
+ * up in the same shape. Language names and colors come from GitHub Linguist
+ * (languages.yml, MIT licensed), bundled in data/linguist-languages.json.
+ */
+
+import linguistLanguages from '../data/linguist-languages.json';
+
+// Name of the segment holding the languages that don't get their own
+export const OTHER_LANGUAGE = 'Other';
+
+// Color of "Other" and of languages Linguist doesn't know or has no color for
+export const OTHER_COLOR = '#9ca3af';
+
+// Every language Linguist knows, alphabetically
+export const LANGUAGE_NAMES = Object.keys(linguistLanguages);
+
+// Languages suggested first when adding a language or opening the picker
+export const COMMON_LANGUAGES = [
+  'JavaScript', 'TypeScript', 'Python', 'Java', 'Go', 'Rust', 'C#', 'C++', 'C',
+  'PHP', 'Ruby', 'Swift', 'Kotlin', 'Dart', 'HTML', 'CSS', 'SCSS', 'Shell',
+  'Vue', 'Svelte', 'Jupyter Notebook', 'Dockerfile', 'Lua', 'Elixir', 'Haskell',
+  'Scala', 'R', 'Zig', 'Nix', 'HCL'
+];
+
+// Lowercase names and aliases ("js", "terraform") to the Linguist name
+const lookup = {};
+Object.entries(linguistLanguages).forEach(([name, { aliases = [] }]) => {
+  [name, ...aliases].forEach(alias => {
+    lookup[alias.toLowerCase()] = lookup[alias.toLowerCase()] || name;
+  });
+});
+
+/**
+ * Find the Linguist name of a language
+ * @param {String} name - Language name or alias, in any case
+ * @returns {String|null} - Linguist name, or null if the language is unknown
+ */
+export const findLanguage = (name) => lookup[String(name || '').trim().toLowerCase()] || null;
+
+/**
+ * Get the color of a language
+ * @param {String} name - Language name or alias
+ * @returns {String} - Hex color (OTHER_COLOR for unknown or colorless languages)
+ */
+export const getLanguageColor = (name) => {
+  const language = findLanguage(name);
+  return (language && linguistLanguages[language].color) || OTHER_COLOR;
+};
+
+/**
+ * Search the known languages
+ * Names starting with the query come first, then names or aliases containing it.
+ * @param {String} query - Search text
+ * @param {Number} limit - Maximum number of results
+ * @returns {Array} - Matching language names
+ */
+export const searchLanguages = (query, limit = 10) => {
+  const term = String(query || '').trim().toLowerCase();
+  if (!term) return COMMON_LANGUAGES.slice(0, limit);
+
+  const prefix = [];
+  const partial = [];
+  LANGUAGE_NAMES.forEach(name => {
+    const lower = name.toLowerCase();
+    const aliases = linguistLanguages[name].aliases || [];
+    if (lower.startsWith(term)) {
+      prefix.push(name);
+    } else if (lower.includes(term) || aliases.some(alias => alias.toLowerCase().includes(term))) {
+      partial.push(name);
+    }
+  });
+
+  return [...prefix, ...partial].slice(0, limit);
+};
+
+// Default grouping of the language breakdown
+export const DEFAULT_BREAKDOWN_OPTIONS = {
+  // Languages below this share (in percent) go to "Other"
+  minShare: 1,
+  // Maximum number of segments, "Other" included
+  maxSegments: 6,
+  // Decimals of the percentages (0 to MAX_LANGUAGE_PRECISION)
+  precision: 0
+};
+
+// Most decimals a language percentage can have
+export const MAX_LANGUAGE_PRECISION = 2;
+
+/**
+ * Split a total over a list of sizes with the largest remainder method
+ * Every share is rounded down, then the leftover units go to the largest
+ * remainders, so the result always adds up to exactly the total and no
+ * single value absorbs the rounding error.
+ * @param {Array} sizes - Sizes (bytes, weights or unrounded percentages)
+ * @param {Number} total - Amount to split
+ * @param {Number} precision - Decimals to keep (defaults to whole units)
+ * @returns {Array} - Shares in the same order, adding up to the total
+ */
+export const allocateShares = (sizes, total, precision = 0) => {
+  const sizeTotal = sizes.reduce((sum, size) => sum + size, 0);
+  if (sizes.length === 0 || sizeTotal <= 0) return sizes.map(() => 0);
+
+  const scale = 10 ** precision;
+  const units = Math.round(total * scale);
+  const exact = sizes.map(size => (size / sizeTotal) * units);
+  const allocated = exact.map(Math.floor);
+  let leftover = units - allocated.reduce((sum, value) => sum + value, 0);
+
+  // Ties go to the larger size, then to the earlier entry
+  exact
+    .map((value, index) => ({ index, remainder: value - allocated[index] }))
+    .sort((a, b) => (b.remainder - a.remainder) || (sizes[b.index] - sizes[a.index]) || (a.index - b.index))
+    .forEach(({ index }) => {
+      if (leftover <= 0) return;
+      allocated[index]++;
+      leftover--;
+    });
+
+  return allocated.map(value => value / scale);
+};
+
+/**
+ * Split 100% over a list of sizes (see allocateShares)
+ * @param {Array} sizes - Sizes (bytes, weights or unrounded percentages)
+ * @param {Number} precision - Decimals to keep (defaults to whole percentages)
+ * @returns {Array} - Percentages in the same order, adding up to 100
+ */
+export const allocatePercentages = (sizes, precision = 0) => allocateShares(sizes, 100, precision);
+
+/**
+ * Convert language sizes to percentages
+ * @param {Object} languageBytes - Bytes of code per language
+ * @returns {Object} - Percentage per language, rounded to one decimal and adding up to 100
+ */
+export const toLanguagePercentages = (languageBytes) => {
+  const entries = Object.entries(languageBytes);
+  const percentages = allocatePercentages(entries.map(([, bytes]) => bytes), 1);
+
+  return Object.fromEntries(entries.map(([language], index) => [language, percentages[index]]));
+};
+
+/**
+ * Group language sizes into the segments of the language bar
+ * Languages are sorted by size; the ones below the minimum share, the ones
+ * past the segment limit and the ones that would round to 0% are combined
+ * into a single "Other" segment instead of being dropped.
+ * @param {Object} languageSizes - Size per language (bytes, or percentages when the forge has no byte counts)
+ * @param {Object} options - Grouping options (see DEFAULT_BREAKDOWN_OPTIONS)
+ * @param {Boolean} options.hasBytes - Whether the sizes are byte counts that should be kept
+ * @param {Number} options.precision - Decimals of the percentages
+ * @returns {Array} - Segments ({ name, percentage, bytes }), "Other" last with the grouped languages in `languages`
+ */
+export const groupLanguages = (languageSizes, {
+  minShare = DEFAULT_BREAKDOWN_OPTIONS.minShare,
+  maxSegments = DEFAULT_BREAKDOWN_OPTIONS.maxSegments,
+  precision = DEFAULT_BREAKDOWN_OPTIONS.precision,
+  hasBytes = false
+} = {}) => {
+  const sorted = Object.entries(languageSizes || {})
+    .filter(([, size]) => size > 0)
+    .sort(([, sizeA], [, sizeB]) => sizeB - sizeA);
+  const total = sorted.reduce((sum, [, size]) => sum + size, 0);
+  if (total === 0) return [];
+
+  const limit = Math.max(1, maxSegments);
+  let named = sorted.filter(([, size]) => (size / total) * 100 >= minShare);
+
+  // Keep a slot for "Other" when anything is left over
+  if (named.length < sorted.length || named.length > limit) {
+    named = named.slice(0, limit - 1);
+  }
+
+  // Segments (and their percentages) with the first `count` languages named
+  const buildSegments = (count) => {
+    const rest = sorted.slice(count);
+    const segments = sorted.slice(0, count).map(([name, size]) => ({ name, size }));
+
+    if (rest.length > 0) {
+      segments.push({
+        name: OTHER_LANGUAGE,
+        size: rest.reduce((sum, [, size]) => sum + size, 0),
+        languages: rest.map(([name]) => name)
+      });
+    }
+
+    return { segments, percentages: allocatePercentages(segments.map(segment => segment.size), precision) };
+  };
+
+  // Languages that would round to 0% go to "Other" as well, instead of becoming invisible segments
+  let namedCount = named.length;
+  let { segments, percentages } = buildSegments(namedCount);
+  while (namedCount > 0 && percentages[namedCount - 1] === 0) {
+    namedCount--;
+    ({ segments, percentages } = buildSegments(namedCount));
+  }
+
+  return segments
+    .map(({ size, ...segment }, index) => ({
+      ...segment,
+      percentage: percentages[index],
+      bytes: hasBytes ? size : null
+    }))
+    // An "Other" that rounds to 0% is left out
+    .filter(segment => segment.percentage > 0);
+};
+
+/**
+ * Smallest share a language can be edited down to
+ * @param {Number} precision - Decimals of the percentages
+ * @returns {Number} - 1, 0.1 or 0.01
+ */
+const getMinimumShare = (precision) => 1 / 10 ** precision;
+
+/**
+ * Round a share to the editing precision
+ * @param {Number} value - Share in percent
+ * @param {Number} precision - Decimals to keep
+ * @returns {Number} - Rounded share
+ */
+const roundShare = (value, precision) => Number(value.toFixed(precision));
+
+/**
+ * Find the positions of the locked languages
+ * @param {Array} languages - Language breakdown
+ * @param {Array} locked - Names of the locked languages
+ * @returns {Array} - Indexes of the locked languages
+ */
+const getLockedIndexes = (languages, locked) => (
+  languages.map((_, index) => index).filter(index => locked.includes(languages[index].name))
+);
+
+/**
+ * Fit the other languages into what the fixed ones leave of 100%
+ * The others keep their proportions above the minimum share, so a change is
+ * spread over all of them instead of landing on a single language.
+ * @param {Array} languages - Language breakdown
+ * @param {Array} fixed - Indexes of the languages that keep their share
+ * @param {Number} precision - Decimals of the percentages
+ * @returns {Array|null} - Updated breakdown, or null if the others can't absorb the change
+ */
+const rebalanceLanguages = (languages, fixed, precision) => {
+  const minimum = getMinimumShare(precision);
+  const flexible = languages.map((_, index) => index).filter(index => !fixed.includes(index));
+  const fixedTotal = fixed.reduce((sum, index) => sum + languages[index].percentage, 0);
+  const spare = roundShare(100 - fixedTotal - flexible.length * minimum, precision);
+
+  if (flexible.length === 0 || spare < 0) return null;
+
+  let weights = flexible.map(index => Math.max(languages[index].percentage - minimum, 0));
+  if (weights.every(weight => weight === 0)) {
+    weights = flexible.map(() => 1);
+  }
+  const shares = allocateShares(weights, spare, precision);
+
+  return languages.map((lang, index) => {
+    const position = flexible.indexOf(index);
+    return position === -1 ? lang : { ...lang, percentage: roundShare(shares[position] + minimum, precision) };
+  });
+};
+
+/**
+ * Round a breakdown to another number of decimals
+ * Every language keeps at least the smallest share of the new precision,
+ * so sub-1% languages become 1% rather than disappearing.
+ * @param {Array} languages - Language breakdown
+ * @param {Number} precision - Decimals to keep
+ * @returns {Array} - Rounded breakdown, still adding up to 100
+ */
+export const roundLanguageShares = (languages, precision) => (
+  rebalanceLanguages(languages, [], precision) || languages
+);
+
+/**
+ * Change the share of one language, rescaling the unlocked others
+ * @param {Array} languages - Language breakdown
+ * @param {Number} index - Index of the language to change
+ * @param {Number} percentage - New share in percent (clamped to what the others can give up)
+ * @param {Object} options - Editing options
+ * @param {Array} options.locked - Names of the languages whose share must not change
+ * @param {Number} options.precision - Decimals of the percentages
+ * @returns {Array} - Updated breakdown (unchanged if every other language is locked)
+ */
+export const resizeLanguage = (languages, index, percentage, { locked = [], precision = 0 } = {}) => {
+  const minimum = getMinimumShare(precision);
+  const fixed = getLockedIndexes(languages, locked).filter(i => i !== index);
+  const flexibleCount = languages.length - fixed.length - 1;
+  if (flexibleCount <= 0) return languages;
+
+  const fixedTotal = fixed.reduce((sum, i) => sum + languages[i].percentage, 0);
+  const maximum = roundShare(100 - fixedTotal - flexibleCount * minimum, precision);
+  const value = Math.min(Math.max(roundShare(Number(percentage) || 0, precision), minimum), maximum);
+
+  const updated = languages.map((lang, i) => (i === index ? { ...lang, percentage: value } : lang));
+  return rebalanceLanguages(updated, [...fixed, index], precision) || languages;
+};
+
+/**
+ * Move the boundary between a language and the next one
+ * Only these two languages change, so the rest of the bar stays in place.
+ * @param {Array} languages - Language breakdown
+ * @param {Number} index - Index of the language left of the boundary
+ * @param {Number} percentage - New share of that language in percent
+ * @param {Number} precision - Decimals of the percentages
+ * @returns {Array} - Updated breakdown
+ */
+export const moveLanguageBoundary = (languages, index, percentage, precision = 0) => {
+  if (index < 0 || index >= languages.length - 1) return languages;
+
+  const minimum = getMinimumShare(precision);
+  const pair = languages[index].percentage + languages[index + 1].percentage;
+  const value = Math.min(Math.max(roundShare(Number(percentage) || 0, precision), minimum), roundShare(pair - minimum, precision));
+
+  return languages.map((lang, i) => {
+    if (i === index) return { ...lang, percentage: value };
+    if (i === index + 1) return { ...lang, percentage: roundShare(pair - value, precision) };
+    return lang;
+  });
+};
+
+/**
+ * Move a language to another position in the bar
+ * @param {Array} languages - Language breakdown
+ * @param {Number} from - Current index
+ * @param {Number} to - New index
+ * @returns {Array} - Reordered breakdown
+ */
+export const moveLanguage = (languages, from, to) => {
+  if (from === to || to < 0 || to >= languages.length) return languages;
+
+  const updated = [...languages];
+  const [moved] = updated.splice(from, 1);
+  updated.splice(to, 0, moved);
+  return updated;
+};
+
+/**
+ * Add a language, taking its share from the unlocked languages
+ * @param {Array} languages - Language breakdown
+ * @param {Object} language - Language to add ({ name, percentage, color })
+ * @param {Object} options - Editing options (see resizeLanguage)
+ * @returns {Array} - Updated breakdown
+ */
+export const addLanguageSegment = (languages, language, { locked = [], precision = 0 } = {}) => {
+  const updated = [...languages, language];
+  const index = languages.length;
+
+  // When everything else is locked, the locks give way rather than the new language
+  return rebalanceLanguages(updated, [...getLockedIndexes(languages, locked), index], precision)
+    || rebalanceLanguages(updated, [index], precision)
+    || languages;
+};
+
+/**
+ * Remove a language, giving its share to the unlocked languages
+ * @param {Array} languages - Language breakdown
+ * @param {Number} index - Index of the language to remove
+ * @param {Object} options - Editing options (see resizeLanguage)
+ * @returns {Array} - Updated breakdown
+ */
+export const removeLanguageSegment = (languages, index, { locked = [], precision = 0 } = {}) => {
+  const remaining = languages.filter((_, i) => i !== index);
+
+  return rebalanceLanguages(remaining, getLockedIndexes(remaining, locked), precision)
+    || rebalanceLanguages(remaining, [], precision)
+    || languages;
+};
+
+/**
+ * Format a byte count for display
+ * @param {Number} bytes - Byte count
+ * @returns {String} - Size such as "12.4 KB"
+ */
+export const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Describe a language segment for tooltips
+ * @param {Object} lang - Segment ({ name, percentage, bytes })
+ * @returns {String} - Label such as "JavaScript: 62% (1.2 MB)"
+ */
+export const getLanguageLabel = (lang) => (
+  `${lang.name}: ${lang.percentage}%${lang.bytes ? ` (${formatBytes(lang.bytes)})` : ''}`
+);
+
+/**
+ * Pick the languages shown in the card legend
+ * @param {Array} languages - Language breakdown
+ * @param {Number} count - Maximum number of entries
+ * @returns {Object} - { entries, hiddenCount }, hiddenCount being the languages left out
+ */
+export const getLegendEntries = (languages, count) => {
+  const entries = (languages || []).slice(0, Math.max(1, count));
+  return { entries, hiddenCount: (languages || []).length - entries.length };
+};
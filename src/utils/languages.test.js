@@ -0,0 +1,175 @@
+import {
+  allocateShares,
+  allocatePercentages,
+  groupLanguages,
+  roundLanguageShares,
+  resizeLanguage,
+  moveLanguageBoundary,
+  moveLanguage,
+  addLanguageSegment,
+  removeLanguageSegment
+} from './languages';
+
+const breakdown = [
+  { name: 'JavaScript', percentage: 62 },
+  { name: 'TypeScript', percentage: 23 },
+  { name: 'CSS', percentage: 10 },
+  { name: 'HTML', percentage: 5 }
+];
+
+// Sum rounded to the finest precision, so float noise doesn't fail the checks
+const total = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100;
+const totalShare = (languages) => total(languages.map(lang => lang.percentage));
+const shares = (languages) => languages.map(lang => lang.percentage);
+
+describe('allocateShares', () => {
+  it('splits a total with the largest remainder method', () => {
+    expect(allocateShares([1, 1, 1], 100)).toEqual([34, 33, 33]);
+    expect(allocateShares([2, 1], 10)).toEqual([7, 3]);
+  });
+
+  it.each([0, 1, 2])('adds up to exactly 100 with %i decimals', (precision) => {
+    const percentages = allocatePercentages([7, 13, 29, 1, 3], precision);
+    expect(total(percentages)).toBe(100);
+    percentages.forEach(value => expect(Number(value.toFixed(precision))).toBe(value));
+  });
+
+  it('returns zeros when there is nothing to split', () => {
+    expect(allocatePercentages([0, 0])).toEqual([0, 0]);
+    expect(allocatePercentages([])).toEqual([]);
+  });
+});
+
+describe('roundLanguageShares', () => {
+  const decimals = [
+    { name: 'Go', percentage: 61.7 },
+    { name: 'Shell', percentage: 22.9 },
+    { name: 'Makefile', percentage: 9.9 },
+    { name: 'HCL', percentage: 5.1 },
+    { name: 'Dockerfile', percentage: 0.4 }
+  ];
+
+  it('keeps sub-1% shares when decimals are kept', () => {
+    expect(shares(roundLanguageShares(decimals, 1))).toEqual([61.7, 22.9, 9.9, 5.1, 0.4]);
+    expect(shares(roundLanguageShares(decimals, 2))).toEqual([61.7, 22.9, 9.9, 5.1, 0.4]);
+  });
+
+  it('raises sub-1% shares to 1% with whole percentages', () => {
+    const rounded = roundLanguageShares(decimals, 0);
+    expect(rounded[4].percentage).toBe(1);
+    expect(totalShare(rounded)).toBe(100);
+  });
+});
+
+describe('resizeLanguage', () => {
+  it.each([0, 1, 2])('rescales the others to a total of 100 with %i decimals', (precision) => {
+    const resized = resizeLanguage(breakdown, 0, 80.456, { precision });
+    expect(resized[0].percentage).toBe(Number((80.456).toFixed(precision)));
+    expect(totalShare(resized)).toBe(100);
+  });
+
+  it('accepts sub-1% shares with decimals', () => {
+    const resized = resizeLanguage(breakdown, 3, 0.4, { precision: 1 });
+    expect(resized[3].percentage).toBe(0.4);
+    expect(totalShare(resized)).toBe(100);
+  });
+
+  it('keeps at least the smallest step', () => {
+    expect(resizeLanguage(breakdown, 3, 0.4)[3].percentage).toBe(1);
+    expect(resizeLanguage(breakdown, 3, 0, { precision: 2 })[3].percentage).toBe(0.01);
+  });
+
+  it('leaves locked languages untouched', () => {
+    const resized = resizeLanguage(breakdown, 0, 80, { locked: ['TypeScript'] });
+    expect(resized[1].percentage).toBe(23);
+    expect(totalShare(resized)).toBe(100);
+  });
+
+  it('is limited to what the unlocked languages can give up', () => {
+    const resized = resizeLanguage(breakdown, 0, 99, { locked: ['TypeScript'] });
+    expect(shares(resized)).toEqual([75, 23, 1, 1]);
+  });
+
+  it('changes nothing when every other language is locked', () => {
+    expect(resizeLanguage(breakdown, 0, 80, { locked: ['TypeScript', 'CSS', 'HTML'] })).toBe(breakdown);
+  });
+
+  it('does not mutate the breakdown', () => {
+    resizeLanguage(breakdown, 0, 80);
+    expect(shares(breakdown)).toEqual([62, 23, 10, 5]);
+  });
+});
+
+describe('moveLanguageBoundary', () => {
+  it('only changes the two neighbours', () => {
+    expect(shares(moveLanguageBoundary(breakdown, 1, 30))).toEqual([62, 30, 3, 5]);
+  });
+
+  it('keeps both neighbours at the smallest step or more', () => {
+    expect(shares(moveLanguageBoundary(breakdown, 1, 100))).toEqual([62, 32, 1, 5]);
+    expect(shares(moveLanguageBoundary(breakdown, 1, 0, 1))).toEqual([62, 0.1, 32.9, 5]);
+  });
+});
+
+describe('moveLanguage', () => {
+  it('reorders without changing shares', () => {
+    expect(moveLanguage(breakdown, 0, 2).map(lang => lang.name)).toEqual(['TypeScript', 'CSS', 'JavaScript', 'HTML']);
+  });
+});
+
+describe('addLanguageSegment', () => {
+  const ruby = { name: 'Ruby', percentage: 5 };
+
+  it('takes the new share from the unlocked languages', () => {
+    const added = addLanguageSegment(breakdown, ruby, { locked: ['JavaScript'] });
+    expect(added[0].percentage).toBe(62);
+    expect(added[4].percentage).toBe(5);
+    expect(totalShare(added)).toBe(100);
+  });
+
+  it('overrides the locks when nothing else is unlocked', () => {
+    const added = addLanguageSegment(breakdown, ruby, { locked: ['JavaScript', 'TypeScript', 'CSS', 'HTML'] });
+    expect(added[4].percentage).toBe(5);
+    expect(totalShare(added)).toBe(100);
+  });
+});
+
+describe('removeLanguageSegment', () => {
+  it('gives the removed share to the unlocked languages', () => {
+    const removed = removeLanguageSegment(breakdown, 0, { locked: ['TypeScript'] });
+    expect(removed[0]).toEqual({ name: 'TypeScript', percentage: 23 });
+    expect(totalShare(removed)).toBe(100);
+  });
+
+  it('keeps decimals', () => {
+    const removed = removeLanguageSegment(roundLanguageShares(breakdown, 2), 3, { precision: 2 });
+    expect(totalShare(removed)).toBe(100);
+  });
+});
+
+describe('groupLanguages', () => {
+  it.each([0, 1, 2])('allocates fetched sizes to 100 with %i decimals', (precision) => {
+    const segments = groupLanguages({ Go: 1000, Shell: 300, Dockerfile: 4 }, { minShare: 0, precision });
+    expect(totalShare(segments)).toBe(100);
+  });
+
+  it('keeps sub-1% languages with decimals', () => {
+    const segments = groupLanguages({ Go: 1000, Shell: 300, Dockerfile: 4 }, { minShare: 0, precision: 2 });
+    expect(segments.map(segment => segment.name)).toEqual(['Go', 'Shell', 'Dockerfile']);
+    expect(segments[2].percentage).toBe(0.31);
+  });
+
+  it('folds languages that round to 0% into Other', () => {
+    const segments = groupLanguages({ Go: 10000, Shell: 3000, Dockerfile: 40, Makefile: 30 }, { minShare: 0 });
+    expect(segments.map(segment => segment.name)).toEqual(['Go', 'Shell', 'Other']);
+    expect(segments[2]).toMatchObject({ percentage: 1, languages: ['Dockerfile', 'Makefile'] });
+    expect(totalShare(segments)).toBe(100);
+  });
+
+  it('leaves out an Other that rounds to 0%', () => {
+    const segments = groupLanguages({ Go: 100000, Shell: 30000, Dockerfile: 4 }, { minShare: 0 });
+    expect(segments.map(segment => segment.name)).toEqual(['Go', 'Shell']);
+    segments.forEach(segment => expect(segment.percentage).toBeGreaterThan(0));
+    expect(totalShare(segments)).toBe(100);
+  });
+});
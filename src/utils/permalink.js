@@ -0,0 +1,142 @@
+/**
+ * Permalink Utilities
+ *
+ * Serializes the editor state into a compact, versioned string stored in the
+ * URL hash (#d=...), so a link reopens exactly the same design.
+ *
+ * Format: "<version>.<base64url(JSON)>", where the JSON uses short keys.
+ */
+
+// Bump when the payload changes incompatibly, and keep decoding older versions
+export const PERMALINK_VERSION = 1;
+
+// Name of the hash parameter holding the design
+const HASH_PARAM = 'd';
+
+// Short keys used in the serialized payload
+const FIELD_KEYS = {
+  repoName: 'r',
+  repoHost: 'h',
+  forge: 'fg',
+  repoDescription: 'de',
+  stats: 'st',
+  statSlots: 'ss',
+  numberFormat: 'nf',
+  owner: 'o',
+  avatarUrl: 'a',
+  languageBreakdown: 'l',
+  theme: 't',
+  pattern: 'p',
+  template: 'tp',
+  exportPreset: 'x',
+  customSize: 'c',
+  exportDpi: 'dpi',
+  contributorCount: 'cn',
+  contributorsPlacement: 'cp',
+  topics: 'tg',
+  topicCount: 'tn',
+  customTheme: 'ct',
+  languageGrouping: 'lg',
+  legendLayout: 'ly',
+  legendCount: 'ln'
+};
+
+/**
+ * Encode a string as URL-safe base64 (UTF-8 aware)
+ * @param {String} text - Text to encode
+ * @returns {String} - base64url string without padding
+ */
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a URL-safe base64 string (UTF-8 aware)
+ * @param {String} encoded - base64url string
+ * @returns {String} - Decoded text
+ */
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Serialize a design into a permalink payload
+ * @param {Object} design - Editor state (see FIELD_KEYS for the supported fields)
+ * @returns {String} - Versioned, URL-safe payload
+ */
+export const encodeDesign = (design) => {
+  const payload = {};
+
+  Object.entries(FIELD_KEYS).forEach(([field, key]) => {
+    const value = design[field];
+    if (value === undefined || value === null) return;
+
+    // Languages are stored as [name, percentage, bytes?] tuples; colors are derived on load
+    payload[key] = field === 'languageBreakdown'
+      ? value.map(lang => (lang.bytes ? [lang.name, lang.percentage, lang.bytes] : [lang.name, lang.percentage]))
+      : value;
+  });
+
+  return `${PERMALINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+};
+
+/**
+ * Parse a permalink payload back into a design
+ * @param {String} encoded - Payload produced by encodeDesign
+ * @returns {Object|null} - Design fields, or null if the payload is invalid
+ */
+export const decodeDesign = (encoded) => {
+  if (!encoded) return null;
+
+  const separator = encoded.indexOf('.');
+  const version = parseInt(encoded.slice(0, separator));
+
+  if (separator === -1 || version !== PERMALINK_VERSION) return null;
+
+  try {
+    const payload = JSON.parse(fromBase64Url(encoded.slice(separator + 1)));
+    const design = {};
+
+    Object.entries(FIELD_KEYS).forEach(([field, key]) => {
+      if (!(key in payload)) return;
+
+      design[field] = field === 'languageBreakdown'
+        ? payload[key].map(([name, percentage, bytes = null]) => ({ name, percentage, bytes }))
+        : payload[key];
+    });
+
+    return design;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the design stored in the current URL hash
+ * @returns {Object|null} - Design fields, or null if the URL has none
+ */
+export const readDesignFromUrl = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  return decodeDesign(params.get(HASH_PARAM));
+};
+
+/**
+ * Store an encoded design in the URL hash without adding a history entry
+ * @param {String} encoded - Payload produced by encodeDesign
+ * @returns {String} - The full permalink URL
+ */
+export const writePermalinkToUrl = (encoded) => {
+  const url = `${window.location.pathname}${window.location.search}#${HASH_PARAM}=${encoded}`;
+  window.history.replaceState(null, '', url);
+  return window.location.href;
+};
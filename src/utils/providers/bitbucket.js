@@ -0,0 +1,101 @@
+/**
+ * Bitbucket Provider
+ *
+ * Loads public repositories from bitbucket.org through the REST API (2.0).
+ * Bitbucket has no stars and only reports a repository's main language, so
+ * the language breakdown is that single language.
+ */
+
+import { CACHE_TTL } from '../api-cache';
+import { forgeJson } from './forge-request';
+
+const API_BASE_URL = 'https://api.bitbucket.org/2.0';
+
+// Bitbucket reports languages in lower case; restore the usual spelling
+const LANGUAGE_NAMES = {
+  'c#': 'C#',
+  'c++': 'C++',
+  css: 'CSS',
+  coffeescript: 'CoffeeScript',
+  html: 'HTML',
+  'html/css': 'HTML',
+  javascript: 'JavaScript',
+  'objective-c': 'Objective-C',
+  php: 'PHP',
+  powershell: 'PowerShell',
+  typescript: 'TypeScript'
+};
+
+/**
+ * Turn a lower case Bitbucket language into its display name
+ * @param {String} language - Language from the API
+ * @returns {String} - Display name
+ */
+const toLanguageName = (language) => (
+  LANGUAGE_NAMES[language] || language.charAt(0).toUpperCase() + language.slice(1)
+);
+
+/**
+ * Extract the workspace and repository from the path of a Bitbucket URL
+ * @param {Array} segments - Path segments after the host
+ * @returns {Object|null} - { username, repoName } or null if the path isn't a repository
+ */
+export const parsePath = (segments) => (
+  segments.length >= 2 ? { username: segments[0], repoName: segments[1] } : null
+);
+
+/**
+ * Load a Bitbucket repository
+ * @param {String} username - Workspace
+ * @param {String} repoName - Repository slug
+ * @param {Object} options - Request options
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Normalized repository data (see providers/index.js)
+ */
+export const loadRepositoryData = async (username, repoName, { forceRefresh = false, signal } = {}) => {
+  const repositoryUrl = `${API_BASE_URL}/repositories/${username}/${repoName}`;
+  const request = {
+    forgeName: 'Bitbucket',
+    ttl: CACHE_TTL.repository,
+    forceRefresh,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  };
+
+  // Watchers and forks are only available as (paginated) lists with a total size
+  const [repository, watchers, forks] = await Promise.all([
+    forgeJson(repositoryUrl, request),
+    forgeJson(`${repositoryUrl}/watchers?pagelen=1`, request),
+    forgeJson(`${repositoryUrl}/forks?pagelen=1`, request)
+  ]);
+
+  const language = repository.language ? toLanguageName(repository.language) : null;
+  const avatarUrl = repository.owner.links.avatar.href;
+
+  return {
+    repoData: {
+      name: repository.slug,
+      full_name: repository.full_name,
+      description: repository.description,
+      html_url: repository.links.html.href,
+      homepage: repository.website || null,
+      stargazers_count: null,
+      watchers_count: watchers.size ?? null,
+      forks_count: forks.size ?? null,
+      open_issues_count: null,
+      open_pull_requests_count: null,
+      language,
+      topics: [],
+      license: null,
+      pushed_at: repository.updated_on,
+      owner: {
+        login: repository.workspace.slug,
+        avatar_url: avatarUrl
+      }
+    },
+    languageStats: language ? { [language]: 100 } : {},
+    languageBytes: null,
+    avatarUrl
+  };
+};
@@ -0,0 +1,43 @@
+/**
+ * Requests to non-GitHub forges
+ *
+ * GitLab, Bitbucket and Gitea are read anonymously through the response
+ * cache, without conditional requests (their CORS rules don't all allow the
+ * validator headers), so stale entries are simply fetched again. Failures are reported with the same error classes as GitHub
+ * requests, so callers can treat every forge alike.
+ */
+
+import { cachedFetch } from '../api-cache';
+import { GitHubApiError, NotFoundError, NetworkError, isAbortError } from '../github-errors';
+
+/**
+ * Fetch JSON from a forge API
+ * @param {String} url - Request URL
+ * @param {Object} options - Request options
+ * @param {String} options.forgeName - Forge name used in error messages
+ * @param {Number} options.ttl - Cache time to live
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {String} options.notFoundMessage - Message for the NotFoundError thrown on 404
+ * @returns {Promise<*>} - Parsed body
+ */
+export const forgeJson = async (url, { forgeName, ttl, forceRefresh = false, signal, notFoundMessage }) => {
+  let response;
+
+  try {
+    response = await cachedFetch(url, { headers: { Accept: 'application/json' }, signal }, { ttl, forceRefresh });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new NetworkError(`Could not reach ${forgeName}. Check your connection and try again.`, { url });
+  }
+
+  if (response.status === 404) {
+    throw new NotFoundError(notFoundMessage || `Not found on ${forgeName}`, { status: 404, url });
+  }
+
+  if (!response.ok) {
+    throw new GitHubApiError(`${forgeName} API error: ${response.status}`, { status: response.status, url });
+  }
+
+  return response.json();
+};
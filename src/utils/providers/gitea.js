@@ -0,0 +1,74 @@
+/**
+ * Gitea Provider
+ *
+ * Loads public repositories from Gitea instances (Codeberg, gitea.com and
+ * self-hosted hosts, see utils/gitea-hosts.js) through their REST API (v1),
+ * which closely follows GitHub's.
+ */
+
+import { CACHE_TTL } from '../api-cache';
+import { toLanguagePercentages } from '../languages';
+import { forgeJson } from './forge-request';
+
+/**
+ * Extract the owner and repository from the path of a Gitea URL
+ * @param {Array} segments - Path segments after the host
+ * @returns {Object|null} - { username, repoName } or null if the path isn't a repository
+ */
+export const parsePath = (segments) => (
+  segments.length >= 2 ? { username: segments[0], repoName: segments[1] } : null
+);
+
+/**
+ * Load a Gitea repository
+ * @param {String} username - Owner
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @param {String} options.host - Gitea host name
+ * @param {String} options.forgeName - Forge name used in error messages
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Normalized repository data (see providers/index.js)
+ */
+export const loadRepositoryData = async (username, repoName, { host, forgeName = 'Gitea', forceRefresh = false, signal } = {}) => {
+  const repositoryUrl = `https://${host}/api/v1/repos/${username}/${repoName}`;
+  const request = {
+    forgeName,
+    forceRefresh,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  };
+
+  const [repository, languageBytes] = await Promise.all([
+    forgeJson(repositoryUrl, { ...request, ttl: CACHE_TTL.repository }),
+    forgeJson(`${repositoryUrl}/languages`, { ...request, ttl: CACHE_TTL.languages })
+  ]);
+
+  const licenses = repository.licenses || [];
+
+  return {
+    repoData: {
+      name: repository.name,
+      full_name: repository.full_name,
+      description: repository.description,
+      html_url: repository.html_url,
+      homepage: repository.website || null,
+      stargazers_count: repository.stars_count,
+      watchers_count: repository.watchers_count,
+      forks_count: repository.forks_count,
+      open_issues_count: repository.open_issues_count + (repository.open_pr_counter || 0),
+      open_pull_requests_count: repository.open_pr_counter ?? null,
+      language: repository.language || null,
+      topics: repository.topics || [],
+      license: licenses.length > 0 ? { key: licenses[0].toLowerCase(), name: licenses[0], spdx_id: licenses[0] } : null,
+      pushed_at: repository.updated_at,
+      owner: {
+        login: repository.owner.login,
+        avatar_url: repository.owner.avatar_url
+      }
+    },
+    languageStats: toLanguagePercentages(languageBytes),
+    languageBytes,
+    avatarUrl: repository.owner.avatar_url
+  };
+};
@@ -0,0 +1,105 @@
+/**
+ * GitLab Provider
+ *
+ * Loads public projects from gitlab.com through the REST API (v4).
+ * Projects can live in nested groups, so the "username" is the full
+ * namespace path (e.g. "group/subgroup").
+ */
+
+import { CACHE_TTL } from '../api-cache';
+import { forgeJson } from './forge-request';
+import { toLanguagePercentages } from '../languages';
+
+const WEB_URL = 'https://gitlab.com';
+const API_BASE_URL = `${WEB_URL}/api/v4`;
+
+/**
+ * Extract the namespace and project from the path of a GitLab URL
+ * @param {Array} segments - Path segments after the host
+ * @returns {Object|null} - { username, repoName } or null if the path isn't a project
+ */
+export const parsePath = (segments) => {
+  // Everything after "/-/" is a page inside the project (tree, issues, ...)
+  const end = segments.indexOf('-');
+  const path = end === -1 ? segments : segments.slice(0, end);
+
+  if (path.length < 2) return null;
+
+  return {
+    username: path.slice(0, -1).join('/'),
+    repoName: path[path.length - 1]
+  };
+};
+
+/**
+ * Make an avatar URL absolute (GitLab returns relative upload paths)
+ * @param {String} url - Avatar URL from the API
+ * @returns {String} - Absolute URL, or an empty string
+ */
+const toAbsoluteUrl = (url) => {
+  if (!url) return '';
+  return url.startsWith('/') ? `${WEB_URL}${url}` : url;
+};
+
+/**
+ * Load a GitLab project
+ * @param {String} username - Namespace path
+ * @param {String} repoName - Project path
+ * @param {Object} options - Request options
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Normalized repository data (see providers/index.js)
+ */
+export const loadRepositoryData = async (username, repoName, { forceRefresh = false, signal } = {}) => {
+  const projectUrl = `${API_BASE_URL}/projects/${encodeURIComponent(`${username}/${repoName}`)}`;
+  const request = {
+    forgeName: 'GitLab',
+    forceRefresh,
+    signal,
+    notFoundMessage: `Repository not found: ${username}/${repoName}`
+  };
+
+  const [project, languageStats] = await Promise.all([
+    forgeJson(`${projectUrl}?license=true`, { ...request, ttl: CACHE_TTL.repository }),
+    // Already percentages
+    forgeJson(`${projectUrl}/languages`, { ...request, ttl: CACHE_TTL.languages })
+  ]);
+
+  const [primaryLanguage] = Object.entries(languageStats)
+    .sort(([, shareA], [, shareB]) => shareB - shareA)
+    .map(([name]) => name);
+  const avatarUrl = toAbsoluteUrl(project.namespace.avatar_url || project.avatar_url);
+
+  return {
+    repoData: {
+      name: project.path,
+      full_name: project.path_with_namespace,
+      description: project.description,
+      html_url: project.web_url,
+      homepage: null,
+      stargazers_count: project.star_count,
+      // GitLab doesn't expose watchers
+      watchers_count: null,
+      forks_count: project.forks_count,
+      open_issues_count: project.open_issues_count ?? null,
+      // Merge requests aren't counted in open_issues_count
+      open_pull_requests_count: null,
+      language: primaryLanguage || null,
+      topics: project.topics || project.tag_list || [],
+      license: project.license ? {
+        key: project.license.key,
+        name: project.license.name,
+        spdx_id: null
+      } : null,
+      pushed_at: project.last_activity_at,
+      owner: {
+        login: project.namespace.full_path,
+        avatar_url: avatarUrl
+      }
+    },
+    // Re-rounded so the shares add up to exactly 100; GitLab has no byte counts
+    languageStats: toLanguagePercentages(languageStats),
+    languageBytes: null,
+    avatarUrl
+  };
+};
@@ -0,0 +1,202 @@
+/**
+ * Repository Providers
+ *
+ * Loads repositories from any supported forge. Every provider returns the
+ * same normalized data, shaped like GitHub's REST API so the UI doesn't need
+ * to know where a repository lives:
+ *
+ *   {
+ *     repoData: {
+ *       name, full_name, description, html_url, homepage,
+ *       stargazers_count, watchers_count, subscribers_count, forks_count,
+ *       open_issues_count, open_pull_requests_count,
+ *       language, topics, license: { key, name, spdx_id }, pushed_at,
+ *       owner: { login, avatar_url }
+ *     },
+ *     languageStats: { [language]: percentage },
+ *     languageBytes: { [language]: bytes } or null,
+ *     avatarUrl,
+ *     latestRelease: { tag_name, name, published_at, html_url } or null
+ *   }
+ *
+ * Counts a forge doesn't have (Bitbucket stars, GitLab watchers) are null,
+ * and so are the byte counts of forges that only report percentages.
+ * Values that take extra requests (the latest release, GitHub's open pull
+ * requests over REST) are left undefined; see fetchRepositoryStats. Like
+ * GitHub's, open_issues_count includes open_pull_requests_count.
+ */
+
+import {
+  parseGitHubUrl,
+  loadRepositoryData as loadGitHubRepositoryData,
+  fetchTopContributors as fetchGitHubContributors,
+  fetchRepositoryStats as fetchGitHubRepositoryStats
+} from '../github-api';
+import * as gitlab from './gitlab';
+import * as bitbucket from './bitbucket';
+import * as gitea from './gitea';
+import { findGiteaHost } from '../gitea-hosts';
+
+export const DEFAULT_FORGE = 'github';
+
+/**
+ * Supported forges
+ * GitHub covers github.com and the configured Enterprise Server hosts, and
+ * Gitea covers gitea.com and the configured self-hosted instances (see
+ * utils/gitea-hosts.js); the other forges are tied to a single public host.
+ * Icons are lucide-style stroke paths on a 24x24 grid, shared by the card and
+ * the SVG export.
+ */
+export const forges = {
+  github: {
+    name: 'GitHub',
+    adapter: {
+      loadRepositoryData: loadGitHubRepositoryData,
+      fetchTopContributors: fetchGitHubContributors,
+      fetchRepositoryStats: fetchGitHubRepositoryStats
+    },
+    icon: [
+      'M15 22v-4a4.8 4.8 0 0 0-1-3.5c3 0 6-2 6-5.5.08-1.25-.27-2.48-1-3.5.28-1.15.28-2.35 0-3.5 0 0-1 0-3 1.5-2.64-.5-5.36-.5-8 0C6 2 5 2 5 2c-.3 1.15-.3 2.35 0 3.5A5.403 5.403 0 0 0 4 9c0 3.5 3 5.5 6 5.5-.39.49-.68 1.05-.85 1.65-.17.6-.22 1.23-.15 1.85v4',
+      'M9 18c-4.51 2-5-2-7-2'
+    ]
+  },
+  gitlab: {
+    name: 'GitLab',
+    host: 'gitlab.com',
+    adapter: gitlab,
+    icon: [
+      'm22 13.29-3.33-10a.42.42 0 0 0-.14-.18.38.38 0 0 0-.22-.11.39.39 0 0 0-.23.07.42.42 0 0 0-.14.18l-2.26 6.67H8.32L6.1 3.26a.42.42 0 0 0-.1-.18.38.38 0 0 0-.26-.08.39.39 0 0 0-.23.07.42.42 0 0 0-.14.18L2 13.29a.74.74 0 0 0 .27.83L12 21l9.69-6.88a.71.71 0 0 0 .31-.83Z'
+    ]
+  },
+  bitbucket: {
+    name: 'Bitbucket',
+    host: 'bitbucket.org',
+    adapter: bitbucket,
+    icon: [
+      'M3 4h18l-2.8 16H5.8Z',
+      'M9 9h6l-1 5h-4Z'
+    ]
+  },
+  codeberg: {
+    name: 'Codeberg',
+    host: 'codeberg.org',
+    adapter: gitea,
+    icon: [
+      'm8 3 4 8 5-5 5 15H2L8 3z'
+    ]
+  },
+  gitea: {
+    name: 'Gitea',
+    host: 'gitea.com',
+    adapter: gitea,
+    icon: [
+      'M17 8h1a4 4 0 1 1 0 8h-1',
+      'M3 8h14v9a4 4 0 0 1-4 4H7a4 4 0 0 1-4-4Z'
+    ]
+  }
+};
+
+/**
+ * Get a forge by id
+ * @param {String} id - Forge id
+ * @returns {Object} - Forge (GitHub for unknown ids)
+ */
+export const getForge = (id) => forges[id] || forges[DEFAULT_FORGE];
+
+/**
+ * Extract the forge, host, owner and repository name from a repository URL
+ * @param {String} url - Repository URL on any supported forge
+ * @returns {Object|null} - { forge, host, username, repoName } or null if invalid
+ */
+export const parseRepositoryUrl = (url) => {
+  if (!url) return null;
+
+  const github = parseGitHubUrl(url);
+  if (github) {
+    return { forge: 'github', ...github };
+  }
+
+  const match = url.trim().match(/^(?:https?:\/\/)?(?:www\.)?([^/\s]+)\/([^?#\s]+)/i);
+  if (!match) return null;
+
+  const host = match[1].toLowerCase();
+  let forge = Object.keys(forges).find(id => forges[id].host === host);
+  if (!forge && findGiteaHost(host)) {
+    forge = 'gitea';
+  }
+  if (!forge) return null;
+
+  const repository = forges[forge].adapter.parsePath(match[2].split('/').filter(Boolean));
+  return repository ? { forge, host, ...repository } : null;
+};
+
+/**
+ * Split a full repository name into owner and repository
+ * The owner can contain slashes (GitLab subgroups), so the name is split at the last one.
+ * @param {String} fullName - "owner/repository"
+ * @returns {Object} - { username, repoName }, with an empty username if there is no slash
+ */
+export const splitRepositoryName = (fullName) => {
+  const index = fullName.lastIndexOf('/');
+  return {
+    username: index === -1 ? '' : fullName.slice(0, index),
+    repoName: fullName.slice(index + 1)
+  };
+};
+
+/**
+ * Load all repository data from a forge
+ * @param {String} username - Owner (user, organization, group or workspace)
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options
+ * @param {String} options.forge - Forge id (defaults to GitHub)
+ * @param {String} options.host - Host name (Enterprise Server and self-hosted Gitea hosts; other forges use their own)
+ * @param {Boolean} options.forceRefresh - Revalidate cached data even if it is still fresh
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} - Normalized repository data
+ */
+export const loadRepositoryData = async (username, repoName, { forge = DEFAULT_FORGE, ...options } = {}) => {
+  const { name, host, adapter } = getForge(forge);
+
+  return adapter.loadRepositoryData(username, repoName, {
+    ...options,
+    host: options.host || host,
+    forgeName: name
+  });
+};
+
+/**
+ * Fetch the top contributors of a repository
+ * @param {String} username - Owner
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options (see loadRepositoryData)
+ * @returns {Promise<Object>} - Contributors ({ login, avatarUrl }) and whether the list was truncated
+ * @throws {Error} - When the forge doesn't support contributors
+ */
+export const fetchTopContributors = async (username, repoName, { forge = DEFAULT_FORGE, ...options } = {}) => {
+  const { name, adapter } = getForge(forge);
+
+  if (!adapter.fetchTopContributors) {
+    throw new Error(`Contributors aren't available for ${name} repositories`);
+  }
+
+  return adapter.fetchTopContributors(username, repoName, options);
+};
+
+/**
+ * Fetch the stats that take requests of their own (see utils/stats.js)
+ * @param {String} username - Owner
+ * @param {String} repoName - Repository name
+ * @param {Object} options - Request options (see loadRepositoryData), plus the stats to fetch
+ * @returns {Promise<Object>} - { openPullRequests, latestRelease, releaseDownloads }, each only when requested
+ * @throws {Error} - When the forge doesn't support these stats
+ */
+export const fetchRepositoryStats = async (username, repoName, { forge = DEFAULT_FORGE, ...options } = {}) => {
+  const { name, adapter } = getForge(forge);
+
+  if (!adapter.fetchRepositoryStats) {
+    throw new Error(`Releases and pull requests aren't available for ${name} repositories`);
+  }
+
+  return adapter.fetchRepositoryStats(username, repoName, options);
+};
@@ -0,0 +1,155 @@
+/**
+ * GitHub Rate Limit Budget
+ *
+ * Tracks the remaining request budget of each GitHub rate limit resource
+ * ("core", "search", ...) from the X-RateLimit-* headers of every API
+ * response. Requests reserve budget before they are sent, so a request the
+ * budget can't cover is refused up front instead of failing at GitHub, and
+ * long-running work can wait for the limit to reset.
+ */
+
+import { RateLimitedError } from './github-errors';
+
+// Latest known budget per resource: { limit, remaining, reset }
+let budgets = {};
+
+// Requests sent but not yet answered, per resource
+const inFlight = {};
+
+// Number of callers waiting for a reset
+let waiting = 0;
+
+const listeners = new Set();
+
+/**
+ * Get a snapshot of the tracked budgets
+ * @returns {Object} - { core, search, graphql, waiting }, with null for unknown resources
+ */
+export const getRateLimitSnapshot = () => ({
+  core: budgets.core || null,
+  search: budgets.search || null,
+  graphql: budgets.graphql || null,
+  waiting
+});
+
+const notify = () => {
+  const snapshot = getRateLimitSnapshot();
+  listeners.forEach(listener => listener(snapshot));
+};
+
+/**
+ * Subscribe to budget changes
+ * @param {Function} listener - Called with a new snapshot after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeRateLimit = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Record the budget of a resource
+ * @param {String} resource - Rate limit resource
+ * @param {Object} budget - { limit, remaining, reset (Date) }
+ */
+export const recordRateLimit = (resource, budget) => {
+  const current = budgets[resource];
+
+  // Ignore late responses from a window that has already been replaced
+  if (current && budget.reset < current.reset) return;
+
+  budgets = { ...budgets, [resource]: budget };
+  notify();
+};
+
+/**
+ * Record the budget reported by a response
+ * @param {Headers} headers - Response headers
+ */
+export const recordRateLimitHeaders = (headers) => {
+  const remaining = headers.get('X-RateLimit-Remaining');
+  if (remaining === null) return;
+
+  recordRateLimit(headers.get('X-RateLimit-Resource') || 'core', {
+    limit: Number(headers.get('X-RateLimit-Limit')),
+    remaining: Number(remaining),
+    reset: new Date(Number(headers.get('X-RateLimit-Reset')) * 1000)
+  });
+};
+
+/**
+ * Forget all tracked budgets (e.g. after the token changes)
+ */
+export const resetRateLimits = () => {
+  budgets = {};
+  notify();
+};
+
+/**
+ * Get the number of requests a resource can still make in the current window
+ * Requests that are still in flight are already counted as spent.
+ * @param {String} resource - Rate limit resource
+ * @returns {Number} - Remaining requests, or Infinity if unknown or the window has reset
+ */
+export const getAvailableBudget = (resource) => {
+  const budget = budgets[resource];
+  if (!budget || budget.reset <= new Date()) return Infinity;
+  return Math.max(0, budget.remaining - (inFlight[resource] || 0));
+};
+
+/**
+ * Get when the current window of a resource resets
+ * @param {String} resource - Rate limit resource
+ * @returns {Date|null} - Reset time, or null if unknown
+ */
+export const getResetTime = (resource) => (budgets[resource] ? budgets[resource].reset : null);
+
+/**
+ * Reserve budget for one request
+ * Conditional requests (revalidating a cached response) are let through even
+ * when the budget is spent, since a 304 reply doesn't count against the limit.
+ * @param {String} resource - Rate limit resource
+ * @param {Object} options - Request details
+ * @param {Boolean} options.conditional - Whether the request carries If-None-Match or If-Modified-Since
+ * @returns {Function} - Call once the response has arrived (or the request failed)
+ * @throws {RateLimitedError} - When the budget is spent until the next reset
+ */
+export const reserveRequest = (resource, { conditional = false } = {}) => {
+  if (!conditional && getAvailableBudget(resource) <= 0) {
+    const resetAt = getResetTime(resource);
+    throw new RateLimitedError(`API rate limit exceeded. Limit resets at ${resetAt.toLocaleTimeString()}`, {
+      resetAt,
+      resource
+    });
+  }
+
+  inFlight[resource] = (inFlight[resource] || 0) + 1;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    inFlight[resource]--;
+  };
+};
+
+/**
+ * Wait until the current window of a resource resets
+ * @param {String} resource - Rate limit resource
+ * @returns {Promise<void>} - Resolves shortly after the reset time
+ */
+export const waitForRateLimitReset = async (resource) => {
+  const reset = getResetTime(resource);
+  if (!reset || reset <= new Date()) return;
+
+  waiting++;
+  notify();
+
+  try {
+    // A second of slack so GitHub has started the new window
+    await new Promise(resolve => setTimeout(resolve, reset.getTime() - Date.now() + 1000));
+  } finally {
+    waiting--;
+    notify();
+  }
+};
@@ -0,0 +1,327 @@
+/**
+ * Repository Stats
+ *
+ * The stats the card can show, in slots the user picks and orders. Each stat
+ * has an icon shared by the card and the SVG export, and is read from the
+ * normalized repository data (see utils/providers). Stats marked `extra`
+ * need requests of their own and are only fetched when a slot shows them.
+ */
+
+// GitHub octicons, filled on a 16x16 grid
+const STAR_PATH = 'M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25z';
+const FORK_PATH = 'M5 3.25a.75.75 0 11-1.5 0 .75.75 0 011.5 0zm0 2.122a2.25 2.25 0 10-1.5 0v.878A2.25 2.25 0 005.75 8.5h1.5v2.128a2.251 2.251 0 101.5 0V8.5h1.5a2.25 2.25 0 002.25-2.25v-.878a2.25 2.25 0 10-1.5 0v.878a.75.75 0 01-.75.75h-4.5A.75.75 0 015 6.25v-.878zm3.75 7.378a.75.75 0 11-1.5 0 .75.75 0 011.5 0zm3-8.75a.75.75 0 100-1.5.75.75 0 000 1.5z';
+
+/**
+ * Filled octicon
+ * @param {String} path - Path data on a 16x16 grid
+ * @returns {Object} - Icon definition
+ */
+const octicon = (path) => ({ viewBox: 16, size: 16, stroke: false, paths: [path] });
+
+/**
+ * Lucide-style stroke icon (drawn a bit larger, as the stroke leaves more padding)
+ * @param {Array} paths - Path data on a 24x24 grid
+ * @returns {Object} - Icon definition
+ */
+const strokeIcon = (paths) => ({ viewBox: 24, size: 20, stroke: true, paths });
+
+/**
+ * Available stats keyed by id
+ * unit and prefix turn a value into text for layouts without icons
+ * ("12 stars", "pushed Mar 3, 2024"); numeric stats follow the number format.
+ */
+export const statTypes = {
+  stars: {
+    name: 'Stars',
+    unit: 'stars',
+    numeric: true,
+    icon: octicon(STAR_PATH)
+  },
+  forks: {
+    name: 'Forks',
+    unit: 'forks',
+    numeric: true,
+    icon: octicon(FORK_PATH)
+  },
+  watchers: {
+    name: 'Watchers',
+    unit: 'watchers',
+    numeric: true,
+    icon: strokeIcon([
+      'M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z',
+      'M9 12a3 3 0 1 0 6 0a3 3 0 1 0-6 0'
+    ])
+  },
+  issues: {
+    name: 'Open issues',
+    unit: 'open issues',
+    numeric: true,
+    icon: strokeIcon([
+      'M2 12a10 10 0 1 0 20 0a10 10 0 1 0-20 0',
+      'M11 12a1 1 0 1 0 2 0a1 1 0 1 0-2 0'
+    ])
+  },
+  pullRequests: {
+    name: 'Open PRs',
+    unit: 'open PRs',
+    numeric: true,
+    extra: true,
+    icon: strokeIcon([
+      'M15 18a3 3 0 1 0 6 0a3 3 0 1 0-6 0',
+      'M3 6a3 3 0 1 0 6 0a3 3 0 1 0-6 0',
+      'M13 6h3a2 2 0 0 1 2 2v7',
+      'M6 9v12'
+    ])
+  },
+  license: {
+    name: 'License',
+    icon: strokeIcon([
+      'm16 16 3-8 3 8c-.87.65-1.92 1-3 1s-2.13-.35-3-1Z',
+      'm2 16 3-8 3 8c-.87.65-1.92 1-3 1s-2.13-.35-3-1Z',
+      'M7 21h10',
+      'M12 3v18',
+      'M3 7h2c2 0 5-1 7-2 2 1 5 2 7 2h2'
+    ])
+  },
+  release: {
+    name: 'Latest release',
+    extra: true,
+    icon: strokeIcon([
+      'M12 2H2v10l9.29 9.29c.94.94 2.48.94 3.42 0l6.58-6.58c.94-.94.94-2.48 0-3.42L12 2Z',
+      'M7 7h.01'
+    ])
+  },
+  pushedAt: {
+    name: 'Last push',
+    prefix: 'pushed',
+    icon: strokeIcon([
+      'M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8',
+      'M3 3v5h5',
+      'M12 7v5l4 2'
+    ])
+  },
+  language: {
+    name: 'Primary language',
+    icon: strokeIcon([
+      'm18 16 4-4-4-4',
+      'm6 8-4 4 4 4',
+      'm14.5 4-5 16'
+    ])
+  },
+  downloads: {
+    name: 'Release downloads',
+    unit: 'downloads',
+    numeric: true,
+    extra: true,
+    icon: strokeIcon([
+      'M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4',
+      'M7 10l5 5 5-5',
+      'M12 15V3'
+    ])
+  }
+};
+
+export const DEFAULT_STAT_SLOTS = ['stars', 'forks', 'watchers'];
+
+// More stats don't fit next to each other on the card
+export const MAX_STAT_SLOTS = 6;
+
+/**
+ * How counts are written on the card
+ */
+export const numberFormatModes = [
+  { id: 'compact', name: 'Compact (128.7K)' },
+  { id: 'full', name: 'Full (128,734)' },
+  { id: 'raw', name: 'Raw (128734)' }
+];
+
+// Locales offered for grouping and abbreviations
+export const numberFormatLocales = [
+  { id: 'en-US', name: 'English (US)' },
+  { id: 'en-GB', name: 'English (UK)' },
+  { id: 'en-IN', name: 'English (India)' },
+  { id: 'de-DE', name: 'Deutsch' },
+  { id: 'es-ES', name: 'Español' },
+  { id: 'fr-FR', name: 'Français' },
+  { id: 'it-IT', name: 'Italiano' },
+  { id: 'pt-BR', name: 'Português (Brasil)' },
+  { id: 'ru-RU', name: 'Русский' },
+  { id: 'ja-JP', name: '日本語' },
+  { id: 'ko-KR', name: '한국어' },
+  { id: 'zh-CN', name: '中文' }
+];
+
+export const DEFAULT_NUMBER_FORMAT = { mode: 'compact', locale: 'en-US', precision: 1 };
+
+// Decimals allowed in compact and full numbers
+export const MAX_NUMBER_PRECISION = 2;
+
+// Suffixes accepted when typing counts ("12k", "1.2M")
+const SUFFIX_MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Read a count from text, as fetched ("128734") or typed ("128,734", "12k", "1.2M")
+ * @param {String} text - Count as text
+ * @param {String} locale - Locale whose grouping and decimal separators are used
+ * @returns {Number|null} - Count, or null if the text isn't a number
+ */
+export const parseStatNumber = (text, locale = DEFAULT_NUMBER_FORMAT.locale) => {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const group = parts.find(part => part.type === 'group');
+  const decimal = parts.find(part => part.type === 'decimal');
+
+  // Grouping spaces (including the narrow no-break space of fr-FR) go with the whitespace
+  let normalized = String(text).replace(/\s+/g, '');
+  if (group && group.value.trim()) {
+    normalized = normalized.split(group.value).join('');
+  }
+  if (decimal) {
+    normalized = normalized.split(decimal.value).join('.');
+  }
+
+  const match = normalized.match(/^(\d+(?:\.\d+)?)([kmb])?$/i);
+  if (!match) return null;
+
+  const multiplier = match[2] ? SUFFIX_MULTIPLIERS[match[2].toLowerCase()] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+};
+
+/**
+ * Write a count in a number format
+ * @param {Number} count - Count
+ * @param {Object} format - Number format ({ mode, locale, precision })
+ * @returns {String} - Formatted count
+ */
+export const formatStatNumber = (count, { mode, locale, precision } = DEFAULT_NUMBER_FORMAT) => {
+  if (mode === 'raw') {
+    return String(count);
+  }
+
+  return new Intl.NumberFormat(locale, {
+    notation: mode === 'compact' ? 'compact' : 'standard',
+    maximumFractionDigits: precision
+  }).format(count);
+};
+
+/**
+ * Format an API timestamp as a short date ("Mar 3, 2024")
+ * @param {String} timestamp - ISO 8601 timestamp
+ * @returns {String} - Formatted date
+ */
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * Format a stat from the API for the stat inputs
+ * @param {*} value - Value, or null/undefined if it is unknown
+ * @returns {String} - Value as text, or an empty string
+ */
+const toStatText = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Read the stats of a loaded repository
+ * Stats that aren't known (yet) are empty strings.
+ * @param {Object} data - Normalized repository data
+ * @returns {Object} - Stat values as text, keyed by stat id
+ */
+export const getRepositoryStats = ({ repoData, latestRelease, releaseDownloads }) => {
+  const pullRequests = repoData.open_pull_requests_count;
+  const license = repoData.license;
+
+  return {
+    stars: toStatText(repoData.stargazers_count),
+    forks: toStatText(repoData.forks_count),
+    // GitHub's REST API reports stars as watchers_count
+    watchers: toStatText(repoData.subscribers_count ?? repoData.watchers_count),
+    // Until the pull requests are counted, the issue count would include them
+    issues: toStatText(pullRequests === undefined || repoData.open_issues_count === null
+      ? null
+      : repoData.open_issues_count - (pullRequests || 0)),
+    pullRequests: toStatText(pullRequests),
+    // GitHub reports unrecognized licenses as NOASSERTION ("Other")
+    license: license ? (license.spdx_id && license.spdx_id !== 'NOASSERTION' ? license.spdx_id : license.name) : '',
+    release: latestRelease ? latestRelease.tag_name : '',
+    pushedAt: repoData.pushed_at ? formatDate(repoData.pushed_at) : '',
+    language: toStatText(repoData.language),
+    downloads: toStatText(releaseDownloads)
+  };
+};
+
+/**
+ * Find the stats in the slots that still need their own requests
+ * @param {Array} slots - Stat ids
+ * @param {Object} data - Normalized repository data
+ * @returns {Array} - Ids of the extra stats to fetch ("pullRequests", "release", "downloads")
+ */
+export const getMissingStats = (slots, { repoData, latestRelease, releaseDownloads }) => {
+  const missing = [];
+
+  // Open issues are derived from the pull request count
+  if ((slots.includes('pullRequests') || slots.includes('issues')) && repoData.open_pull_requests_count === undefined) {
+    missing.push('pullRequests');
+  }
+  if (slots.includes('release') && latestRelease === undefined) {
+    missing.push('release');
+  }
+  if (slots.includes('downloads') && releaseDownloads === undefined) {
+    missing.push('downloads');
+  }
+
+  return missing;
+};
+
+/**
+ * Merge separately fetched stats into the repository data
+ * @param {Object} data - Normalized repository data
+ * @param {Object} extra - Result of fetchRepositoryStats
+ * @returns {Object} - Repository data including the extra stats
+ */
+export const mergeRepositoryStats = (data, { openPullRequests, latestRelease, releaseDownloads }) => ({
+  ...data,
+  repoData: openPullRequests === undefined
+    ? data.repoData
+    : { ...data.repoData, open_pull_requests_count: openPullRequests },
+  latestRelease: latestRelease === undefined ? data.latestRelease : latestRelease,
+  releaseDownloads: releaseDownloads === undefined ? data.releaseDownloads : releaseDownloads
+});
+
+/**
+ * Build the stats row of the card
+ * @param {Array} slots - Stat ids in display order
+ * @param {Object} values - Stat values as text, keyed by stat id
+ * @returns {Array} - Stats to show ({ id, value }), without empty or unknown ones
+ */
+export const getStatRow = (slots, values) => slots
+  .filter(id => statTypes[id] && values[id])
+  .map(id => ({ id, value: values[id] }));
+
+/**
+ * Describe a stat in words, for layouts without icons
+ * @param {Object} stat - Stat from getStatRow
+ * @returns {String} - e.g. "12 stars", "pushed Mar 3, 2024" or "MIT"
+ */
+export const getStatText = ({ id, value }) => {
+  const { unit, prefix } = statTypes[id];
+  if (unit) return `${value} ${unit}`;
+  if (prefix) return `${prefix} ${value}`;
+  return value;
+};
+
+/**
+ * Apply a number format to the counts of a stats row
+ * Counts are stored as plain numbers (typed counts are converted by the stat
+ * inputs), so they are read the same whatever locale is shown. Values that
+ * aren't numbers (e.g. "n/a") are shown as typed.
+ * @param {Array} stats - Stats from getStatRow
+ * @param {Object} format - Number format ({ mode, locale, precision })
+ * @returns {Array} - Stats with formatted values
+ */
+export const formatStatRow = (stats, format = DEFAULT_NUMBER_FORMAT) => stats.map(stat => {
+  if (!statTypes[stat.id].numeric) return stat;
+
+  const count = parseStatNumber(stat.value);
+  return count === null ? stat : { ...stat, value: formatStatNumber(count, format) };
+});
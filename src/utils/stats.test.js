@@ -0,0 +1,72 @@
+import { parseStatNumber, formatStatNumber } from './stats';
+
+describe('parseStatNumber', () => {
+  it('reads counts as fetched', () => {
+    expect(parseStatNumber('128734')).toBe(128734);
+    expect(parseStatNumber('0')).toBe(0);
+  });
+
+  it('reads abbreviated counts', () => {
+    expect(parseStatNumber('12k')).toBe(12000);
+    expect(parseStatNumber('1.2m')).toBe(1200000);
+    expect(parseStatNumber('1.2M')).toBe(1200000);
+    expect(parseStatNumber('3b')).toBe(3000000000);
+    expect(parseStatNumber(' 12 k ')).toBe(12000);
+  });
+
+  it('uses the grouping and decimal separators of the locale', () => {
+    expect(parseStatNumber('128,734', 'en-US')).toBe(128734);
+    expect(parseStatNumber('1.5k', 'en-US')).toBe(1500);
+    expect(parseStatNumber('128.734', 'de-DE')).toBe(128734);
+    expect(parseStatNumber('1,5k', 'de-DE')).toBe(1500);
+  });
+
+  it.each(['', 'abc', '12kb', '-5', '1.2.3', '12 stars'])('returns null for %p', (text) => {
+    expect(parseStatNumber(text)).toBeNull();
+  });
+});
+
+describe('formatStatNumber', () => {
+  it('writes counts compactly by default', () => {
+    expect(formatStatNumber(128734)).toBe('128.7K');
+    expect(formatStatNumber(1200000)).toBe('1.2M');
+    expect(formatStatNumber(999)).toBe('999');
+  });
+
+  it('groups full counts by locale', () => {
+    expect(formatStatNumber(1234567, { mode: 'full', locale: 'en-US', precision: 0 })).toBe('1,234,567');
+    expect(formatStatNumber(1234567, { mode: 'full', locale: 'de-DE', precision: 0 })).toBe('1.234.567');
+  });
+
+  it('writes raw counts without grouping', () => {
+    expect(formatStatNumber(1234567, { mode: 'raw', locale: 'de-DE', precision: 2 })).toBe('1234567');
+  });
+
+  it.each([
+    [0, '129K'],
+    [1, '128.7K'],
+    [2, '128.73K']
+  ])('rounds compact counts to %i decimals', (precision, text) => {
+    expect(formatStatNumber(128734, { mode: 'compact', locale: 'en-US', precision })).toBe(text);
+  });
+});
+
+describe('round trips', () => {
+  it.each([0, 1, 2])('reads back full counts with %i decimals in en-US and de-DE', (precision) => {
+    ['en-US', 'de-DE'].forEach(locale => {
+      [0, 7, 1234, 128734, 1234567].forEach(count => {
+        const text = formatStatNumber(count, { mode: 'full', locale, precision });
+        expect(parseStatNumber(text, locale)).toBe(count);
+      });
+    });
+  });
+
+  it.each([
+    [0, 129000],
+    [1, 128700],
+    [2, 128730]
+  ])('reads back compact counts with %i decimals as the rounded count', (precision, count) => {
+    const text = formatStatNumber(128734, { mode: 'compact', locale: 'en-US', precision });
+    expect(parseStatNumber(text, 'en-US')).toBe(count);
+  });
+});
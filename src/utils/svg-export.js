@@ -0,0 +1,980 @@
+/**
+ * SVG Export Utilities
+ *
+ * This module draws the preview card as a standalone SVG document. Unlike the
+ * html2canvas export it keeps text, icons and patterns as vectors, so the
+ * result stays sharp at any size. Every layout template has a vector
+ * counterpart, and the layout constants below mirror the preview card rules
+ * in styles/main.css.
+ */
+
+import { getCardFormat, descriptionLineCount } from './export-sizes';
+import { getForge, splitRepositoryName } from './providers';
+import { getLanguageLabel, getLanguageColor, getLegendEntries } from './languages';
+import { statTypes, DEFAULT_NUMBER_FORMAT, formatStatRow, getStatText } from './stats';
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+
+// Card layout (in CSS pixels)
+const PADDING = 24;
+const AVATAR_SIZE = 48;
+const HEADER_GAP = 12;
+const HEADER_MARGIN = 16;
+const OWNER_FONT_SIZE = 14;
+const OWNER_LINE_HEIGHT = 21;
+const TITLE_FONT_SIZE = 24;
+const TITLE_LINE_HEIGHT = 29;
+const DESCRIPTION_FONT_SIZE = 16;
+const DESCRIPTION_LINE_HEIGHT = 24;
+const DESCRIPTION_MARGIN = 16;
+const STAT_FONT_SIZE = 14;
+const STAT_LINE_HEIGHT = 21;
+const STAT_GAP = 24;
+const STAT_ICON_GAP = 4;
+const CONTRIBUTOR_SIZE = 28;
+const CONTRIBUTOR_OVERLAP = 8;
+const CONTRIBUTOR_RING = 2;
+const CONTRIBUTORS_MARGIN = 16;
+const LANGUAGE_BAR_HEIGHT = 8;
+const CARD_RADIUS = 8;
+const PATTERN_OPACITY = 0.1;
+const FORGE_ICON_SIZE = 24;
+const FORGE_INSET = 20;
+const TOPIC_FONT_SIZE = 12;
+const TOPIC_HEIGHT = 24;
+const TOPIC_PADDING_X = 10;
+const TOPIC_GAP = 6;
+const TOPIC_ROWS = 2;
+const TOPIC_FILL_OPACITY = 0.18;
+const TOPICS_MARGIN = 16;
+const LEGEND_FONT_SIZE = 12;
+const LEGEND_LINE_HEIGHT = 18;
+const LEGEND_DOT_SIZE = 8;
+const LEGEND_DOT_GAP = 6;
+const LEGEND_ROW_GAP = 4;
+const LEGEND_ITEM_GAP = 16;
+const LEGEND_CHIP_GAP = 6;
+const LEGEND_CHIP_PADDING_X = 8;
+const LEGEND_CHIP_PADDING_Y = 2;
+const LEGEND_COLUMNS = 3;
+const LEGEND_MARGIN = 12;
+const LEGEND_RIGHT_INSET = 56;
+const TITLE_MARGIN = 12;
+const HERO_AVATAR_SIZE = 64;
+const HERO_AVATAR_MARGIN = 12;
+const HERO_TITLE_FONT_SIZE = 32;
+const HERO_TITLE_LINE_HEIGHT = 38;
+const MINIMAL_PADDING = 32;
+const MINIMAL_OWNER_FONT_SIZE = 12;
+const MINIMAL_OWNER_LINE_HEIGHT = 18;
+const MINIMAL_OWNER_LETTER_SPACING = 0.96;
+const MINIMAL_OWNER_MARGIN = 4;
+const MINIMAL_TITLE_FONT_SIZE = 30;
+const MINIMAL_TITLE_LINE_HEIGHT = 36;
+const MINIMAL_RULE_WIDTH = 48;
+const MINIMAL_RULE_HEIGHT = 4;
+const MINIMAL_RULE_MARGIN = 16;
+const SPLIT_GAP = 24;
+const SPLIT_STAT_GAP = 12;
+const SPLIT_NUMBER_FONT_SIZE = 32;
+const SPLIT_NUMBER_LINE_HEIGHT = 35.2;
+const SPLIT_LABEL_FONT_SIZE = 12;
+const SPLIT_LABEL_LINE_HEIGHT = 18;
+const SPLIT_LABEL_LETTER_SPACING = 0.6;
+const SPLIT_ICON_SIZE = 16;
+const LOGO_TILE_SIZE = 120;
+const LOGO_TILE_RADIUS = 24;
+const LOGO_GAP = 32;
+const LOGO_ICON_SIZE = 56;
+const LOGO_OWNER_MARGIN = 12;
+
+// Lucide code icon used by the watermark and the logo tile
+const CODE_ICON = '<polyline points="16 18 22 12 16 6"/><polyline points="8 6 2 12 8 18"/>';
+
+// Tiles for the background patterns (see .pattern-* in styles/themes.css)
+const HEXAGON_PATH = 'M13.99 9.25l13 7.5v15l-13 7.5L1 31.75v-15l12.99-7.5zM3 17.9v12.7l10.99 6.34 11-6.35V17.9l-11-6.34L3 17.9zM0 15l12.98-7.5V0h-2v6.35L0 12.69v2.3zm0 18.5L12.98 41v8h-2v-6.85L0 35.81v-2.3zM15 0v7.5L27.99 15H28v-2.31h-.01L17 6.35V0h-2zm0 49v-8l12.99-7.5H28v2.31h-.01L17 42.15V49h-2z';
+const CIRCUIT_PATH = 'M44.1 224a5 5 0 1 1 0 2H0v-2h44.1zm160 48a5 5 0 1 1 0 2H82v-2h122.1zm57.8-46a5 5 0 1 1 0-2H304v2h-42.1zm0 16a5 5 0 1 1 0-2H304v2h-42.1zm6.2-114a5 5 0 1 1 0 2h-86.2a5 5 0 1 1 0-2h86.2zm-256-48a5 5 0 1 1 0 2H0v-2h12.1zm185.8 34a5 5 0 1 1 0-2h86.2a5 5 0 1 1 0 2h-86.2zM258 12.1a5 5 0 1 1-2 0V0h2v12.1zm-64 208a5 5 0 1 1-2 0v-54.2a5 5 0 1 1 2 0v54.2zm48-198.2V80h62v2h-64V21.9a5 5 0 1 1 2 0zm16 16V64h46v2h-48V37.9a5 5 0 1 1 2 0zm-128 96V208h16v12.1a5 5 0 1 1-2 0V210h-16v-76.1a5 5 0 1 1 2 0zm-5.9-21.9a5 5 0 1 1 0 2H114v48H85.9a5 5 0 1 1 0-2H112v-48h12.1zm-6.2 130a5 5 0 1 1 0-2H176v-74.1a5 5 0 1 1 2 0V242h-60.1zm-16-64a5 5 0 1 1 0-2H114v48h10.1a5 5 0 1 1 0 2H112v-48h-10.1zM66 284.1a5 5 0 1 1-2 0V274H50v30h-2v-32h18v12.1zM236.1 176a5 5 0 1 1 0 2H226v94h48v32h-2v-30h-48v-98h12.1zm25.8-30a5 5 0 1 1 0-2H274v44.1a5 5 0 1 1-2 0V146h-10.1zm-64 96a5 5 0 1 1 0-2H208v-80h16v-14h-42.1a5 5 0 1 1 0-2H226v18h-16v80h-12.1zm86.2-210a5 5 0 1 1 0 2H272V0h2v32h10.1zM98 101.9V146H53.9a5 5 0 1 1 0-2H96v-42.1a5 5 0 1 1 2 0zM53.9 34a5 5 0 1 1 0-2H80V0h2v34H53.9zm60.1 3.9V66H82v64H69.9a5 5 0 1 1 0-2H80V64h32V37.9a5 5 0 1 1 2 0zM101.9 82a5 5 0 1 1 0-2H128V37.9a5 5 0 1 1 2 0V82h-28.1zm16-64a5 5 0 1 1 0-2H146v44.1a5 5 0 1 1-2 0V18h-26.1zm102.2 270a5 5 0 1 1 0 2H98v14h-2v-16h124.1zM242 149.9V160h16v34h-16v62h48v48h-2v-46h-48v-66h16v-30h-16v-12.1a5 5 0 1 1 2 0zM53.9 18a5 5 0 1 1 0-2H64V2H48V0h18v18H53.9zm112 32a5 5 0 1 1 0-2H192V0h50v2h-48v48h-28.1zm-48-48a5 5 0 0 1-9.8-2h2.07a3 3 0 1 0 5.66 0H178v34h-18V21.9a5 5 0 1 1 2 0V32h14V2h-58.1zm0 96a5 5 0 1 1 0-2H137l32-32h39V21.9a5 5 0 1 1 2 0V66h-40.17l-32 32H117.9zm28.1 90.1a5 5 0 1 1-2 0v-76.51L175.59 80H224V21.9a5 5 0 1 1 2 0V82h-49.59L146 112.41v75.69zm16 32a5 5 0 1 1-2 0v-99.51L184.59 96H300.1a5 5 0 0 1 3.9-3.9v2.07a3 3 0 0 0 0 5.66v2.07a5 5 0 0 1-3.9-3.9H185.41L162 121.41v98.69zm-144-64a5 5 0 1 1-2 0v-3.51l48-48V48h32V0h2v50H66v55.41l-48 48v2.69zM50 53.9v43.51l-48 48V208h26.1a5 5 0 1 1 0 2H0v-65.41l48-48V53.9a5 5 0 1 1 2 0zm-16 16V89.41l-34 34v-2.82l32-32V69.9a5 5 0 1 1 2 0zM12.1 32a5 5 0 1 1 0 2H9.41L0 43.41V40.6L8.59 32h3.51zm265.8 18a5 5 0 1 1 0-2h18.69l7.41-7.41v2.82L297.41 50H277.9zm-16 160a5 5 0 1 1 0-2H288v-71.41l16-16v2.82l-14 14V210h-28.1zm-208 32a5 5 0 1 1 0-2H64v-22.59L40.59 194H21.9a5 5 0 1 1 0-2H41.41L66 217.59V242H53.9zm150.2 14a5 5 0 1 1 0 2H96v-56.6L56.6 162H37.9a5 5 0 1 1 0-2h19.5L98 200.6V256h106.1zm-150.2 2a5 5 0 1 1 0-2H80v-46.59L48.59 178H21.9a5 5 0 1 1 0-2H49.41L82 208.59V258H53.9zM34 39.8v1.61L9.41 66H0v-2h8.59L32 40.59V0h2v39.8zM2 300.1a5 5 0 0 1 3.9 3.9H3.83A3 3 0 0 0 0 302.17V256h18v48h-2v-46H2v42.1zM34 241v63h-2v-62H0v-2h34v1zM17 18H0v-2h16V0h2v18h-1zm273-2h14v2h-16V0h2v16zm-32 273v15h-2v-14h-14v14h-2v-16h18v1zM0 92.1A5.02 5.02 0 0 1 6 97a5 5 0 0 1-6 4.9v-2.07a3 3 0 1 0 0-5.66V92.1zM80 272h2v32h-2v-32zm37.9 32h-2.07a3 3 0 0 0-5.66 0h-2.07a5 5 0 0 1 9.8 0zM5.9 0A5.02 5.02 0 0 1 0 5.9V3.83A3 3 0 0 0 3.83 0H5.9zm294.2 0h2.07A3 3 0 0 0 304 3.83V5.9a5 5 0 0 1-3.9-5.9zm3.9 300.1v2.07a3 3 0 0 0-1.83 1.83h-2.07a5 5 0 0 1 3.9-3.9zM97 100a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-48 32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm32 48a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm32-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0-32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm32 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16-64a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 96a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-144a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-96 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm96 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16-64a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-32 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zM49 36a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-32 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm32 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zM33 68a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-48a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 240a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16-64a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16-32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm80-176a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm32 48a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0-32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm112 176a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm-16 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zM17 180a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0 16a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm0-32a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16 0a3 3 0 1 0 0-6 3 3 0 0 0 0 6zM17 84a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm32 64a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm16-16a3 3 0 1 0 0-6 3 3 0 0 0 0 6z';
+
+let measureContext = null;
+
+/**
+ * Escape a value for use inside XML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {String} - Escaped string
+ */
+const escapeXml = (value) => {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+  }[char]));
+};
+
+/**
+ * Build paint attributes for a color, splitting rgba() into color + opacity
+ * so the output also renders in tools without SVG 2 color support
+ * @param {String} property - "fill", "stroke" or "stop-color"
+ * @param {String} color - CSS color
+ * @param {String} opacityProperty - Attribute for the alpha channel
+ * @returns {String} - Attribute string
+ */
+const paint = (property, color, opacityProperty = `${property}-opacity`) => {
+  const match = /^rgba\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*([\d.]+)\s*\)$/.exec(color || '');
+  if (!match) {
+    return `${property}="${escapeXml(color)}"`;
+  }
+
+  const [, r, g, b, alpha] = match;
+  return `${property}="rgb(${r}, ${g}, ${b})" ${opacityProperty}="${alpha}"`;
+};
+
+/**
+ * Measure the rendered width of a string
+ * @param {String} text - Text to measure
+ * @param {Number} fontSize - Font size in pixels
+ * @param {Number} fontWeight - CSS font weight
+ * @returns {Number} - Width in pixels
+ */
+const measureText = (text, fontSize, fontWeight = 400) => {
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+
+  if (!measureContext) {
+    // Rough average glyph width when canvas is unavailable
+    return text.length * fontSize * 0.55;
+  }
+
+  measureContext.font = `${fontWeight} ${fontSize}px ${FONT_FAMILY}`;
+  return measureContext.measureText(text).width;
+};
+
+/**
+ * Shorten text with an ellipsis until it fits the given width
+ * @param {String} text - Text to truncate
+ * @param {Number} maxWidth - Available width in pixels
+ * @param {Number} fontSize - Font size in pixels
+ * @param {Number} fontWeight - CSS font weight
+ * @returns {String} - Text that fits within maxWidth
+ */
+const truncateText = (text, maxWidth, fontSize, fontWeight) => {
+  if (measureText(text, fontSize, fontWeight) <= maxWidth) return text;
+
+  let truncated = text;
+  while (truncated.length > 0 && measureText(`${truncated}…`, fontSize, fontWeight) > maxWidth) {
+    truncated = truncated.slice(0, -1);
+  }
+
+  return `${truncated.trimEnd()}…`;
+};
+
+/**
+ * Break text into lines that fit the given width, clamping to maxLines
+ * @param {String} text - Text to wrap
+ * @param {Number} maxWidth - Available width in pixels
+ * @param {Number} fontSize - Font size in pixels
+ * @param {Number} maxLines - Maximum number of lines
+ * @returns {Array<String>} - Wrapped lines
+ */
+const wrapText = (text, maxWidth, fontSize, maxLines) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (let i = 0; i < words.length; i++) {
+    const candidate = current ? `${current} ${words[i]}` : words[i];
+
+    if (measureText(candidate, fontSize) <= maxWidth || !current) {
+      current = candidate;
+      continue;
+    }
+
+    lines.push(current);
+    current = words[i];
+
+    if (lines.length === maxLines) {
+      // Clamp the last visible line and mark the overflow
+      const rest = words.slice(i).join(' ');
+      lines[maxLines - 1] = truncateText(`${lines[maxLines - 1]} ${rest}`, maxWidth, fontSize);
+      return lines;
+    }
+  }
+
+  if (current) {
+    lines.push(lines.length === maxLines - 1 ? truncateText(current, maxWidth, fontSize) : current);
+  }
+
+  return lines;
+};
+
+/**
+ * Compute the text baseline that vertically centers a font in a line box
+ * @param {Number} lineTop - Top of the line box
+ * @param {Number} lineHeight - Height of the line box
+ * @param {Number} fontSize - Font size in pixels
+ * @returns {Number} - Baseline y coordinate
+ */
+const baseline = (lineTop, lineHeight, fontSize) => {
+  return lineTop + (lineHeight - fontSize) / 2 + fontSize * 0.8;
+};
+
+/**
+ * Convert a CSS gradient angle into SVG gradient endpoints for a box
+ * @param {Number} angle - CSS angle in degrees (0 = to top, 90 = to right)
+ * @param {Number} width - Box width
+ * @param {Number} height - Box height
+ * @returns {Object} - x1, y1, x2, y2 coordinates
+ */
+const gradientVector = (angle, width, height) => {
+  const radians = (angle * Math.PI) / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    x1: round(width / 2 - dx * halfLength),
+    y1: round(height / 2 - dy * halfLength),
+    x2: round(width / 2 + dx * halfLength),
+    y2: round(height / 2 + dy * halfLength)
+  };
+};
+
+/**
+ * Inline an image as a data URI so the SVG has no external references
+ * @param {String} url - Image URL
+ * @returns {Promise<String>} - Data URI, or the original URL if it can't be fetched
+ */
+const inlineImage = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return url;
+
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    // Cross-origin images without CORS headers stay as external links
+    return url;
+  }
+};
+
+/**
+ * Build the <pattern> definition for a background pattern
+ * @param {String} pattern - Pattern name
+ * @param {String} color - Pattern color
+ * @returns {String} - SVG pattern markup, or an empty string for no pattern
+ */
+const renderPatternDef = (pattern, color) => {
+  switch (pattern) {
+    case 'dots':
+      return `<pattern id="card-pattern" width="20" height="20" patternUnits="userSpaceOnUse"><circle cx="10" cy="10" r="2" ${paint('fill', color)}/></pattern>`;
+    case 'lines':
+      return `<pattern id="card-pattern" width="28.28" height="28.28" patternUnits="userSpaceOnUse" patternTransform="rotate(-45)"><rect width="14.14" height="28.28" ${paint('fill', color)}/></pattern>`;
+    case 'hexagons':
+      return `<pattern id="card-pattern" width="28" height="49" patternUnits="userSpaceOnUse"><path d="${HEXAGON_PATH}" fill="#ffffff" fill-opacity="0.4"/></pattern>`;
+    case 'circuit':
+      return `<pattern id="card-pattern" width="304" height="304" patternUnits="userSpaceOnUse"><path d="${CIRCUIT_PATH}" fill="#ffffff" fill-opacity="0.4"/></pattern>`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Place markup laid out from (0, 0) at the given position
+ * @param {Number} x - Left edge
+ * @param {Number} y - Top edge
+ * @param {String} markup - SVG markup
+ * @returns {String} - Translated SVG group
+ */
+const place = (x, y, markup) => `<g transform="translate(${x} ${y})">${markup}</g>`;
+
+/**
+ * Stack blocks vertically like the block and flex column layouts of the card
+ * Every block is laid out from (0, 0); margins don't collapse, as in a flex column.
+ * @param {Array} blocks - Blocks ({ markup, height, width, marginTop, marginBottom }); falsy entries are skipped
+ * @param {Object} options - Stack options
+ * @param {Number} options.width - Available width
+ * @param {String} options.align - "start" or "middle" (centers blocks narrower than the stack)
+ * @returns {Object} - { markup, height }
+ */
+const stackBlocks = (blocks, { width, align = 'start' }) => {
+  const parts = [];
+  let y = 0;
+
+  blocks.filter(Boolean).forEach(({ markup, height, width: blockWidth = width, marginTop = 0, marginBottom = 0 }) => {
+    y += marginTop;
+    parts.push(place(align === 'middle' ? (width - blockWidth) / 2 : 0, y, markup));
+    y += height + marginBottom;
+  });
+
+  return { markup: parts.join(''), height: y };
+};
+
+/**
+ * Render a single line of text, ellipsized to the available width
+ * @param {String} text - Text to render
+ * @param {Object} line - Line style
+ * @param {Number} line.width - Available width
+ * @param {Number} line.fontSize - Font size in pixels
+ * @param {Number} line.lineHeight - Height of the line box
+ * @param {Number} line.fontWeight - CSS font weight
+ * @param {String} line.color - Text color
+ * @param {String} line.align - "start" or "middle"
+ * @param {Number} line.letterSpacing - Extra space after every character in pixels
+ * @returns {Object} - Block ({ markup, height })
+ */
+const renderTextLine = (text, { width, fontSize, lineHeight, fontWeight = 400, color, align = 'start', letterSpacing = 0 }) => {
+  const fitted = truncateText(text, width - letterSpacing * text.length, fontSize, fontWeight);
+  const x = align === 'middle' ? width / 2 : 0;
+  const attributes = [
+    `x="${x}"`,
+    `y="${baseline(0, lineHeight, fontSize)}"`,
+    `font-size="${fontSize}"`,
+    fontWeight !== 400 && `font-weight="${fontWeight}"`,
+    align === 'middle' && 'text-anchor="middle"',
+    letterSpacing && `letter-spacing="${letterSpacing}"`,
+    paint('fill', color)
+  ].filter(Boolean).join(' ');
+
+  return { markup: `<text ${attributes}>${escapeXml(fitted)}</text>`, height: lineHeight };
+};
+
+/**
+ * Render a round avatar
+ * @param {String} href - Image URL or data URI
+ * @param {Number} size - Diameter
+ * @param {Array} defs - Definitions list to add the clip path to
+ * @returns {Object} - Block ({ markup, height, width })
+ */
+const renderAvatar = (href, size, defs) => {
+  const radius = size / 2;
+  defs.push(`<clipPath id="avatar-clip"><circle cx="${radius}" cy="${radius}" r="${radius}"/></clipPath>`);
+
+  return {
+    markup: `<image href="${escapeXml(href)}" xlink:href="${escapeXml(href)}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid slice" clip-path="url(#avatar-clip)"/>`,
+    height: size,
+    width: size
+  };
+};
+
+/**
+ * Render the avatar, owner and title header of .preview-header
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Number} width - Available width
+ * @param {Object} palette - Theme palette
+ * @param {Array} defs - Definitions list to add clip paths to
+ * @returns {Object} - Block ({ markup, height })
+ */
+const renderHeader = ({ avatarHref, displayOwner, displayName }, width, palette, defs) => {
+  const textHeight = (displayOwner ? OWNER_LINE_HEIGHT : 0) + TITLE_LINE_HEIGHT;
+  const height = Math.max(avatarHref ? AVATAR_SIZE : 0, textHeight);
+  const parts = [];
+  let titleX = 0;
+
+  if (avatarHref) {
+    parts.push(place(0, (height - AVATAR_SIZE) / 2, renderAvatar(avatarHref, AVATAR_SIZE, defs).markup));
+    titleX += AVATAR_SIZE + HEADER_GAP;
+  }
+
+  const title = stackBlocks([
+    displayOwner && renderTextLine(displayOwner, { width: width - titleX, fontSize: OWNER_FONT_SIZE, lineHeight: OWNER_LINE_HEIGHT, color: palette.stats }),
+    renderTextLine(displayName, { width: width - titleX, fontSize: TITLE_FONT_SIZE, lineHeight: TITLE_LINE_HEIGHT, fontWeight: 700, color: palette.title })
+  ], { width: width - titleX });
+  parts.push(place(titleX, (height - textHeight) / 2, title.markup));
+
+  return { markup: parts.join(''), height };
+};
+
+/**
+ * Render the description, clamped like the CSS line-clamp for the card format
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} options - Block options ({ width, align })
+ * @param {Object} palette - Theme palette
+ * @returns {Object|null} - Block, or null without a description
+ */
+const renderDescription = ({ repoDescription, descriptionLines }, { width, align = 'start' }, palette) => {
+  if (!repoDescription) return null;
+
+  const x = align === 'middle' ? width / 2 : 0;
+  const anchor = align === 'middle' ? ' text-anchor="middle"' : '';
+  const lines = wrapText(repoDescription, width, DESCRIPTION_FONT_SIZE, descriptionLines);
+  const markup = lines.map((line, i) => (
+    `<text x="${x}" y="${baseline(i * DESCRIPTION_LINE_HEIGHT, DESCRIPTION_LINE_HEIGHT, DESCRIPTION_FONT_SIZE)}" font-size="${DESCRIPTION_FONT_SIZE}"${anchor} ${paint('fill', palette.description)}>${escapeXml(line)}</text>`
+  ));
+
+  return { markup: markup.join(''), height: lines.length * DESCRIPTION_LINE_HEIGHT, marginBottom: DESCRIPTION_MARGIN };
+};
+
+/**
+ * Render the row of overlapping contributor avatars
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {String} placement - Render the strip only for this placement: "description" or "bottom"
+ * @param {Object} palette - Theme palette
+ * @param {Array} defs - Definitions list to add clip paths to
+ * @returns {Promise<Object|null>} - Block, or null if the strip goes elsewhere
+ */
+const renderContributors = async ({ contributors, contributorCount, contributorsHasMore, contributorsPlacement }, placement, palette, defs) => {
+  if (contributorsPlacement !== placement || contributors.length === 0) return null;
+
+  const shown = contributors.slice(0, contributorCount);
+  const extra = contributors.length - shown.length;
+  const radius = CONTRIBUTOR_SIZE / 2;
+  const hrefs = await Promise.all(shown.map(contributor => inlineImage(contributor.avatarUrl)));
+  const parts = [];
+  let cx = radius;
+
+  shown.forEach((contributor, i) => {
+    defs.push(`<clipPath id="contributor-clip-${i}"><circle cx="${cx}" cy="${radius}" r="${radius - CONTRIBUTOR_RING}"/></clipPath>`);
+    parts.push(`<circle cx="${cx}" cy="${radius}" r="${radius - CONTRIBUTOR_RING / 2}" fill="none" ${paint('stroke', palette.border)} stroke-width="${CONTRIBUTOR_RING}"/>`);
+    parts.push(`<image href="${escapeXml(hrefs[i])}" xlink:href="${escapeXml(hrefs[i])}" x="${cx - radius}" width="${CONTRIBUTOR_SIZE}" height="${CONTRIBUTOR_SIZE}" preserveAspectRatio="xMidYMid slice" clip-path="url(#contributor-clip-${i})"><title>${escapeXml(contributor.login)}</title></image>`);
+    cx += CONTRIBUTOR_SIZE - CONTRIBUTOR_OVERLAP;
+  });
+
+  // cx has already advanced past the last avatar
+  let width = shown.length > 0 ? cx - (CONTRIBUTOR_SIZE - CONTRIBUTOR_OVERLAP) + radius : 0;
+
+  if (extra > 0 || contributorsHasMore) {
+    // Same label as ContributorsStrip
+    const label = extra > 0
+      ? (contributorsHasMore ? `${extra}+ more` : `+${extra} more`)
+      : 'and more';
+    const textX = width + 8;
+    parts.push(`<text x="${textX}" y="${baseline(0, CONTRIBUTOR_SIZE, STAT_FONT_SIZE)}" font-size="${STAT_FONT_SIZE}" ${paint('fill', palette.stats)}>${escapeXml(label)}</text>`);
+    width = textX + measureText(label, STAT_FONT_SIZE);
+  }
+
+  return {
+    markup: parts.join(''),
+    height: CONTRIBUTOR_SIZE,
+    width,
+    ...(placement === 'description' ? { marginBottom: CONTRIBUTORS_MARGIN } : { marginTop: CONTRIBUTORS_MARGIN })
+  };
+};
+
+/**
+ * Render the topic badges
+ * Mirrors .preview-topics: badges wrap, and whatever doesn't fit in two rows
+ * is left out.
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} options - Block options ({ width, align }); centered rows are centered one by one
+ * @param {Object} palette - Theme palette
+ * @returns {Object|null} - Block, or null without topics
+ */
+const renderTopics = ({ topics, topicCount }, { width, align = 'start' }, palette) => {
+  if (topicCount <= 0 || topics.length === 0) return null;
+
+  const badges = [];
+  let badgeX = 0;
+  let row = 0;
+
+  for (const topic of topics.slice(0, topicCount)) {
+    const name = truncateText(topic, width - TOPIC_PADDING_X * 2, TOPIC_FONT_SIZE, 600);
+    const badgeWidth = measureText(name, TOPIC_FONT_SIZE, 600) + TOPIC_PADDING_X * 2;
+
+    if (badgeX > 0 && badgeX + badgeWidth > width) {
+      badgeX = 0;
+      row++;
+    }
+    if (row >= TOPIC_ROWS) break;
+
+    badges.push({ name, x: badgeX, row, width: badgeWidth });
+    badgeX += badgeWidth + TOPIC_GAP;
+  }
+
+  if (badges.length === 0) return null;
+
+  const rowWidths = [];
+  badges.forEach(badge => {
+    rowWidths[badge.row] = badge.x + badge.width;
+  });
+
+  const parts = [];
+  badges.forEach(badge => {
+    const left = badge.x + (align === 'middle' ? (width - rowWidths[badge.row]) / 2 : 0);
+    const top = badge.row * (TOPIC_HEIGHT + TOPIC_GAP);
+    parts.push(`<rect x="${left}" y="${top}" width="${badge.width}" height="${TOPIC_HEIGHT}" rx="${TOPIC_HEIGHT / 2}" ${paint('fill', palette.accent)} opacity="${TOPIC_FILL_OPACITY}"/>`);
+    parts.push(`<text x="${left + TOPIC_PADDING_X}" y="${baseline(top, TOPIC_HEIGHT, TOPIC_FONT_SIZE)}" font-size="${TOPIC_FONT_SIZE}" font-weight="600" ${paint('fill', palette.accent)}>${escapeXml(badge.name)}</text>`);
+  });
+
+  const rows = rowWidths.length;
+  return {
+    markup: parts.join(''),
+    height: rows * TOPIC_HEIGHT + (rows - 1) * TOPIC_GAP,
+    marginBottom: TOPICS_MARGIN
+  };
+};
+
+/**
+ * Render the stats row of icons and values
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} palette - Theme palette
+ * @returns {Object} - Block ({ markup, height, width })
+ */
+const renderStatsRow = ({ stats }, palette) => {
+  const parts = [];
+  let statX = 0;
+
+  stats.forEach(stat => {
+    const { viewBox, size, stroke, paths } = statTypes[stat.id].icon;
+    const iconPaint = stroke
+      ? `fill="none" ${paint('stroke', palette.stats)} stroke-width="2" stroke-linecap="round" stroke-linejoin="round"`
+      : paint('fill', palette.stats);
+    const icon = paths.map(path => `<path d="${path}"/>`).join('');
+    const text = String(stat.value);
+
+    parts.push(`<svg x="${statX}" y="${(STAT_LINE_HEIGHT - size) / 2}" width="${size}" height="${size}" viewBox="0 0 ${viewBox} ${viewBox}" ${iconPaint}>${icon}</svg>`);
+    statX += size + STAT_ICON_GAP;
+    parts.push(`<text x="${statX}" y="${baseline(0, STAT_LINE_HEIGHT, STAT_FONT_SIZE)}" font-size="${STAT_FONT_SIZE}" ${paint('fill', palette.stats)}>${escapeXml(text)}</text>`);
+    statX += measureText(text, STAT_FONT_SIZE) + STAT_GAP;
+  });
+
+  return { markup: parts.join(''), height: STAT_LINE_HEIGHT, width: Math.max(0, statX - STAT_GAP) };
+};
+
+/**
+ * Render the language legend
+ * Mirrors .preview-legend: entries flow into rows (inline and chips) or a
+ * three-column grid, and names are ellipsized when they don't fit.
+ * @param {Object} legend - Legend content and size
+ * @param {Array} legend.languages - Language breakdown
+ * @param {String} legend.layout - "inline", "columns" or "chips"
+ * @param {Number} legend.count - Maximum number of entries
+ * @param {Number} legend.x - Left edge
+ * @param {Number} legend.width - Available width
+ * @param {Object} palette - Theme palette
+ * @returns {Object} - { markup, height }, laid out from y = 0
+ */
+const renderLanguageLegend = ({ languages, layout, count, x, width }, palette) => {
+  const { entries, hiddenCount } = getLegendEntries(languages, count);
+  const chips = layout === 'chips';
+  const paddingX = chips ? LEGEND_CHIP_PADDING_X : 0;
+  const itemHeight = LEGEND_LINE_HEIGHT + (chips ? LEGEND_CHIP_PADDING_Y * 2 : 0);
+  const gap = chips ? LEGEND_CHIP_GAP : LEGEND_ITEM_GAP;
+  const columnWidth = (width - LEGEND_ITEM_GAP * (LEGEND_COLUMNS - 1)) / LEGEND_COLUMNS;
+
+  // Measure every entry, truncating names to the space they can get
+  const items = entries.map(lang => {
+    const percentage = `${lang.percentage}%`;
+    const percentageWidth = measureText(percentage, LEGEND_FONT_SIZE);
+    const fixedWidth = paddingX * 2 + LEGEND_DOT_SIZE + LEGEND_DOT_GAP * 2 + percentageWidth;
+    const maxWidth = layout === 'columns' ? columnWidth : width;
+    const name = truncateText(lang.name, maxWidth - fixedWidth, LEGEND_FONT_SIZE, 400);
+
+    return { lang, name, percentage, width: fixedWidth + measureText(name, LEGEND_FONT_SIZE) };
+  });
+
+  if (hiddenCount > 0) {
+    const label = `+${hiddenCount} more`;
+    items.push({ label, width: paddingX * 2 + measureText(label, LEGEND_FONT_SIZE) });
+  }
+
+  // Position the entries
+  let itemX = 0;
+  let row = 0;
+  items.forEach((item, index) => {
+    if (layout === 'columns') {
+      item.x = (index % LEGEND_COLUMNS) * (columnWidth + LEGEND_ITEM_GAP);
+      item.row = Math.floor(index / LEGEND_COLUMNS);
+      return;
+    }
+
+    if (itemX > 0 && itemX + item.width > width) {
+      itemX = 0;
+      row++;
+    }
+    item.x = itemX;
+    item.row = row;
+    itemX += item.width + gap;
+  });
+
+  const rows = items.length > 0 ? items[items.length - 1].row + 1 : 0;
+  const parts = items.map(item => {
+    const left = x + item.x;
+    const top = item.row * (itemHeight + LEGEND_ROW_GAP);
+    const textY = baseline(top, itemHeight, LEGEND_FONT_SIZE);
+    const markup = [];
+
+    if (chips) {
+      markup.push(`<rect x="${left}" y="${top}" width="${item.width}" height="${itemHeight}" rx="${itemHeight / 2}" fill="#7f7f7f" fill-opacity="0.15"/>`);
+    }
+
+    if (item.label) {
+      markup.push(`<text x="${left + paddingX}" y="${textY}" font-size="${LEGEND_FONT_SIZE}" ${paint('fill', palette.stats)}>${escapeXml(item.label)}</text>`);
+      return markup.join('');
+    }
+
+    const dotX = left + paddingX;
+    const nameX = dotX + LEGEND_DOT_SIZE + LEGEND_DOT_GAP;
+    const percentageX = nameX + measureText(item.name, LEGEND_FONT_SIZE) + LEGEND_DOT_GAP;
+    markup.push(`<circle cx="${dotX + LEGEND_DOT_SIZE / 2}" cy="${top + itemHeight / 2}" r="${LEGEND_DOT_SIZE / 2}" ${paint('fill', item.lang.color)}/>`);
+    markup.push(`<text x="${nameX}" y="${textY}" font-size="${LEGEND_FONT_SIZE}" ${paint('fill', palette.stats)}>${escapeXml(item.name)}</text>`);
+    markup.push(`<text x="${percentageX}" y="${textY}" font-size="${LEGEND_FONT_SIZE}" ${paint('fill', palette.stats)} opacity="0.75">${escapeXml(item.percentage)}</text>`);
+    return `<g><title>${escapeXml(getLanguageLabel(item.lang))}</title>${markup.join('')}</g>`;
+  });
+
+  return {
+    markup: parts.join(''),
+    height: rows > 0 ? rows * itemHeight + (rows - 1) * LEGEND_ROW_GAP : 0
+  };
+};
+
+/**
+ * Classic layout (.preview-content): header, description, topics, stats row
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} palette - Theme palette
+ * @param {Array} defs - Definitions list
+ * @returns {Promise<String>} - SVG markup
+ */
+const renderClassicLayout = async (content, palette, defs) => {
+  const width = content.width - PADDING * 2;
+  const stack = stackBlocks([
+    { ...renderHeader(content, width, palette, defs), marginBottom: HEADER_MARGIN },
+    renderDescription(content, { width }, palette),
+    renderTopics(content, { width }, palette),
+    await renderContributors(content, 'description', palette, defs),
+    renderStatsRow(content, palette),
+    await renderContributors(content, 'bottom', palette, defs)
+  ], { width });
+
+  return place(PADDING, PADDING, stack.markup);
+};
+
+/**
+ * Centered hero layout (.preview-hero): everything centered, with the stats
+ * pushed to the bottom by their auto margin
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} palette - Theme palette
+ * @param {Array} defs - Definitions list
+ * @returns {Promise<String>} - SVG markup
+ */
+const renderHeroLayout = async (content, palette, defs) => {
+  const { avatarHref, displayOwner, displayName, bottom } = content;
+  const width = content.width - PADDING * 2;
+  const align = 'middle';
+
+  const top = stackBlocks([
+    avatarHref && { ...renderAvatar(avatarHref, HERO_AVATAR_SIZE, defs), marginBottom: HERO_AVATAR_MARGIN },
+    displayOwner && renderTextLine(displayOwner, { width, fontSize: OWNER_FONT_SIZE, lineHeight: OWNER_LINE_HEIGHT, color: palette.stats, align }),
+    {
+      ...renderTextLine(displayName, { width, fontSize: HERO_TITLE_FONT_SIZE, lineHeight: HERO_TITLE_LINE_HEIGHT, fontWeight: 700, color: palette.title, align }),
+      marginBottom: TITLE_MARGIN
+    },
+    renderDescription(content, { width, align }, palette),
+    renderTopics(content, { width, align }, palette),
+    await renderContributors(content, 'description', palette, defs)
+  ], { width, align });
+
+  const end = stackBlocks([
+    renderStatsRow(content, palette),
+    await renderContributors(content, 'bottom', palette, defs)
+  ], { width, align });
+
+  return place(PADDING, PADDING, top.markup) + place(PADDING, bottom - PADDING - end.height, end.markup);
+};
+
+/**
+ * Minimal layout (.preview-minimal): text only, anchored to the bottom-left corner
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} palette - Theme palette
+ * @param {Array} defs - Definitions list
+ * @returns {Promise<String>} - SVG markup
+ */
+const renderMinimalLayout = async (content, palette, defs) => {
+  const { displayOwner, displayName, stats, bottom } = content;
+  const width = content.width - MINIMAL_PADDING * 2;
+
+  const stack = stackBlocks([
+    displayOwner && {
+      ...renderTextLine(displayOwner.toUpperCase(), {
+        width,
+        fontSize: MINIMAL_OWNER_FONT_SIZE,
+        lineHeight: MINIMAL_OWNER_LINE_HEIGHT,
+        color: palette.stats,
+        letterSpacing: MINIMAL_OWNER_LETTER_SPACING
+      }),
+      marginBottom: MINIMAL_OWNER_MARGIN
+    },
+    {
+      ...renderTextLine(displayName, { width, fontSize: MINIMAL_TITLE_FONT_SIZE, lineHeight: MINIMAL_TITLE_LINE_HEIGHT, fontWeight: 700, color: palette.title }),
+      marginBottom: TITLE_MARGIN
+    },
+    {
+      markup: `<rect width="${MINIMAL_RULE_WIDTH}" height="${MINIMAL_RULE_HEIGHT}" rx="${MINIMAL_RULE_HEIGHT / 2}" ${paint('fill', palette.accent)}/>`,
+      height: MINIMAL_RULE_HEIGHT,
+      marginBottom: MINIMAL_RULE_MARGIN
+    },
+    renderDescription(content, { width }, palette),
+    renderTopics(content, { width }, palette),
+    await renderContributors(content, 'description', palette, defs),
+    renderTextLine(stats.map(getStatText).join(' · '), { width, fontSize: STAT_FONT_SIZE, lineHeight: STAT_LINE_HEIGHT, color: palette.stats }),
+    await renderContributors(content, 'bottom', palette, defs)
+  ], { width });
+
+  return place(MINIMAL_PADDING, bottom - MINIMAL_PADDING - stack.height, stack.markup);
+};
+
+/**
+ * Split layout (.preview-split): details on the left, a bordered column of
+ * large stat numbers on the right
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} palette - Theme palette
+ * @param {Array} defs - Definitions list
+ * @returns {Promise<String>} - SVG markup
+ */
+const renderSplitLayout = async (content, palette, defs) => {
+  const { stats, contributorsPlacement, bottom } = content;
+  const innerHeight = bottom - PADDING * 2;
+
+  // The stats column is as wide as its widest number or label
+  const column = stats.map(stat => {
+    const value = String(stat.value);
+    const label = statTypes[stat.id].name.toUpperCase();
+    const labelWidth = SPLIT_ICON_SIZE + STAT_ICON_GAP + measureText(label, SPLIT_LABEL_FONT_SIZE) + SPLIT_LABEL_LETTER_SPACING * label.length;
+    return { stat, value, label, width: Math.max(measureText(value, SPLIT_NUMBER_FONT_SIZE, 700), labelWidth) };
+  });
+  const columnWidth = 1 + SPLIT_GAP + Math.max(0, ...column.map(item => item.width));
+  const mainWidth = content.width - PADDING * 2 - SPLIT_GAP - columnWidth;
+
+  // Contributors follow the topics wherever they are placed
+  const main = stackBlocks([
+    { ...renderHeader(content, mainWidth, palette, defs), marginBottom: HEADER_MARGIN },
+    renderDescription(content, { width: mainWidth }, palette),
+    renderTopics(content, { width: mainWidth }, palette),
+    contributorsPlacement !== 'none' && await renderContributors(content, contributorsPlacement, palette, defs)
+  ], { width: mainWidth });
+
+  const columnX = PADDING + mainWidth + SPLIT_GAP;
+  const parts = [
+    place(PADDING, PADDING, main.markup),
+    `<line x1="${columnX + 0.5}" y1="${PADDING}" x2="${columnX + 0.5}" y2="${PADDING + innerHeight}" ${paint('stroke', palette.border)}/>`
+  ];
+
+  const itemHeight = SPLIT_NUMBER_LINE_HEIGHT + SPLIT_LABEL_LINE_HEIGHT;
+  const columnHeight = column.length * itemHeight + Math.max(0, column.length - 1) * SPLIT_STAT_GAP;
+  const textX = columnX + 1 + SPLIT_GAP;
+  let y = PADDING + (innerHeight - columnHeight) / 2;
+
+  column.forEach(({ stat, value, label }) => {
+    const { viewBox, stroke, paths } = statTypes[stat.id].icon;
+    const iconPaint = stroke
+      ? `fill="none" ${paint('stroke', palette.stats)} stroke-width="2" stroke-linecap="round" stroke-linejoin="round"`
+      : paint('fill', palette.stats);
+    const icon = paths.map(path => `<path d="${path}"/>`).join('');
+    const labelTop = y + SPLIT_NUMBER_LINE_HEIGHT;
+
+    parts.push(`<text x="${textX}" y="${baseline(y, SPLIT_NUMBER_LINE_HEIGHT, SPLIT_NUMBER_FONT_SIZE)}" font-size="${SPLIT_NUMBER_FONT_SIZE}" font-weight="700" ${paint('fill', palette.title)}>${escapeXml(value)}</text>`);
+    parts.push(`<svg x="${textX}" y="${labelTop + (SPLIT_LABEL_LINE_HEIGHT - SPLIT_ICON_SIZE) / 2}" width="${SPLIT_ICON_SIZE}" height="${SPLIT_ICON_SIZE}" viewBox="0 0 ${viewBox} ${viewBox}" ${iconPaint}>${icon}</svg>`);
+    parts.push(`<text x="${textX + SPLIT_ICON_SIZE + STAT_ICON_GAP}" y="${baseline(labelTop, SPLIT_LABEL_LINE_HEIGHT, SPLIT_LABEL_FONT_SIZE)}" font-size="${SPLIT_LABEL_FONT_SIZE}" letter-spacing="${SPLIT_LABEL_LETTER_SPACING}" ${paint('fill', palette.stats)}>${escapeXml(label)}</text>`);
+    y += itemHeight + SPLIT_STAT_GAP;
+  });
+
+  return parts.join('');
+};
+
+/**
+ * Logo-first layout (.preview-logo): the avatar as a large rounded tile,
+ * details beside it, both vertically centered
+ * @param {Object} content - Card content (see renderPreviewSvg)
+ * @param {Object} palette - Theme palette
+ * @param {Array} defs - Definitions list
+ * @returns {Promise<String>} - SVG markup
+ */
+const renderLogoLayout = async (content, palette, defs) => {
+  const { avatarHref, displayOwner, displayName, bottom } = content;
+  const innerHeight = bottom - PADDING * 2;
+  const width = content.width - PADDING * 2 - LOGO_TILE_SIZE - LOGO_GAP;
+  const tileY = PADDING + (innerHeight - LOGO_TILE_SIZE) / 2;
+  const tile = [];
+
+  if (avatarHref) {
+    defs.push(`<clipPath id="logo-clip"><rect x="${PADDING}" y="${tileY}" width="${LOGO_TILE_SIZE}" height="${LOGO_TILE_SIZE}" rx="${LOGO_TILE_RADIUS}"/></clipPath>`);
+    tile.push(`<image href="${escapeXml(avatarHref)}" xlink:href="${escapeXml(avatarHref)}" x="${PADDING}" y="${tileY}" width="${LOGO_TILE_SIZE}" height="${LOGO_TILE_SIZE}" preserveAspectRatio="xMidYMid slice" clip-path="url(#logo-clip)"/>`);
+  } else {
+    const iconOffset = (LOGO_TILE_SIZE - LOGO_ICON_SIZE) / 2;
+    tile.push(`<svg x="${PADDING + iconOffset}" y="${tileY + iconOffset}" width="${LOGO_ICON_SIZE}" height="${LOGO_ICON_SIZE}" viewBox="0 0 24 24" fill="none" ${paint('stroke', palette.stats)} stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${CODE_ICON}</svg>`);
+  }
+  tile.push(`<rect x="${PADDING + 0.5}" y="${tileY + 0.5}" width="${LOGO_TILE_SIZE - 1}" height="${LOGO_TILE_SIZE - 1}" rx="${LOGO_TILE_RADIUS - 0.5}" fill="none" ${paint('stroke', palette.border)}/>`);
+
+  const body = stackBlocks([
+    renderTextLine(displayName, { width, fontSize: TITLE_FONT_SIZE, lineHeight: TITLE_LINE_HEIGHT, fontWeight: 700, color: palette.title }),
+    displayOwner && {
+      ...renderTextLine(`by ${displayOwner}`, { width, fontSize: OWNER_FONT_SIZE, lineHeight: OWNER_LINE_HEIGHT, color: palette.stats }),
+      marginBottom: LOGO_OWNER_MARGIN
+    },
+    renderDescription(content, { width }, palette),
+    renderTopics(content, { width }, palette),
+    await renderContributors(content, 'description', palette, defs),
+    renderStatsRow(content, palette),
+    await renderContributors(content, 'bottom', palette, defs)
+  ], { width });
+
+  return tile.join('') + place(PADDING + LOGO_TILE_SIZE + LOGO_GAP, PADDING + (innerHeight - body.height) / 2, body.markup);
+};
+
+// Vector layouts keyed by template id (see components/templates); watermark marks layouts with the code watermark
+const layouts = {
+  classic: { render: renderClassicLayout, watermark: true },
+  hero: { render: renderHeroLayout, watermark: false },
+  minimal: { render: renderMinimalLayout, watermark: false },
+  split: { render: renderSplitLayout, watermark: true },
+  logo: { render: renderLogoLayout, watermark: false }
+};
+
+/**
+ * Render the preview card as an SVG document
+ * @param {Object} card - Card content
+ * @param {String} card.repoName - Repository name
+ * @param {String} card.repoDescription - Repository description
+ * @param {Array} card.stats - Stats in display order ({ id, value }, see utils/stats.js)
+ * @param {Object} card.numberFormat - How counts are written (see PreviewCard)
+ * @param {String} card.owner - Repository owner name
+ * @param {String} card.avatarUrl - Repository owner avatar URL
+ * @param {Array} card.languageBreakdown - Array of language objects
+ * @param {Object} card.palette - Theme palette (see utils/themes.js)
+ * @param {String} card.pattern - Background pattern name
+ * @param {String} card.template - Layout template id (see components/templates)
+ * @param {String} card.forge - Forge the repository lives on (see utils/providers)
+ * @param {Array} card.contributors - Contributors to credit ({ login, avatarUrl })
+ * @param {Number} card.contributorCount - Number of contributor avatars to show
+ * @param {Boolean} card.contributorsHasMore - Whether the contributor list was truncated
+ * @param {String} card.contributorsPlacement - "none", "description" or "bottom"
+ * @param {Array} card.topics - Topic names to show as badges
+ * @param {Number} card.topicCount - Maximum number of topic badges
+ * @param {String} card.legendLayout - Language legend layout: "none", "inline", "columns" or "chips"
+ * @param {Number} card.legendCount - Maximum number of languages in the legend
+ * @param {Object} size - Card size
+ * @param {Number} size.width - Layout width in CSS pixels
+ * @param {Number} size.height - Layout height in CSS pixels
+ * @param {Number} size.outputWidth - Width of the SVG document (defaults to the layout width)
+ * @param {Number} size.outputHeight - Height of the SVG document (defaults to the layout height)
+ * @returns {Promise<String>} - Serialized SVG markup
+ */
+export const renderPreviewSvg = async (card, { width, height, outputWidth = width, outputHeight = height }) => {
+  const {
+    repoName = '',
+    repoDescription = '',
+    stats = [],
+    numberFormat = DEFAULT_NUMBER_FORMAT,
+    owner,
+    avatarUrl,
+    languageBreakdown = [],
+    palette,
+    pattern = '',
+    template = 'classic',
+    forge = 'github',
+    contributors = [],
+    contributorCount = 5,
+    contributorsHasMore = false,
+    contributorsPlacement = 'none',
+    topics = [],
+    topicCount = 5,
+    legendLayout = 'none',
+    legendCount = 6
+  } = card;
+
+  const { username, repoName: displayName } = splitRepositoryName(repoName);
+  const layout = layouts[template] || layouts.classic;
+  const defs = [];
+  const body = [];
+
+  // Background fill and card clip
+  const { background } = palette;
+  let backgroundFill;
+
+  if (background.type === 'solid') {
+    backgroundFill = paint('fill', background.color);
+  } else {
+    const { x1, y1, x2, y2 } = gradientVector(background.angle, width, height);
+    const stops = background.stops
+      .map(stop => `<stop offset="${stop.position / 100}" ${paint('stop-color', stop.color, 'stop-opacity')}/>`)
+      .join('');
+    defs.push(`<linearGradient id="card-background" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`);
+    backgroundFill = 'fill="url(#card-background)"';
+  }
+
+  defs.push(`<clipPath id="card-clip"><rect width="${width}" height="${height}" rx="${CARD_RADIUS}"/></clipPath>`);
+  body.push(`<rect width="${width}" height="${height}" ${backgroundFill}/>`);
+
+  // Background pattern
+  const patternDef = renderPatternDef(pattern, palette.stats);
+  if (patternDef) {
+    defs.push(patternDef);
+    body.push(`<rect width="${width}" height="${height}" fill="url(#card-pattern)" opacity="${PATTERN_OPACITY}"/>`);
+  }
+
+  // Language bar along the bottom edge, with the legend right above it
+  const barY = height - LANGUAGE_BAR_HEIGHT;
+  let contentBottom = barY;
+  let legendMarkup = '';
+
+  if (legendLayout !== 'none' && languageBreakdown.length > 0) {
+    const legend = renderLanguageLegend({
+      languages: languageBreakdown,
+      layout: legendLayout,
+      count: legendCount,
+      x: PADDING,
+      width: width - PADDING - LEGEND_RIGHT_INSET
+    }, palette);
+    contentBottom = barY - LEGEND_MARGIN - legend.height;
+    legendMarkup = place(0, contentBottom, legend.markup);
+  }
+
+  // The layout fills the space above the legend and language bar
+  body.push(await layout.render({
+    displayName,
+    displayOwner: owner || username,
+    repoDescription,
+    descriptionLines: descriptionLineCount[getCardFormat(width, height)],
+    stats: formatStatRow(stats, numberFormat),
+    avatarHref: avatarUrl ? await inlineImage(avatarUrl) : null,
+    contributors,
+    contributorCount,
+    contributorsHasMore,
+    contributorsPlacement,
+    topics,
+    topicCount,
+    width,
+    bottom: contentBottom
+  }, palette, defs));
+
+  body.push(legendMarkup);
+
+  const languages = languageBreakdown.length > 0
+    ? languageBreakdown
+    : [{ name: 'JavaScript', percentage: 100, color: getLanguageColor('JavaScript') }];
+  defs.push(`<clipPath id="language-bar-clip"><rect y="${barY}" width="${width}" height="${LANGUAGE_BAR_HEIGHT}" rx="4"/></clipPath>`);
+
+  let barX = 0;
+  const segments = languages.map(lang => {
+    const segmentWidth = (width * lang.percentage) / 100;
+    const segment = `<rect x="${barX}" y="${barY}" width="${segmentWidth}" height="${LANGUAGE_BAR_HEIGHT}" ${paint('fill', lang.color)}><title>${escapeXml(getLanguageLabel(lang))}</title></rect>`;
+    barX += segmentWidth;
+    return segment;
+  });
+  body.push(`<g clip-path="url(#language-bar-clip)">${segments.join('')}</g>`);
+
+  // Watermark, offset past the top-right corner like .preview-watermark
+  if (layout.watermark) {
+    body.push(`<svg x="${width - 120}" y="-40" width="180" height="180" viewBox="0 0 24 24" fill="none" stroke="#ffffff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" opacity="0.1">${CODE_ICON}</svg>`);
+  }
+
+  // Forge logo in the bottom-right corner like .preview-forge
+  const forgeIcon = getForge(forge).icon.map(path => `<path d="${path}"/>`).join('');
+  body.push(`<svg x="${width - FORGE_INSET - FORGE_ICON_SIZE}" y="${height - FORGE_INSET - FORGE_ICON_SIZE}" width="${FORGE_ICON_SIZE}" height="${FORGE_ICON_SIZE}" viewBox="0 0 24 24" fill="none" ${paint('stroke', palette.stats)} stroke-width="2" stroke-linecap="round" stroke-linejoin="round" opacity="0.8">${forgeIcon}</svg>`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<defs>${defs.join('')}</defs>`,
+    `<g clip-path="url(#card-clip)">${body.join('')}</g>`,
+    `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="${CARD_RADIUS - 0.5}" fill="none" ${paint('stroke', palette.border)}/>`,
+    '</svg>'
+  ].join('\n');
+};
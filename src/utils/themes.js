@@ -0,0 +1,277 @@
+/**
+ * Theme Definitions
+ *
+ * Raw color values for each preview theme. The card reads them through CSS
+ * variables (see themeToCssVariables), and the SVG exporter uses them
+ * directly. Custom themes built in the editor share the same shape and are
+ * stored in localStorage.
+ */
+
+// localStorage key for custom themes
+const STORAGE_KEY = 'repo-vista:custom-themes';
+
+// Identifies exported theme files
+const THEME_FILE_TYPE = 'repo-vista-theme';
+const THEME_FILE_VERSION = 1;
+
+// Colors every theme defines besides the background
+export const themeColorFields = ['title', 'description', 'stats', 'accent', 'border'];
+
+// Color notations accepted in themes: hex, rgb(a), hsl(a) and named colors
+const COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgba?|hsla?)\([\d\s.,%/+-]+\)|[a-z]+)$/i;
+
+/**
+ * Check that a value is a CSS color, so imported themes and shared links can't inject other CSS
+ * @param {*} value - Value to check
+ * @returns {Boolean} - Whether the value is a color
+ */
+const isColor = (value) => {
+  if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) return false;
+
+  // Browsers also check the numbers inside rgb() and friends and know the named colors
+  return typeof CSS === 'undefined' || typeof CSS.supports !== 'function' || CSS.supports('color', value.trim());
+};
+
+/**
+ * Build a two-stop linear gradient background
+ * @param {Number} angle - CSS gradient angle in degrees
+ * @param {String} from - First color
+ * @param {String} to - Last color
+ * @returns {Object} - Background definition
+ */
+const gradient = (angle, from, to) => ({
+  type: 'gradient',
+  angle,
+  stops: [
+    { color: from, position: 0 },
+    { color: to, position: 100 }
+  ]
+});
+
+/**
+ * Built-in color palettes keyed by theme name
+ * Backgrounds are either { type: 'solid', color } or
+ * { type: 'gradient', angle, stops: [{ color, position }] } with positions in percent.
+ */
+export const themePalettes = {
+  dark: {
+    background: gradient(135, '#0f172a', '#1e293b'),
+    title: '#ffffff',
+    description: '#cbd5e1',
+    accent: '#3b82f6',
+    stats: '#94a3b8',
+    border: '#334155'
+  },
+  light: {
+    background: gradient(135, '#ffffff', '#f1f5f9'),
+    title: '#0f172a',
+    description: '#334155',
+    accent: '#2563eb',
+    stats: '#64748b',
+    border: '#e2e8f0'
+  },
+  gradient: {
+    background: gradient(135, '#6366f1', '#3b82f6'),
+    title: '#ffffff',
+    description: 'rgba(255, 255, 255, 0.9)',
+    accent: '#ffffff',
+    stats: 'rgba(255, 255, 255, 0.8)',
+    border: 'rgba(255, 255, 255, 0.2)'
+  },
+  github: {
+    background: gradient(135, '#0d1117', '#161b22'),
+    title: '#f0f6fc',
+    description: '#c9d1d9',
+    accent: '#238636',
+    stats: '#8b949e',
+    border: '#30363d'
+  },
+  sunset: {
+    background: gradient(135, '#ff7e5f', '#feb47b'),
+    title: '#ffffff',
+    description: 'rgba(255, 255, 255, 0.9)',
+    accent: '#ffffff',
+    stats: 'rgba(255, 255, 255, 0.8)',
+    border: 'rgba(255, 255, 255, 0.2)'
+  },
+  ocean: {
+    background: gradient(135, '#2193b0', '#6dd5ed'),
+    title: '#ffffff',
+    description: 'rgba(255, 255, 255, 0.9)',
+    accent: '#ffffff',
+    stats: 'rgba(255, 255, 255, 0.8)',
+    border: 'rgba(255, 255, 255, 0.2)'
+  },
+  forest: {
+    background: gradient(135, '#134e5e', '#71b280'),
+    title: '#ffffff',
+    description: 'rgba(255, 255, 255, 0.9)',
+    accent: '#ffffff',
+    stats: 'rgba(255, 255, 255, 0.8)',
+    border: 'rgba(255, 255, 255, 0.2)'
+  }
+};
+
+/**
+ * Convert a background definition into a CSS background value
+ * @param {Object} background - Background definition
+ * @returns {String} - CSS color or linear-gradient()
+ */
+export const backgroundToCss = (background) => {
+  if (background.type === 'solid') {
+    return background.color;
+  }
+
+  const stops = background.stops
+    .map(stop => `${stop.color} ${stop.position}%`)
+    .join(', ');
+
+  return `linear-gradient(${background.angle}deg, ${stops})`;
+};
+
+/**
+ * Map a palette onto the CSS variables used by the theme classes in themes.css
+ * @param {Object} palette - Theme palette
+ * @returns {Object} - Inline style object
+ */
+export const themeToCssVariables = (palette) => ({
+  '--theme-background': backgroundToCss(palette.background),
+  '--theme-title': palette.title,
+  '--theme-description': palette.description,
+  '--theme-stats': palette.stats,
+  '--theme-accent': palette.accent,
+  '--theme-border': palette.border
+});
+
+/**
+ * Validate a theme and fill in anything missing from the dark theme
+ * @param {Object} raw - Theme-like object, e.g. parsed from an imported file
+ * @returns {Object} - Theme with a name, background and every color field
+ */
+export const normalizeTheme = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Theme must be an object');
+  }
+
+  const fallback = themePalettes.dark;
+  const theme = {
+    name: typeof raw.name === 'string' && raw.name.trim() !== '' ? raw.name.trim() : 'Custom theme'
+  };
+
+  themeColorFields.forEach(field => {
+    theme[field] = isColor(raw[field]) ? raw[field].trim() : fallback[field];
+  });
+
+  const background = raw.background || {};
+
+  if (background.type === 'solid' && isColor(background.color)) {
+    theme.background = { type: 'solid', color: background.color.trim() };
+  } else if (Array.isArray(background.stops) && background.stops.filter(stop => stop && isColor(stop.color)).length >= 2) {
+    const angle = Number(background.angle);
+    theme.background = {
+      type: 'gradient',
+      angle: Number.isFinite(angle) ? angle : 135,
+      stops: background.stops
+        .filter(stop => stop && isColor(stop.color))
+        .map((stop, i, all) => {
+          const position = Number(stop.position);
+          return {
+            color: stop.color.trim(),
+            position: Number.isFinite(position)
+              ? Math.min(100, Math.max(0, position))
+              : Math.round((i / (all.length - 1)) * 100)
+          };
+        })
+    };
+  } else {
+    theme.background = fallback.background;
+  }
+
+  return theme;
+};
+
+/**
+ * Load the custom themes saved in this browser
+ * @returns {Object} - Custom themes keyed by id
+ */
+export const loadCustomThemes = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+
+    const stored = JSON.parse(raw);
+    const themes = {};
+    Object.entries(stored).forEach(([id, theme]) => {
+      themes[id] = normalizeTheme(theme);
+    });
+
+    return themes;
+  } catch (error) {
+    console.warn('Unable to load custom themes:', error);
+    return {};
+  }
+};
+
+/**
+ * Save custom themes to this browser
+ * @param {Object} themes - Custom themes keyed by id
+ */
+export const saveCustomThemes = (themes) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(themes));
+  } catch (error) {
+    console.warn('Unable to save custom themes:', error);
+  }
+};
+
+/**
+ * Generate an id for a new custom theme
+ * Ids are prefixed so they never collide with the built-in theme names.
+ * @returns {String} - Theme id
+ */
+export const createCustomThemeId = () => `custom-${Date.now().toString(36)}`;
+
+/**
+ * Check whether a theme id refers to a custom theme
+ * @param {String} id - Theme id
+ * @returns {Boolean} - Whether the id is a custom theme id
+ */
+export const isCustomThemeId = (id) => typeof id === 'string' && id.startsWith('custom-');
+
+/**
+ * Serialize custom themes into a shareable JSON file
+ * @param {Array} themes - Themes to export
+ * @returns {String} - JSON text
+ */
+export const exportThemesToJson = (themes) => JSON.stringify({
+  type: THEME_FILE_TYPE,
+  version: THEME_FILE_VERSION,
+  themes
+}, null, 2);
+
+/**
+ * Parse a theme file produced by exportThemesToJson
+ * A bare theme object is accepted as well.
+ * @param {String} text - File contents
+ * @returns {Array} - Validated themes
+ */
+export const importThemesFromJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Theme file is not valid JSON');
+  }
+
+  if (data && data.type === THEME_FILE_TYPE) {
+    if (data.version !== THEME_FILE_VERSION) {
+      throw new Error(`Unsupported theme file version: ${data.version}`);
+    }
+    if (!Array.isArray(data.themes) || data.themes.length === 0) {
+      throw new Error('Theme file contains no themes');
+    }
+    return data.themes.map(normalizeTheme);
+  }
+
+  return [normalizeTheme(data)];
+};